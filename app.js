@@ -0,0 +1,2604 @@
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const cors = require('cors');
+const multer = require('multer');
+const { MAX_MESSAGE_LENGTH, validateMessages, toMessages, getLastUserMessage } = require('./lib/conversation');
+const { MemoryConversationStore, createConversationId } = require('./lib/conversationStore');
+const { getProvider, getApiKey, hasCredentials } = require('./lib/providers');
+const { ModelRegistry } = require('./lib/modelRegistry');
+const { BreakerRegistry } = require('./lib/circuitBreaker');
+const { RecoveryCoordinator } = require('./lib/recoveryCoordinator');
+const { MemoryRateLimitStore, RedisRateLimitStore, ClusterRateLimitStore, createRateLimiter } = require('./lib/rateLimiter');
+const { createAuth, safeEqual } = require('./lib/auth');
+const { Guardrails, getCompleteSentences } = require('./lib/guardrails');
+const { ResponseCache, MemoryCacheStore, RedisCacheStore } = require('./lib/responseCache');
+const { MessageCatalog, DEFAULT_LANGUAGE } = require('./lib/i18n');
+const MESSAGE_KEYS = require('./lib/messageKeys');
+const { logger, redact, runWithContext } = require('./lib/logger');
+const { MetricsRegistry } = require('./lib/metrics');
+const { ImageError, detectImageType, getImageDimensions, stripImageMetadata } = require('./lib/image');
+const { KnowledgeBase, KnowledgeBaseError, fitPassages, getSources } = require('./lib/knowledgeBase');
+const openaiCompat = require('./lib/openaiCompat');
+const { WorkQueue, WorkQueueRegistry, QueueFullError, DeadlineError } = require('./lib/workQueue');
+const { createResponseId, validateFeedback, summarizeFeedback } = require('./lib/feedbackStore');
+const { BatchJobRegistry, runWithConcurrency, countResults, toJobStatus } = require('./lib/batch');
+const { ExperimentTracker } = require('./lib/experiments');
+const { postProcess, QualityError } = require('./lib/postProcess');
+const { getStableStreamText } = require('./lib/streamHoldBack');
+const { KeepWarmScheduler, parseQuietHours } = require('./lib/keepWarm');
+const { UsageMeter, estimateTokens, getCallCost, validateBudgets, summarizeUsage, toDay } = require('./lib/usage');
+const { RATE_LIMIT_SECTIONS, validateParameters, validateRateLimit } = require('./lib/runtimeControls');
+const { createFileStores, createClusterStores } = require('./lib/stores');
+
+// Builds the proxy: the Express app and everything behind it. Nothing listens
+// and nothing runs in the background until start() is called, so the app can
+// be driven in-process, e.g. against scripts/fakeHuggingFace.js. options.now
+// replaces the clock, options.sleep(ms) the timer behind retry backoff and
+// options.random the sampling of shadow traffic. In cluster mode
+// options.cluster is the worker's ClusterChannel (see lib/cluster.js).
+function createApp(options = {}) {
+    const now = options.now || Date.now;
+    const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    const app = express();
+
+    // Set by drain() once the server is shutting down: /readyz fails and no
+    // connection is kept alive, so clients move to the other instances
+    let draining = false;
+
+    // Texts and system prompts for every message key, per language (config/locales).
+    // A catalog missing any key stops the server from starting.
+    const i18n = MessageCatalog.load().validate(Object.values(MESSAGE_KEYS));
+
+    // Prometheus metrics, served on /metrics
+    const metrics = new MetricsRegistry('dermi_');
+    const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+    const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request duration', ['method', 'route']);
+    const modelAttempts = metrics.counter('model_attempts_total', 'Upstream model attempts by outcome', ['model', 'outcome']);
+    const modelRetries = metrics.counter('model_retries_total', 'Retries of a model that was loading', ['model']);
+    const modelFallbacks = metrics.counter('model_fallbacks_total', 'Requests that gave up on a model and moved on to the next', ['model', 'reason']);
+    const modelOutputIssues = metrics.counter('model_output_issues_total', 'Model answers that failed the post-processing checks, by issue', ['model', 'issue']);
+    const upstreamTokens = metrics.counter('upstream_tokens_total', 'Tokens sent to and generated by upstream models, reported or estimated', ['model', 'direction']);
+    const upstreamLatency = metrics.histogram('upstream_latency_seconds', 'Upstream model call latency', ['model', 'outcome']);
+    const rateLimitRejections = metrics.counter('rate_limit_rejections_total', 'Requests rejected by a rate limiter', ['limiter', 'tier']);
+    const responseOutcomes = metrics.counter('responses_total', 'Chat responses by outcome: "answer" or the messageKey sent', ['outcome']);
+    const cacheLookups = metrics.counter('response_cache_lookups_total', 'Response cache lookups by result', ['result']);
+    const requestsShed = metrics.counter('requests_shed_total', 'Requests turned away because the work queue was full', ['route']);
+    const batchItems = metrics.counter('batch_items_total', 'Batch questions by result status', ['status']);
+    const feedbackRatings = metrics.counter('feedback_ratings_total', 'Answer ratings by model and rating', ['model', 'rating']);
+    metrics.gauge('work_queue_jobs', 'Model chains running or waiting in the work queue', ['state'], (gauge) => {
+        const stats = workQueue.getStats();
+        gauge.set({ state: 'active' }, stats.active);
+        gauge.set({ state: 'queued' }, stats.queued);
+    });
+    const BREAKER_STATE_VALUES = { closed: 0, half_open: 1, open: 2 };
+    metrics.gauge('model_breaker_state', 'Circuit breaker state per model: 0 closed, 1 half open, 2 open', ['model'], (gauge) => {
+        for (const model of modelRegistry.getModels().concat(modelRegistry.getImageModels())) {
+            const breaker = getBreaker(model);
+            breaker.refreshState();
+            gauge.set({ model: model.name }, BREAKER_STATE_VALUES[breaker.state]);
+        }
+    });
+
+    function recordModelAttempt(modelName, outcome, latencyMs) {
+        modelAttempts.inc({ model: modelName, outcome });
+        upstreamLatency.observe({ model: modelName, outcome }, latencyMs / 1000);
+    }
+
+    function recordResponseOutcome(body) {
+        responseOutcomes.inc({ outcome: body.messageKey || 'answer' });
+    }
+
+    // Request ids: an X-Request-Id from the load balancer is kept, otherwise one
+    // is made up. It is echoed in the response and attached to every log entry
+    // written while the request is handled.
+    app.use((req, res, next) => {
+        const incomingId = req.get('X-Request-Id');
+        req.id = incomingId && /^[\w.:-]{1,128}$/.test(incomingId) ? incomingId : crypto.randomBytes(12).toString('hex');
+        res.set('X-Request-Id', req.id);
+        req.receivedAt = now();
+        if (draining) res.set('Connection', 'close');
+
+        const endTimer = httpDuration.startTimer({ method: req.method });
+        res.on('finish', () => {
+            // Label by route pattern, not by path, to keep the number of series bounded
+            const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+            const seconds = endTimer({ route });
+            httpRequests.inc({ method: req.method, route, status: res.statusCode });
+
+            // Scrapes and probes come every few seconds
+            const isProbe = ['/metrics', '/healthz', '/readyz'].includes(route);
+            logger[isProbe ? 'debug' : 'info']('Request completed', {
+                request_id: req.id,
+                method: req.method,
+                route: route,
+                status: res.statusCode,
+                duration_ms: Math.round(seconds * 1000),
+                client_id: req.apiClient ? req.apiClient.id : undefined,
+                language: req.language
+            });
+        });
+
+        runWithContext({ request_id: req.id }, next);
+    });
+
+    // Behind a load balancer req.ip is the balancer's address unless Express trusts
+    // X-Forwarded-For. TRUST_PROXY takes "true", a hop count or a subnet list.
+    if (process.env.TRUST_PROXY) {
+        const trustProxy = process.env.TRUST_PROXY;
+        app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+    }
+
+    // Only browsers on allowlisted origins may call the API (CORS_ORIGINS, comma separated).
+    // Without an allowlist every origin is accepted, as before.
+    const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+    if (corsOrigins.length === 0) {
+        logger.warn('CORS_ORIGINS is not set, accepting requests from every origin');
+    }
+    app.use(cors(corsOrigins.length ? { origin: corsOrigins } : undefined));
+
+    // Parse JSON request bodies. The photo route parses its own, larger bodies
+    // once the caller has been authenticated.
+    const jsonParser = express.json({ limit: '1mb' }); // Increase limit for larger prompts
+    app.use((req, res, next) => req.path === '/api/analyze-image' ? next() : jsonParser(req, res, next));
+
+    // Negotiate the response language once per request: the "language" field
+    // wins over Accept-Language, and unsupported languages fall back to English
+    function negotiateLanguage(req, res, next) {
+        req.language = i18n.resolve(req.body?.language || req.query.language, req.get('Accept-Language'));
+        res.set('Content-Language', req.language);
+        next();
+    }
+    app.use(negotiateLanguage);
+
+    // Simple health check endpoint
+    app.get('/', (req, res) => {
+        const readiness = getReadiness();
+        res.json({
+            status: readiness.ready ? 'Dermi Hugging Face Proxy API is running' : 'Dermi Hugging Face Proxy API is degraded',
+            ready: readiness.ready,
+            currentModel: getActiveModelName()
+        });
+    });
+
+    // Liveness: the process is up and its event loop turns. Model outages don't
+    // fail it, since a restart wouldn't fix them.
+    app.get('/healthz', (req, res) => {
+        res.json({ status: 'ok', uptime_s: Math.round(process.uptime()) });
+    });
+
+    // Readiness: whether this instance should get traffic. 503 while draining,
+    // when no text model can take a request (no credentials, disabled or with
+    // an open breaker) or when the work queue is full.
+    app.get('/readyz', (req, res) => {
+        const readiness = getReadiness();
+        res.status(readiness.ready ? 200 : 503).json({
+            status: readiness.ready ? 'ready' : 'not_ready',
+            ...readiness
+        });
+    });
+
+    // Set once any model has answered; per-request routing state lives in the routing context
+    let modelSuccessfullyLoaded = false;
+
+    // Models, their priority order and per-model settings come from the registry
+    // file (config/models.json by default), which is reloaded when it changes
+    const modelRegistry = new ModelRegistry();
+    modelRegistry.load();
+
+    // PRIMARY_MODEL moves one of the registry's text models to the front of the
+    // chain without editing the registry; an admin pin still goes before it
+    const PRIMARY_MODEL = process.env.PRIMARY_MODEL || null;
+    if (PRIMARY_MODEL && !modelRegistry.getModels().some(model => model.name === PRIMARY_MODEL)) {
+        logger.warn('PRIMARY_MODEL is not an enabled text model in the registry, using the registry order', { model: PRIMARY_MODEL });
+    }
+
+    // Per-model circuit breakers; the router skips models whose breaker is open.
+    // Cluster workers mirror each other's breakers.
+    const breakers = new BreakerRegistry({}, now, options.cluster
+        ? (breaker) => options.cluster.broadcast('breaker', { model: breaker.name, ...breaker.getSharedState() })
+        : null);
+    if (options.cluster) {
+        options.cluster.on('breaker', ({ model: modelName, ...state }) => {
+            const model = findRegistryModel(modelName);
+            if (model) getBreaker(model).syncState(state);
+        });
+    }
+
+    function getBreaker(model) {
+        return breakers.get(model.name, model.breaker);
+    }
+
+    // Every model chain needs a slot in the work queue: REQUEST_CONCURRENCY chains
+    // run at once and up to REQUEST_QUEUE_SIZE more wait; beyond that requests are
+    // shed. Each model also serves at most maxConcurrent calls at a time (from the
+    // registry, MODEL_MAX_CONCURRENCY by default).
+    const workQueue = new WorkQueue('requests', {
+        concurrency: parseInt(process.env.REQUEST_CONCURRENCY, 10) || 20,
+        maxQueued: parseInt(process.env.REQUEST_QUEUE_SIZE, 10) || 100
+    }, now);
+    const modelQueues = new WorkQueueRegistry({}, now);
+    const MODEL_MAX_CONCURRENCY = parseInt(process.env.MODEL_MAX_CONCURRENCY, 10) || 4;
+
+    function getModelQueue(model) {
+        return modelQueues.get(model.name, model.maxConcurrent || MODEL_MAX_CONCURRENCY);
+    }
+
+    // How long a request may spend waiting for and walking the model chain: the
+    // X-Request-Timeout header or a timeout_ms field (in ms, up to
+    // REQUEST_DEADLINE_MAX_MS), otherwise REQUEST_DEADLINE_MS
+    const DEFAULT_DEADLINE_MS = parseInt(process.env.REQUEST_DEADLINE_MS, 10) || 60000;
+    const MAX_DEADLINE_MS = parseInt(process.env.REQUEST_DEADLINE_MAX_MS, 10) || 120000;
+
+    function getRequestDeadline(req) {
+        const requested = parseInt(req.get('X-Request-Timeout') || (req.body && req.body.timeout_ms), 10);
+        const timeout = requested > 0 ? Math.min(requested, MAX_DEADLINE_MS) : DEFAULT_DEADLINE_MS;
+        return now() + timeout;
+    }
+
+    // Turn requests away before doing any work while the work queue is full
+    function shedLoad(req, res, next) {
+        if (!workQueue.isFull) return next();
+
+        requestsShed.inc({ route: req.route ? req.route.path : req.path });
+        logger.warn('Work queue full, shedding request', workQueue.getStats());
+        res.set('Retry-After', '5');
+        res.status(503).json({
+            error: 'Service busy',
+            messageKey: MESSAGE_KEYS.SERVER_BUSY,
+            fallbackMessage: i18n.t(MESSAGE_KEYS.SERVER_BUSY, req.language)
+        });
+    }
+
+    // The file-backed stores (see lib/stores.js): overrides admins set at runtime,
+    // upstream usage, client keys and answer feedback. Cluster workers use the
+    // primary's, so every worker sees the same ones.
+    const { runtimeControls, usageStore, clientStore, feedbackStore } = options.cluster
+        ? createClusterStores(options.cluster)
+        : createFileStores({ now });
+
+    // Upstream calls, tokens and cost per model and client (USAGE_STORE_PATH),
+    // checked against the daily and monthly budgets in BUDGET_CONFIG_PATH
+    const budgetConfig = require(process.env.BUDGET_CONFIG_PATH ||
+        path.join(__dirname, 'config', 'budgets.json'));
+    const budgetErrors = validateBudgets(budgetConfig);
+    if (budgetErrors.length) {
+        throw new Error(`Invalid budget config:\n  - ${budgetErrors.join('\n  - ')}`);
+    }
+    const costBudgets = ['daily', 'monthly'].filter(period => budgetConfig[period] && typeof budgetConfig[period].cost === 'number');
+    if (costBudgets.length && !modelRegistry.getModels().some(model => model.cost)) {
+        logger.warn('Cost budgets are set but no registry model has a "cost" entry, so only call budgets take effect', { budgets: costBudgets });
+    }
+    // Cluster workers count each other's calls against the budgets too
+    const usageMeter = new UsageMeter(usageStore, budgetConfig, {
+        now: now,
+        onRecord: options.cluster ? (day, counters) => options.cluster.broadcast('usage', { day, counters }) : null
+    });
+    if (options.cluster) {
+        options.cluster.on('usage', ({ day, counters }) => usageMeter.syncCounters(day, counters));
+    }
+    usageMeter.load().catch(error => logger.error('Failed to load upstream usage totals', { error }));
+
+    // Who an upstream call is billed to: the API client, or "anonymous"
+    function getUsageClient(req) {
+        return req.apiClient ? req.apiClient.id : 'anonymous';
+    }
+
+    // Count one upstream call. Token counts the upstream reported win over
+    // estimates from the prompt and the output text.
+    // call: { ok, retry, input, output, reported: { input_tokens, output_tokens } }
+    function recordUpstreamCall(model, clientId, call) {
+        const reported = call.reported || {};
+        const inputTokens = reported.input_tokens ?? estimateTokens(call.input);
+        const outputTokens = reported.output_tokens ?? estimateTokens(call.output);
+
+        usageMeter.record({
+            model: model.name,
+            client: clientId,
+            ok: call.ok,
+            retry: call.retry,
+            input_tokens: inputTokens,
+            output_tokens: outputTokens,
+            estimated: (reported.input_tokens === undefined && inputTokens > 0) ||
+                (reported.output_tokens === undefined && outputTokens > 0),
+            cost: getCallCost(model.cost, inputTokens, outputTokens)
+        });
+        upstreamTokens.inc({ model: model.name, direction: 'input' }, inputTokens);
+        upstreamTokens.inc({ model: model.name, direction: 'output' }, outputTokens);
+    }
+
+    // What one upstream call sends, to be filled in with its output and passed
+    // to recordUpstreamCall. Providers that count tokens report them through
+    // request.onUsage.
+    function meterCall(model, request) {
+        const call = {
+            input: model.provider === 'openai' && request.messages
+                ? request.messages.map(message => message.content).join('\n')
+                : request.prompt || '',
+            output: '',
+            reported: {}
+        };
+        request.onUsage = (reported) => Object.assign(call.reported, reported);
+        return call;
+    }
+
+    // A model chain without the models admins disabled, the pinned one first
+    function applyRuntimeControls(models) {
+        const enabled = models.filter(model => !runtimeControls.isDisabled(model.name));
+        const pinned = enabled.find(model => model.name === runtimeControls.pinned);
+        return pinned ? [pinned, ...enabled.filter(model => model !== pinned)] : enabled;
+    }
+
+    // Text models for a new request, PRIMARY_MODEL first. Past a "cheap_models"
+    // budget only the budget's cheap models are left, unless none of them is
+    // available.
+    function getRoutedModels() {
+        const registered = modelRegistry.getModels();
+        const primary = registered.find(model => model.name === PRIMARY_MODEL);
+        const models = applyRuntimeControls(primary ? [primary, ...registered.filter(model => model !== primary)] : registered);
+        if (usageMeter.getMode() !== 'cheap_models') return models;
+
+        const cheapModels = models.filter(model => usageMeter.getCheapModels().includes(model.name));
+        return cheapModels.length ? cheapModels : models;
+    }
+
+    // Whether this instance should take traffic, and why not
+    function getReadiness() {
+        const models = getRoutedModels();
+        const healthy = models.filter(model => hasCredentials(model) && getBreaker(model).canRequest());
+        const reasons = [];
+
+        if (draining) reasons.push('draining');
+        if (!healthy.length) reasons.push('no_healthy_models');
+        if (workQueue.isFull) reasons.push('queue_full');
+
+        return {
+            ready: !reasons.length,
+            reasons: reasons,
+            models: { healthy: healthy.length, total: models.length },
+            queue: workQueue.getStats()
+        };
+    }
+
+    // The model a new request would try first, in the usual chain or the given one
+    function getActiveModelName(models = getRoutedModels()) {
+        const model = models.find(m => hasCredentials(m) && getBreaker(m).canRequest());
+        return model ? model.name : null;
+    }
+
+    // A/B splits and shadow candidates from the registry's "experiments"; every
+    // observation goes to EXPERIMENT_LOG_PATH (data/experiments.jsonl by default)
+    const experiments = new ExperimentTracker(() => modelRegistry.getExperiments(), {
+        logPath: process.env.EXPERIMENT_LOG_PATH || path.join(__dirname, 'data', 'experiments.jsonl'),
+        random: options.random
+    });
+
+    // Medical safety rules applied before and after every model call
+    const guardrails = Guardrails.load(i18n);
+
+    // Vetted articles retrieved into prompts (knowledge/<language>/*.md by default).
+    // KNOWLEDGE_TOP_K passages scoring at least KNOWLEDGE_MIN_SCORE are used.
+    const knowledgeBase = new KnowledgeBase(undefined, {
+        limit: parseInt(process.env.KNOWLEDGE_TOP_K, 10) || undefined,
+        minScore: process.env.KNOWLEDGE_MIN_SCORE ? parseFloat(process.env.KNOWLEDGE_MIN_SCORE) : undefined,
+        now: now
+    });
+    knowledgeBase.load();
+
+    // Server-side conversation sessions, kept in memory unless another store is plugged in
+    const conversationStore = new MemoryConversationStore({
+        ttl: parseInt(process.env.CONVERSATION_TTL_MS, 10) || undefined,
+        now: now
+    });
+
+    // Rate limits per client tier, per client id and for the admin routes
+    const rateLimitConfig = require(process.env.RATE_LIMIT_CONFIG_PATH ||
+        path.join(__dirname, 'config', 'rateLimits.json'));
+
+    // One Redis connection, shared by every store that uses it
+    let redisClient = null;
+
+    function getRedisClient() {
+        if (redisClient) return redisClient;
+
+        let Redis;
+        try {
+            Redis = require('ioredis');
+        } catch (error) {
+            throw new Error('REDIS_URL is set but the "ioredis" package is not installed');
+        }
+        redisClient = new Redis(process.env.REDIS_URL);
+        return redisClient;
+    }
+
+    // Counters live in Redis when REDIS_URL is set, so every instance shares them,
+    // and otherwise in the cluster primary when there are several workers
+    function createRateLimitStore() {
+        if (process.env.REDIS_URL) {
+            return new RedisRateLimitStore(getRedisClient());
+        }
+        return options.cluster ? new ClusterRateLimitStore(options.cluster) : new MemoryRateLimitStore(now);
+    }
+
+    const rateLimitStore = createRateLimitStore();
+
+    // Answers to standalone questions, shared through Redis when REDIS_URL is set
+    const responseCache = new ResponseCache({
+        store: process.env.REDIS_URL
+            ? new RedisCacheStore(getRedisClient())
+            : new MemoryCacheStore({ maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10) || undefined, now: now }),
+        ttl: parseInt(process.env.RESPONSE_CACHE_TTL_MS, 10) || undefined,
+        staleTtl: parseInt(process.env.RESPONSE_CACHE_STALE_TTL_MS, 10) || undefined,
+        now: now
+    });
+
+    // REQUIRE_CLIENT_AUTH=true turns away anonymous callers; leave it off until
+    // every app build ships with its own key
+    const requireClientAuth = process.env.REQUIRE_CLIENT_AUTH === 'true';
+    if (!requireClientAuth) {
+        logger.warn('REQUIRE_CLIENT_AUTH is not enabled, anonymous clients can use the API');
+    }
+
+    const { authenticate, requireClient, requireAuthenticated, requireAdmin } = createAuth({
+        clientStore: clientStore,
+        jwtSecret: process.env.JWT_SECRET,
+        adminKey: process.env.ADMIN_API_KEY,
+        required: requireClientAuth,
+        errors: {
+            unauthorized: (req) => ({
+                error: 'Unauthorized',
+                messageKey: MESSAGE_KEYS.UNAUTHORIZED,
+                fallbackMessage: i18n.t(MESSAGE_KEYS.UNAUTHORIZED, req.language)
+            }),
+            forbidden: (req) => ({
+                error: 'Forbidden',
+                messageKey: MESSAGE_KEYS.FORBIDDEN,
+                fallbackMessage: i18n.t(MESSAGE_KEYS.FORBIDDEN, req.language)
+            }),
+            serverError: (req) => ({
+                error: 'Failed to check credentials',
+                messageKey: MESSAGE_KEYS.SERVER_ERROR,
+                fallbackMessage: i18n.t(MESSAGE_KEYS.SERVER_ERROR, req.language),
+                retry: true
+            })
+        }
+    });
+
+    function getClientKey(req) {
+        return req.apiClient ? req.apiClient.id : `ip:${req.ip}`;
+    }
+
+    // A policy from config/rateLimits.json, or the admins' runtime override of
+    // it: a section ("admin", "batch") or one entry of "tiers" or "clients"
+    function getRateLimitPolicy(section, name) {
+        const configured = name === undefined ? rateLimitConfig[section] : rateLimitConfig[section][name];
+        return runtimeControls.getRateLimit(section, name) || configured;
+    }
+
+    // Client-specific limits win over the tier's limits
+    function resolveRateLimitPolicy(req) {
+        const tier = req.apiClient ? req.apiClient.tier : 'anonymous';
+        const tierPolicy = getRateLimitPolicy('tiers', tier) || getRateLimitPolicy('tiers', 'anonymous');
+        const clientPolicy = req.apiClient && getRateLimitPolicy('clients', req.apiClient.id);
+        return { tier, ...tierPolicy, ...clientPolicy };
+    }
+
+    function rateLimitResponse(req) {
+        return {
+            error: 'Rate limit exceeded',
+            messageKey: MESSAGE_KEYS.RATE_LIMIT_EXCEEDED,
+            fallbackMessage: i18n.t(MESSAGE_KEYS.RATE_LIMIT_EXCEEDED, req.language)
+        };
+    }
+
+    const rateLimiter = createRateLimiter({
+        store: rateLimitStore,
+        name: 'api',
+        resolvePolicy: resolveRateLimitPolicy,
+        keyGenerator: getClientKey,
+        onReject: (req, policy) => rateLimitRejections.inc({ limiter: 'api', tier: policy.tier }),
+        rejectBody: rateLimitResponse,
+        now: now
+    });
+
+    // The debug and warm-up routes run whole model chains, so they get their own, smaller budget
+    const adminRateLimiter = createRateLimiter({
+        store: rateLimitStore,
+        name: 'admin',
+        resolvePolicy: () => ({ tier: 'admin', ...getRateLimitPolicy('admin') }),
+        keyGenerator: getClientKey,
+        onReject: (req, policy) => rateLimitRejections.inc({ limiter: 'admin', tier: policy.tier }),
+        rejectBody: rateLimitResponse,
+        now: now
+    });
+
+    // Batches count as one request each against a budget of their own, per client
+    const batchRateLimiter = createRateLimiter({
+        store: rateLimitStore,
+        name: 'batch',
+        resolvePolicy: () => ({ tier: 'batch', ...getRateLimitPolicy('batch') }),
+        keyGenerator: getClientKey,
+        onReject: (req, policy) => rateLimitRejections.inc({ limiter: 'batch', tier: policy.tier }),
+        rejectBody: rateLimitResponse,
+        now: now
+    });
+
+    // Fill {placeholders} in a template string
+    function fillTemplate(template, values) {
+        return (template || '').replace(/\{(\w+)\}/g, (match, key) =>
+            values[key] !== undefined ? values[key] : match);
+    }
+
+    // Retrieved passages as numbered notes for the prompt's {context}; empty without passages
+    function formatReferenceNotes(passages) {
+        if (!passages.length) return '';
+        const notes = passages.map((passage, i) => `[${i + 1}] ${passage.text}`).join('\n');
+        return `Use these reference notes if they help answer the question:\n${notes}\n\n`;
+    }
+
+    // Render a conversation with the template the registry assigns to the model
+    function renderPrompt(messages, modelName, language, context = '') {
+        const template = modelRegistry.getModel(modelName).template;
+        const systemNotes = messages.filter(m => m.role === 'system').map(m => m.content);
+        const turns = messages.filter(m => m.role !== 'system');
+        const system = [i18n.getSystemPrompt(language), ...systemNotes].join('\n');
+
+        if (template.single) {
+            // Instruction-style templates: earlier turns go in as context for the last question
+            const question = turns[turns.length - 1].content;
+            const history = turns.slice(0, -1)
+                .map(turn => fillTemplate(template.historyTurn, {
+                    speaker: turn.role === 'user' ? 'User' : 'Dermi',
+                    content: turn.content
+                }))
+                .join('\n');
+            return history && template.followUp
+                ? fillTemplate(template.followUp, { system, context, history, question })
+                : fillTemplate(template.single, { system, context, question });
+        }
+
+        // Chat-style templates render every turn
+        let prompt = fillTemplate(template.prefix, { system });
+        let first = true;
+        for (const turn of turns) {
+            if (turn.role === 'user') {
+                prompt += fillTemplate(first && template.firstUser ? template.firstUser : template.user, {
+                    system,
+                    context: first ? context : '',
+                    content: turn.content
+                });
+                first = false;
+            } else {
+                prompt += fillTemplate(template.assistant, { content: turn.content });
+            }
+        }
+        return prompt + fillTemplate(template.suffix, { system });
+    }
+
+    // IMPROVED: Better prompt formatting based on model type.
+    // Accepts a messages array or a legacy transcript string and renders the
+    // whole history, dropping the oldest turns until it fits the model's budget.
+    // Retrieved passages go where the template puts {context}.
+    function formatPrompt(inputs, modelName, language = DEFAULT_LANGUAGE, passages = []) {
+        const messages = toMessages(inputs);
+        const budget = modelRegistry.getModel(modelName).contextBudget;
+        const context = formatReferenceNotes(passages);
+
+        let prompt = renderPrompt(messages, modelName, language, context);
+        while (prompt.length > budget) {
+            // Always keep the latest user turn, even if it alone is over budget
+            const oldest = messages.findIndex(m => m.role !== 'system');
+            if (oldest === -1 || oldest === messages.length - 1) break;
+
+            messages.splice(oldest, 1);
+            // History must still start with a user turn
+            while (messages[oldest] && messages[oldest].role === 'assistant') {
+                messages.splice(oldest, 1);
+            }
+            prompt = renderPrompt(messages, modelName, language, context);
+        }
+
+        return prompt;
+    }
+
+    // Chat-style providers apply their own template, so they get the system prompt
+    // plus the conversation as messages, trimmed to the same budget. Retrieved
+    // passages are added to the system message.
+    function buildChatMessages(inputs, modelName, language = DEFAULT_LANGUAGE, passages = []) {
+        const messages = toMessages(inputs);
+        const systemNotes = messages.filter(m => m.role === 'system').map(m => m.content);
+        const turns = messages.filter(m => m.role !== 'system');
+        const referenceNotes = formatReferenceNotes(passages).trim();
+        const system = {
+            role: 'system',
+            content: [i18n.getSystemPrompt(language), ...systemNotes, ...(referenceNotes ? [referenceNotes] : [])].join('\n')
+        };
+
+        const budget = modelRegistry.getModel(modelName).contextBudget;
+        const size = () => turns.reduce((total, turn) => total + turn.content.length, system.content.length);
+        while (turns.length > 1 && size() > budget) {
+            turns.shift();
+            while (turns.length > 1 && turns[0].role === 'assistant') {
+                turns.shift();
+            }
+        }
+
+        return [system, ...turns];
+    }
+
+    // Everything a provider needs to run one generation against a model entry.
+    // options: { passages, parameters } with the request's own parameter overrides
+    function buildProviderRequest(model, inputs, language, timeout, signal, options = {}) {
+        const passages = options.passages || [];
+        return {
+            prompt: formatPrompt(inputs, model.name, language, passages),
+            messages: buildChatMessages(inputs, model.name, language, passages),
+            parameters: getModelParameters(model.name, options.parameters),
+            apiKey: getApiKey(model),
+            timeout: timeout,
+            signal: signal
+        };
+    }
+
+    // The same for one image classification
+    function buildImageRequest(model, image, mimeType, timeout, signal) {
+        return {
+            image: image,
+            mimeType: mimeType,
+            apiKey: getApiKey(model),
+            timeout: timeout,
+            signal: signal
+        };
+    }
+
+    // Strip per-model prompt artifacts and echoed instructions from raw model output
+    function cleanModelResponse(response, modelName) {
+        const model = modelRegistry.getModel(modelName);
+        let cleanedResponse = response;
+
+        // Cleanup regexes from the registry: model-specific first, then shared,
+        // which include the echoed system instructions
+        for (const pattern of model.cleanup) {
+            cleanedResponse = cleanedResponse.replace(pattern, '');
+        }
+
+        return cleanedResponse.trim();
+    }
+
+    // IMPROVED: Better response extraction with message keys for fallbacks.
+    // Output that fails the post-processing checks throws a QualityError, so the
+    // chain moves on to the next model; `lenient` settles for the repaired text
+    // instead, for streamed answers that already reached the client.
+    function extractModelResponse(response, modelName, language, lenient = false) {
+        // First check if we received anything
+        if (!response || response.length < 1) {
+            return {
+                messageKey: MESSAGE_KEYS.ASK_DIFFERENTLY,
+                fallbackText: i18n.t(MESSAGE_KEYS.ASK_DIFFERENTLY, language)
+            };
+        }
+
+        logger.debug('Raw model response', { model: modelName, text: redact(response) });
+
+        const model = modelRegistry.getModel(modelName);
+        const processed = postProcess(cleanModelResponse(response, modelName), {
+            stops: model.stop,
+            language: language,
+            maxSentences: model.maxSentences
+        });
+        if (processed.issue) {
+            logger.info('Model output failed the quality checks', { model: modelName, issue: processed.issue });
+            modelOutputIssues.inc({ model: modelName, issue: processed.issue });
+            if (!lenient) throw new QualityError(modelName, processed.issue);
+        }
+        const cleanedResponse = processed.text;
+
+        // If we have an empty response after cleaning, provide a fallback with message key
+        if (!cleanedResponse || cleanedResponse.length < 10) {
+            return {
+                messageKey: MESSAGE_KEYS.HELP_WITH_SKIN,
+                fallbackText: i18n.t(MESSAGE_KEYS.HELP_WITH_SKIN, language)
+            };
+        }
+
+        // Return successful response (no message key needed)
+        return {
+            messageKey: null,
+            text: cleanedResponse
+        };
+    }
+
+    // Turn raw model output into the { generated_text, model_used } shape returned to clients
+    function buildModelResult(rawResponse, modelName, language = DEFAULT_LANGUAGE, lenient = false) {
+        // Extract the actual response text
+        const extractedResponse = extractModelResponse(rawResponse, modelName, language, lenient);
+
+        // Check if we got a message key response (fallback)
+        if (extractedResponse.messageKey) {
+            return {
+                generated_text: {
+                    messageKey: extractedResponse.messageKey,
+                    fallbackText: extractedResponse.fallbackText
+                },
+                model_used: modelName
+            };
+        }
+
+        // Check if response is too short and provide a better response
+        if (extractedResponse.text && extractedResponse.text.length < 15) {
+            logger.info('Model response too short, sending the default message', { model: modelName });
+            return {
+                generated_text: {
+                    messageKey: MESSAGE_KEYS.HELP_WITH_SKIN_SPECIFIC,
+                    fallbackText: i18n.t(MESSAGE_KEYS.HELP_WITH_SKIN_SPECIFIC, language)
+                },
+                model_used: modelName
+            };
+        }
+
+        // Return successful response
+        return {
+            generated_text: extractedResponse.text,
+            model_used: modelName
+        };
+    }
+
+    // Reference passages may take up to half of a model's prompt budget
+    function selectPassages(passages, model) {
+        return fitPassages(passages, model.contextBudget / 2);
+    }
+
+    // Answers built on retrieved passages name their articles for "Learn more" links
+    function withSources(result, passages) {
+        if (typeof result.generated_text !== 'string' || !passages.length) return result;
+        return { ...result, sources: getSources(passages) };
+    }
+
+    // Improved exponential backoff for retries, never past the request's deadline
+    async function wait(attemptNumber, timeLeft = Infinity) {
+        const baseDelay = 2000; // 2 seconds
+        const maxDelay = 30000; // 30 seconds
+        const delay = Math.max(0, Math.min(baseDelay * Math.pow(2, attemptNumber), maxDelay, timeLeft));
+        logger.debug('Waiting before retry', { delay_ms: delay });
+        await sleep(delay);
+    }
+
+    // Get model parameters from the registry and the admins' runtime overrides; a
+    // request's overrides win, and its stop sequences are added to the model's
+    function getModelParameters(modelName, overrides = {}) {
+        const model = modelRegistry.getModel(modelName);
+        const { stop = [], ...overrideParameters } = overrides;
+        const parameters = { ...model.parameters, ...runtimeControls.getParameters(modelName), ...overrideParameters };
+        const stops = model.stop.concat(stop);
+        if (stops.length) {
+            parameters.stop = stops;
+        }
+        return parameters;
+    }
+
+    // Text up to the first of the request's own stop sequences, which upstreams
+    // don't always honour
+    function cutAtStop(text, stops = []) {
+        let end = text.length;
+        for (const stop of stops) {
+            const index = text.indexOf(stop);
+            if (index !== -1 && index < end) end = index;
+        }
+        return text.slice(0, end);
+    }
+
+    // Cheap prompt used to check whether a model has come back
+    const PROBE_PROMPT = 'What is sunscreen?';
+
+    // Image models are checked with a plain 32x32 skin-toned PNG
+    const PROBE_IMAGE = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAACAAAAAgCAIAAAD8GO2jAAAAK0lEQVR42mM4sWACTRHDqAWjFoxaMGrBqAWjFoxaMGrBqAWjFoxaMFQsAAC4b+BqftoMLgAAAABJRU5ErkJggg==', 'base64');
+
+    // One cheap call to a model, for recovery and keep-warm probes. Probes are
+    // billed to "system".
+    async function sendProbe(model) {
+        logger.info('Probing model', { model: model.name });
+        const isImageModel = model.task === 'image-classification';
+        const request = isImageModel
+            ? buildImageRequest(model, PROBE_IMAGE, 'image/png', 15000)
+            : buildProviderRequest(model, PROBE_PROMPT, 'en', 15000);
+        const call = meterCall(model, request);
+
+        try {
+            if (isImageModel) {
+                await getProvider(model).classifyImage(model, request);
+            } else {
+                call.output = await getProvider(model).generate(model, request);
+                modelSuccessfullyLoaded = true;
+            }
+            recordUpstreamCall(model, 'system', { ...call, ok: true });
+        } catch (error) {
+            recordUpstreamCall(model, 'system', { ...call, ok: false });
+            throw error;
+        }
+    }
+
+    // Service recovery: half-open models are probed in the background, one probe
+    // per model at a time, however many requests are failing concurrently
+    const recovery = new RecoveryCoordinator({
+        getModels: () => modelRegistry.getModels().concat(modelRegistry.getImageModels()).filter(hasCredentials),
+        getBreaker: getBreaker,
+        probe: sendProbe,
+        now: now
+    });
+
+    // Models with a "keepWarm" entry get probes on their own adaptive interval,
+    // except during KEEP_WARM_QUIET_HOURS (UTC, e.g. "23-7") and for
+    // KEEP_WARM_QUOTA_PAUSE_MS after the upstream reported its quota exhausted,
+    // and while a usage budget is nearly used up
+    const keepWarm = new KeepWarmScheduler({
+        getModels: () => applyRuntimeControls(modelRegistry.getModels().concat(modelRegistry.getImageModels())).filter(hasCredentials),
+        getBreaker: getBreaker,
+        probe: sendProbe,
+        isColdStart: isModelLoadingError,
+        isQuotaError: isQuotaError
+    }, {
+        quietHours: parseQuietHours(process.env.KEEP_WARM_QUIET_HOURS),
+        quotaPauseMs: parseInt(process.env.KEEP_WARM_QUOTA_PAUSE_MS, 10) || undefined,
+        isQuotaLow: () => usageMeter.isNearLimit(),
+        now: now
+    });
+
+    // Everything one request needs while it walks the model chain. Nothing in here
+    // is shared between requests, so concurrent requests keep their own model,
+    // language and retry count. The model list is snapshotted so a registry
+    // reload mid-request can't shift it; options.models replaces it (image models).
+    // The deadline is a timestamp; chains without one get the default.
+    function createRoutingContext(language = DEFAULT_LANGUAGE, options = {}) {
+        return {
+            language: language,
+            models: options.models || getRoutedModels(),
+            startIndex: options.modelIndex || 0,
+            signal: options.signal,
+            deadline: options.deadline || now() + DEFAULT_DEADLINE_MS,
+            passages: options.passages || [],
+            parameters: options.parameters || {},
+            clientId: options.clientId || 'system',
+            model: null,
+            call: null,
+            attempts: []
+        };
+    }
+
+    function isModelLoadingError(error) {
+        const upstreamError = error.response?.data?.error;
+        return error.response?.status === 503 ||
+            (typeof upstreamError === 'string' && upstreamError.includes('loading'));
+    }
+
+    function isTimeoutError(error) {
+        return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+    }
+
+    function isQuotaError(error) {
+        return error.response?.status === 429;
+    }
+
+    function timeLeft(context) {
+        return context.deadline - now();
+    }
+
+    // Upstream timeout for one attempt: longer on every retry, but never past the deadline
+    function getAttemptTimeout(context, model, attemptNumber) {
+        return Math.min(model.timeout + (attemptNumber * 10000), timeLeft(context));
+    }
+
+    // Run one request's model chain in a work queue slot. A full queue and a
+    // deadline that passed while waiting become message keys. Past a
+    // "cache_only" budget no model is called; callers fall back to the cache.
+    async function runModelChain(context, attemptModel) {
+        if (usageMeter.getMode() === 'cache_only') {
+            logger.warn('Usage budget exhausted, not calling any model');
+            throw new Error(MESSAGE_KEYS.BUDGET_EXHAUSTED);
+        }
+
+        try {
+            return await workQueue.run(() => walkModelChain(context, attemptModel), {
+                deadline: context.deadline,
+                signal: context.signal
+            });
+        } catch (error) {
+            if (error instanceof QueueFullError) {
+                logger.warn('Work queue full, rejecting model chain');
+                throw new Error(MESSAGE_KEYS.SERVER_BUSY);
+            }
+            if (error instanceof DeadlineError) {
+                logger.warn('Request deadline passed while queued', { error: error.message });
+                throw new Error(MESSAGE_KEYS.REQUEST_TIMEOUT);
+            }
+            throw error;
+        }
+    }
+
+    // Walk the model chain for one request: skip models without credentials or
+    // with an open breaker, retry loading models with backoff, and fall back to
+    // the next model on any other error. attemptModel(model, attemptNumber) makes
+    // the actual upstream call, in one of the model's concurrency slots, and
+    // leaves it in context.call to be billed to context.clientId.
+    async function walkModelChain(context, attemptModel) {
+        const { models } = context;
+
+        if (!models.some(hasCredentials)) {
+            logger.error('Missing API key for every configured model');
+            throw new Error(MESSAGE_KEYS.API_KEY_MISSING);
+        }
+
+        for (let modelIndex = context.startIndex; modelIndex < models.length; modelIndex++) {
+            const model = models[modelIndex];
+            const modelName = model.name;
+
+            if (!hasCredentials(model)) {
+                logger.info('Skipping model without credentials', { model: modelName, env: model.apiKeyEnv });
+                continue;
+            }
+
+            // Don't spend the request on a model that is known to be failing
+            const breaker = getBreaker(model);
+            if (!breaker.canRequest()) {
+                logger.info('Skipping model with open circuit breaker', { model: modelName, state: breaker.state });
+                continue;
+            }
+
+            for (let attemptNumber = 0; ; attemptNumber++) {
+                if (timeLeft(context) <= 0) {
+                    logger.warn('Request deadline passed, giving up on the model chain', { model: modelName });
+                    throw new Error(MESSAGE_KEYS.REQUEST_TIMEOUT);
+                }
+
+                context.model = modelName;
+                context.call = null;
+                const release = await getModelQueue(model).acquire({ deadline: context.deadline, signal: context.signal });
+                const startedAt = now();
+                // With the deadline nearer than the model's own timeout, a timeout is the request's doing
+                const deadlineBound = timeLeft(context) < model.timeout + (attemptNumber * 10000);
+                const meter = (ok) => {
+                    if (context.call) recordUpstreamCall(model, context.clientId, { ...context.call, ok, retry: attemptNumber > 0 });
+                };
+
+                try {
+                    const result = await attemptModel(model, attemptNumber).finally(release);
+                    const latency = now() - startedAt;
+
+                    meter(true);
+                    breaker.recordSuccess(latency);
+                    recordModelAttempt(modelName, 'success', latency);
+                    context.attempts.push({ model: modelName, attempt: attemptNumber + 1, ok: true });
+                    modelSuccessfullyLoaded = true;
+                    return result;
+
+                } catch (error) {
+                    // A rejected answer still came back from the upstream
+                    meter(error instanceof QualityError);
+
+                    if (context.signal && context.signal.aborted) {
+                        recordModelAttempt(modelName, 'aborted', now() - startedAt);
+                        throw error;
+                    }
+
+                    // Not the model's fault, so its breaker doesn't hear about it
+                    if (deadlineBound && isTimeoutError(error)) {
+                        logger.warn('Request deadline passed during a model attempt', { model: modelName, attempt: attemptNumber + 1 });
+                        recordModelAttempt(modelName, 'deadline', now() - startedAt);
+                        if (error.partialResult) {
+                            return error.partialResult;
+                        }
+                        throw new Error(MESSAGE_KEYS.REQUEST_TIMEOUT);
+                    }
+
+                    // The model answered, just not well enough for this question (a loop, the
+                    // wrong script); that's no outage, so the breaker stays out of it and
+                    // the next model can go right away
+                    if (error instanceof QualityError) {
+                        logger.info('Model output rejected, trying next model', { model: modelName, issue: error.issue });
+                        recordModelAttempt(modelName, 'low_quality', now() - startedAt);
+                        context.attempts.push({ model: modelName, attempt: attemptNumber + 1, ok: false, error: error.message });
+                        modelFallbacks.inc({ model: modelName, reason: 'quality' });
+                        break;
+                    }
+
+                    logger.warn('Model attempt failed', { model: modelName, attempt: attemptNumber + 1, error });
+                    if (isQuotaError(error)) keepWarm.pauseForQuota();
+
+                    breaker.recordFailure(error);
+                    recordModelAttempt(modelName, 'failure', now() - startedAt);
+                    context.attempts.push({ model: modelName, attempt: attemptNumber + 1, ok: false, error: error.message });
+
+                    // A streamed answer that broke off midway can't fall back any more
+                    if (error.partialResult) {
+                        return error.partialResult;
+                    }
+
+                    // Once the breaker trips, stop retrying this model and move on right away
+                    if (!breaker.canRequest()) {
+                        logger.info('Circuit breaker tripped, trying next model', { model: modelName, state: breaker.state });
+                        modelFallbacks.inc({ model: modelName, reason: 'breaker_open' });
+                        break;
+                    }
+
+                    // Handle model loading errors
+                    if (isModelLoadingError(error)) {
+                        logger.info('Model unavailable or loading', { model: modelName });
+
+                        // Wait longer between retries for 503 errors
+                        await wait(attemptNumber + 1, timeLeft(context));
+
+                        // Try more times before switching models
+                        if (attemptNumber < 2) {
+                            modelRetries.inc({ model: modelName });
+                            continue;
+                        }
+                        modelFallbacks.inc({ model: modelName, reason: 'loading' });
+                        break;
+                    }
+
+                    // Special handling for timeouts
+                    if (isTimeoutError(error)) {
+                        logger.info('Model timed out', { model: modelName });
+                        modelFallbacks.inc({ model: modelName, reason: 'timeout' });
+
+                        // Wait before trying the next model
+                        await wait(0, timeLeft(context));
+                        break;
+                    }
+
+                    // For any other error, try the next model
+                    logger.info('Unhandled error, trying next model', { model: modelName });
+                    modelFallbacks.inc({ model: modelName, reason: 'error' });
+                    await wait(0, timeLeft(context));
+                    break;
+                }
+            }
+        }
+
+        throw new Error(MESSAGE_KEYS.ALL_MODELS_FAILED);
+    }
+
+    // IMPROVED: Model calling function with better error handling and fallback.
+    // Each registry entry is served by its own provider (Hugging Face, OpenAI-compatible, stub).
+    // options: { modelIndex, signal, passages, parameters, context }
+    async function callHuggingFaceAPI(inputs, language = DEFAULT_LANGUAGE, options = {}) {
+        const context = options.context || createRoutingContext(language, options);
+
+        return runModelChain(context, async (model, attemptNumber) => {
+            logger.info('Model attempt', {
+                model: model.name,
+                provider: model.provider,
+                attempt: attemptNumber + 1,
+                input_messages: Array.isArray(inputs) ? inputs.length : undefined,
+                input_chars: Array.isArray(inputs) ? undefined : inputs.length
+            });
+
+            // Format the input correctly for the chosen model
+            const passages = selectPassages(context.passages, model);
+            const request = buildProviderRequest(
+                model,
+                inputs,
+                context.language,
+                getAttemptTimeout(context, model, attemptNumber), // Increase timeout with each retry
+                context.signal,
+                { passages, parameters: context.parameters }
+            );
+
+            logger.debug('Formatted prompt', { model: model.name, prompt: redact(request.prompt) });
+
+            context.call = meterCall(model, request);
+            const rawResponse = cutAtStop(await getProvider(model).generate(model, request), context.parameters.stop);
+            context.call.output = rawResponse;
+
+            logger.info('Model answered', { model: model.name });
+            return withSources(buildModelResult(rawResponse, model.name, context.language), passages);
+        });
+    }
+
+    // Classify a skin photo with the image models, through the same chain of
+    // breakers, retries and fallbacks as the text models. Resolves to
+    // { labels: [{ label, score }], model_used }.
+    async function classifyImage(image, mimeType, options = {}) {
+        const context = createRoutingContext(DEFAULT_LANGUAGE, { ...options, models: applyRuntimeControls(modelRegistry.getImageModels()) });
+
+        return runModelChain(context, async (model, attemptNumber) => {
+            logger.info('Image model attempt', {
+                model: model.name,
+                provider: model.provider,
+                attempt: attemptNumber + 1,
+                image_bytes: image.length
+            });
+
+            const request = buildImageRequest(model, image, mimeType, getAttemptTimeout(context, model, attemptNumber), context.signal);
+            context.call = meterCall(model, request);
+            const labels = await getProvider(model).classifyImage(model, request);
+
+            logger.info('Image model answered', { model: model.name, labels: labels.length });
+            return { labels: labels, model_used: model.name };
+        });
+    }
+
+    // Streaming variant of callHuggingFaceAPI: cleaned text is forwarded through onToken
+    // as the upstream produces it, with the same retry and fallback rules until the
+    // first token has been sent
+    async function streamHuggingFaceAPI(inputs, language, onToken, options = {}) {
+        const context = options.context || createRoutingContext(language, options);
+
+        return runModelChain(context, async (model, attemptNumber) => {
+            const modelName = model.name;
+            const stops = context.parameters.stop || [];
+            let rawResponse = '';
+            let sentText = '';
+
+            // Send whatever part of the cleaned output is new and can no longer change
+            const flush = (final) => {
+                const cleaned = cleanModelResponse(rawResponse, modelName);
+                const stable = final ? cleaned : getStableStreamText(cleaned, model.holdBack, stops);
+                if (stable.length > sentText.length && stable.startsWith(sentText)) {
+                    onToken(stable.slice(sentText.length));
+                    sentText = stable;
+                }
+            };
+
+            logger.info('Streaming model attempt', { model: modelName, provider: model.provider, attempt: attemptNumber + 1 });
+
+            const passages = selectPassages(context.passages, model);
+            const request = buildProviderRequest(
+                model,
+                inputs,
+                context.language,
+                getAttemptTimeout(context, model, attemptNumber),
+                context.signal,
+                { passages, parameters: context.parameters }
+            );
+            const call = context.call = meterCall(model, request);
+
+            try {
+                for await (const text of getProvider(model).stream(model, request)) {
+                    const received = rawResponse + text;
+                    rawResponse = cutAtStop(received, stops);
+                    call.output = rawResponse;
+                    flush(false);
+                    // Reached one of the request's stop sequences; leaving the loop closes the upstream stream
+                    if (rawResponse.length < received.length) break;
+                }
+            } catch (error) {
+                // Tokens already reached the client, so settle for what we have
+                if (sentText) {
+                    error.partialResult = { ...withSources(buildModelResult(rawResponse, modelName, context.language, true), passages), partial: true };
+                }
+                throw error;
+            }
+
+            logger.info('Model finished streaming', { model: modelName });
+
+            flush(true);
+            // Once tokens went out there's no falling back; the repaired text replaces them
+            return withSources(buildModelResult(rawResponse, modelName, context.language, Boolean(sentText)), passages);
+        });
+    }
+
+    // Check, rewrite and disclaim a model answer; message key results pass through
+    function applyOutputGuardrails(data, language, question) {
+        if (typeof data.generated_text !== 'string') return data;
+
+        const checked = guardrails.checkOutput(data.generated_text, { language, question });
+        const safetyFlags = checked.flags.length ? { safety_flags: checked.flags } : {};
+
+        if (checked.blocked) {
+            logger.info('Output guardrail blocked the answer', { flags: checked.flags });
+            return { generated_text: checked.blocked, model_used: data.model_used, ...safetyFlags };
+        }
+
+        if (checked.flags.length) {
+            logger.info('Output guardrails rewrote the answer', { flags: checked.flags });
+        }
+
+        const disclaimer = guardrails.getDisclaimer(language);
+        return {
+            ...data,
+            generated_text: `${checked.text}\n\n${disclaimer}`,
+            disclaimer: disclaimer,
+            ...safetyFlags
+        };
+    }
+
+    // Safety pipeline around callHuggingFaceAPI. Emergencies in the user's message
+    // get an urgent-care message key without calling any model; model answers go
+    // through the output guardrails. Passing options.onToken streams the answer.
+    async function generateSafeResponse(conversation, language, options = {}) {
+        const question = getLastUserMessage(toMessages(conversation));
+
+        const emergency = guardrails.checkInput(question, language);
+        if (emergency) {
+            logger.info('Input guardrail triggered, skipping model call', { rule: emergency.id });
+            return {
+                generated_text: {
+                    messageKey: emergency.messageKey,
+                    fallbackText: emergency.fallbackText
+                },
+                model_used: 'safety_guardrail',
+                safety_flags: [emergency.id]
+            };
+        }
+
+        const onToken = options.onToken && guardStreamedText(options.onToken, language, question);
+        const data = await generateModelResponse(conversation, language, question, onToken ? { ...options, onToken } : options);
+        return applyOutputGuardrails(data, language, question);
+    }
+
+    // Streamed text goes out a sentence at a time, and only while the output
+    // rules leave everything so far unchanged. Whatever is held back is sent
+    // with the final answer, which has been through applyOutputGuardrails.
+    function guardStreamedText(onToken, language, question) {
+        let received = '';
+        let sent = '';
+
+        return (text) => {
+            received += text;
+            const complete = getCompleteSentences(received);
+            if (complete.length <= sent.length) return;
+
+            const checked = guardrails.checkOutput(complete, { language, question });
+            if (checked.blocked || checked.flags.length) return;
+
+            onToken(complete.slice(sent.length));
+            sent = complete;
+        };
+    }
+
+    // Only complete answers are worth serving again
+    async function cacheModelResult(question, language, result) {
+        if (typeof result.generated_text !== 'string' || result.partial) return;
+
+        await responseCache.set(question, language, result.model_used, {
+            generated_text: result.generated_text,
+            model_used: result.model_used,
+            ...(result.sources ? { sources: result.sources } : {})
+        });
+    }
+
+    function recordCacheOutcome(outcome) {
+        responseCache.record(outcome);
+        cacheLookups.inc({ result: outcome });
+    }
+
+    // Model answer for the conversation, from the response cache when possible.
+    // Only standalone questions are cached, since follow-ups depend on the history.
+    // The result carries cache: 'hit', 'stale', 'miss' or 'bypass'. Knowledge base
+    // passages matching the question are retrieved once and offered to every model.
+    async function generateModelResponse(conversation, language, question, options = {}) {
+        const passages = knowledgeBase.retrieve(question, language);
+        if (passages.length) {
+            logger.debug('Retrieved reference passages', { passages: passages.map(p => `${p.id}:${p.score}`) });
+        }
+
+        const modelOptions = { ...options, passages };
+        const callModels = () => options.onToken
+            ? streamHuggingFaceAPI(conversation, language, options.onToken, modelOptions)
+            : callHuggingFaceAPI(conversation, language, modelOptions);
+
+        // Pinned models and custom parameters are the caller's choice, not the usual answer
+        if (toMessages(conversation).length !== 1 || options.modelIndex || options.parameters) {
+            return { ...(await callModels()), cache: 'bypass' };
+        }
+
+        // Look up the answer of the model that would answer now
+        const modelName = getActiveModelName(options.models);
+        const cached = modelName ? await responseCache.get(question, language, modelName) : null;
+
+        if (cached) {
+            if (!cached.fresh) {
+                // Serve the stale answer now and refresh it for the next asker
+                responseCache.revalidate(question, language, modelName, async () => {
+                    const refreshed = await callHuggingFaceAPI(conversation, language, { passages, models: options.models, clientId: options.clientId });
+                    await cacheModelResult(question, language, refreshed);
+                });
+            }
+
+            const outcome = cached.fresh ? 'hit' : 'stale';
+            recordCacheOutcome(outcome);
+            if (options.onToken) options.onToken(cached.result.generated_text);
+            return { ...cached.result, cache: outcome };
+        }
+
+        recordCacheOutcome('miss');
+
+        try {
+            const result = await callModels();
+            await cacheModelResult(question, language, result);
+            return { ...result, cache: 'miss' };
+        } catch (error) {
+            if (options.signal && options.signal.aborted) throw error;
+
+            // Every model failed: an older answer from any model beats CONNECTION_TROUBLE
+            const modelNames = (options.models || getRoutedModels()).map(model => model.name);
+            const stale = await responseCache.getAny(question, language, modelNames);
+            if (!stale) throw error;
+
+            logger.info('All models failed, serving a cached answer', { model: stale.result.model_used });
+            recordCacheOutcome('stale_fallback');
+            if (options.onToken) options.onToken(stale.result.generated_text);
+            return { ...stale.result, cache: 'stale' };
+        }
+    }
+
+    // Whose arm a request falls in: the app's user id (X-User-Id), else the
+    // server-side session, else the client key or IP
+    function getExperimentKey(req, conversationId) {
+        return req.get('X-User-Id') || conversationId || getClientKey(req);
+    }
+
+    // The chain an experiment arm walks: its own models that are enabled, in its
+    // order, or the usual chain
+    function getArmModels(arm) {
+        const enabled = getRoutedModels();
+        if (!arm.models) return enabled;
+
+        const models = arm.models.map(name => enabled.find(model => model.name === name)).filter(Boolean);
+        return models.length ? models : enabled;
+    }
+
+    // generateSafeResponse for a user in the running experiments: a split's arm
+    // picks the model chain, and sampled shadow candidates get the question once
+    // the answer is in. Emergency answers never reach a model, so they are left out.
+    async function generateExperimentResponse(req, conversation, language, experimentKey, options = {}) {
+        options = { ...options, clientId: getUsageClient(req) };
+        const assignment = experiments.assign(experimentKey);
+        const startedAt = now();
+        const observation = assignment && { experiment: assignment.experiment, arm: assignment.arm.name, request_id: req.id, language };
+
+        let data;
+        try {
+            data = await generateSafeResponse(conversation, language,
+                assignment ? { ...options, models: getArmModels(assignment.arm) } : options);
+        } catch (error) {
+            if (observation && !(options.signal && options.signal.aborted)) {
+                experiments.record({ ...observation, failed: true, error: error.message, latency_ms: now() - startedAt });
+            }
+            throw error;
+        }
+        if (data.model_used === 'safety_guardrail') return data;
+
+        const answer = {
+            model_used: data.model_used,
+            latency_ms: now() - startedAt,
+            output: data.generated_text,
+            cache: data.cache
+        };
+        if (observation) {
+            experiments.record({ ...observation, ...answer });
+        }
+        runShadows(req, conversation, language, answer);
+        return data;
+    }
+
+    // Copy a question to each shadow candidate that sampled it, with the same
+    // reference passages. The copy runs after the user's answer, skips breakers
+    // and the cache, and is dropped when the candidate has no free slot.
+    function runShadows(req, conversation, language, answer) {
+        // Shadow copies are the first thing to go when a budget runs out
+        if (usageMeter.getMode() !== 'normal') return;
+
+        for (const experiment of experiments.sampleShadows()) {
+            const model = modelRegistry.getModel(experiment.shadow.model);
+            const queue = getModelQueue(model);
+            if (!hasCredentials(model) || runtimeControls.isDisabled(model.name) || !queue.hasFreeSlot) {
+                experiments.recordSkipped(experiment.name);
+                continue;
+            }
+
+            const question = getLastUserMessage(toMessages(conversation));
+            const passages = selectPassages(knowledgeBase.retrieve(question, language), model);
+            const startedAt = now();
+            const request = buildProviderRequest(model, conversation, language, model.timeout, undefined, { passages });
+            const call = meterCall(model, request);
+
+            queue.run(() => getProvider(model).generate(model, request))
+                .then(raw => {
+                    recordUpstreamCall(model, getUsageClient(req), { ...call, output: raw, ok: true });
+                    return { output: buildModelResult(raw, model.name, language).generated_text };
+                }, error => {
+                    recordUpstreamCall(model, getUsageClient(req), { ...call, ok: false });
+                    throw error;
+                })
+                .catch(error => ({ error: error.message }))
+                .then(outcome => experiments.record({
+                    experiment: experiment.name,
+                    arm: 'shadow',
+                    request_id: req.id,
+                    language: language,
+                    ...answer,
+                    shadow: { model_used: model.name, latency_ms: now() - startedAt, ...outcome }
+                }));
+        }
+    }
+
+    // Shape a pipeline result for clients: message key results are flattened to
+    // { messageKey, fallbackText, model_used, ... }
+    function toClientResponse(data) {
+        const { generated_text: generatedText, ...rest } = data;
+
+        if (generatedText && typeof generatedText === 'object' && generatedText.messageKey) {
+            return {
+                messageKey: generatedText.messageKey,
+                fallbackText: generatedText.fallbackText,
+                ...rest
+            };
+        }
+        return data;
+    }
+
+    // Build the message key response sent when the whole fallback chain failed
+    function getFailureResponse(apiError, language) {
+        // Check if error message is a message key
+        if (Object.values(MESSAGE_KEYS).includes(apiError.message)) {
+            return {
+                messageKey: apiError.message,
+                fallbackText: i18n.t(apiError.message, language),
+                model_used: "fallback_response"
+            };
+        }
+
+        // If all models failed, return a default response with message key
+        return {
+            messageKey: MESSAGE_KEYS.CONNECTION_TROUBLE,
+            fallbackText: i18n.t(MESSAGE_KEYS.CONNECTION_TROUBLE, language),
+            model_used: "fallback_response"
+        };
+    }
+
+    // Write a single Server-Sent Event
+    function sendEvent(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // Remember the new turn for server-side sessions; failed answers aren't stored
+    // so the client can simply ask again
+    async function saveConversationTurn(conversationId, messages, data) {
+        if (!conversationId || typeof data.generated_text !== 'string') return;
+
+        // The disclaimer is for the reader, not for the next prompt
+        let content = data.generated_text;
+        if (data.disclaimer && content.endsWith(data.disclaimer)) {
+            content = content.slice(0, -data.disclaimer.length).trim();
+        }
+
+        try {
+            await conversationStore.set(conversationId, messages.concat({
+                role: 'assistant',
+                content: content
+            }));
+        } catch (error) {
+            logger.error('Failed to save conversation', { conversation_id: conversationId, error });
+        }
+    }
+
+    // Record an answer for the feedback report and return the response id the
+    // client rates it by. A store failure costs the rating, not the answer.
+    function recordAnswer(req, body) {
+        const responseId = createResponseId();
+        feedbackStore.recordResponse({
+            id: responseId,
+            client_id: req.apiClient ? req.apiClient.id : null,
+            model_used: body.model_used,
+            language: req.language,
+            latency_ms: now() - req.receivedAt,
+            message_key: body.messageKey || null,
+            safety: Boolean(body.safety_flags),
+            created_at: new Date(now()).toISOString()
+        }).catch(error => logger.error('Failed to record answer for feedback', { error }));
+        return responseId;
+    }
+
+    // Stream tokens to the client over SSE, finishing with a "done" event shaped like the JSON route
+    async function streamResponse(req, res, inputs, language, conversationId = null) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        // Cancel the upstream request if the client goes away
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                logger.info('Client disconnected, cancelling upstream stream');
+                controller.abort();
+            }
+        });
+
+        let streamedText = '';
+        try {
+            const data = await generateExperimentResponse(req, inputs, language, getExperimentKey(req, conversationId), {
+                onToken: (text) => {
+                    streamedText += text;
+                    sendEvent(res, 'token', { text });
+                },
+                signal: controller.signal,
+                deadline: getRequestDeadline(req)
+            });
+
+            await saveConversationTurn(conversationId, inputs, data);
+            const session = conversationId ? { conversation_id: conversationId } : {};
+
+            if (typeof data.generated_text === 'object' && data.generated_text.messageKey) {
+                logger.info('Streaming message key response', { message_key: data.generated_text.messageKey });
+            } else if (!data.safety_flags && data.generated_text.startsWith(streamedText)) {
+                // Streamed text is final, so only the disclaimer is still missing
+                sendEvent(res, 'token', { text: data.generated_text.slice(streamedText.length) });
+            }
+
+            // Streamed tokens can't be taken back: when a guardrail or post-processing
+            // changed the answer, tell the client to replace what it showed with this event's text
+            const changed = typeof data.generated_text === 'string' && !data.generated_text.startsWith(streamedText);
+            const replace = changed || (data.safety_flags && data.model_used !== 'safety_guardrail') ? { replace: true } : {};
+            const body = toClientResponse(data);
+            recordResponseOutcome(body);
+            sendEvent(res, 'done', { ...body, ...replace, response_id: recordAnswer(req, body), ...session });
+        } catch (apiError) {
+            if (controller.signal.aborted) return;
+
+            logger.warn('All models failed while streaming', { error: apiError.message });
+            const body = getFailureResponse(apiError, language);
+            recordResponseOutcome(body);
+            sendEvent(res, 'done', {
+                ...body,
+                response_id: recordAnswer(req, body),
+                ...(conversationId ? { conversation_id: conversationId } : {})
+            });
+        }
+
+        res.end();
+    }
+
+    // Apply rate limiter to the API endpoint
+    app.post('/api/huggingface', authenticate, requireClient, rateLimiter, shedLoad, async (req, res) => {
+        try {
+            const {
+                inputs,
+                messages,
+                conversation_id,
+                session = false,
+                stream = false
+            } = req.body;
+            const language = req.language;
+
+            // "inputs" is the question as a string, or a conversation like "messages"
+            const conversationInput = messages || (Array.isArray(inputs) ? inputs : null);
+
+            if (!conversationInput && (typeof inputs !== 'string' || !inputs.trim())) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    messageKey: MESSAGE_KEYS.INPUT_REQUIRED,
+                    fallbackMessage: i18n.t(MESSAGE_KEYS.INPUT_REQUIRED, language)
+                });
+            }
+
+            if (conversationInput) {
+                const validationError = validateMessages(conversationInput);
+                if (validationError) {
+                    return res.status(400).json({
+                        error: 'Bad Request',
+                        messageKey: MESSAGE_KEYS.INVALID_MESSAGES,
+                        fallbackMessage: i18n.t(MESSAGE_KEYS.INVALID_MESSAGES, language),
+                        details: validationError
+                    });
+                }
+            }
+
+            // Check input length to avoid token limit issues
+            const tooLong = conversationInput
+                ? conversationInput.some(message => message.content.length > MAX_MESSAGE_LENGTH)
+                : inputs.length > MAX_MESSAGE_LENGTH;
+            if (tooLong) {
+                return res.status(400).json({
+                    error: 'Input too long',
+                    messageKey: MESSAGE_KEYS.INPUT_TOO_LONG,
+                    fallbackMessage: i18n.t(MESSAGE_KEYS.INPUT_TOO_LONG, language)
+                });
+            }
+
+            let conversation = toMessages(conversationInput || inputs);
+
+            // Server-side sessions: the request carries only the new turn and the
+            // stored history is prepended. Unknown or expired ids start over.
+            let conversationId = null;
+            if (session === true || conversation_id) {
+                const history = conversation_id ? await conversationStore.get(conversation_id) : null;
+                conversationId = history ? conversation_id : createConversationId();
+                conversation = (history || []).concat(conversation);
+            }
+
+            // Opt-in streaming mode sends tokens over Server-Sent Events
+            if (stream === true) {
+                return streamResponse(req, res, conversation, language, conversationId);
+            }
+
+            const sessionFields = conversationId ? { conversation_id: conversationId } : {};
+
+            // Make the actual request to Hugging Face API with fallback support
+            try {
+                const data = await generateExperimentResponse(req, conversation, language, getExperimentKey(req, conversationId), {
+                    deadline: getRequestDeadline(req)
+                });
+                await saveConversationTurn(conversationId, conversation, data);
+
+                // Check if we got a message key response (fallback/error case)
+                const body = toClientResponse(data);
+                if (body.messageKey) {
+                    logger.info('Returning message key response', { message_key: body.messageKey });
+                } else {
+                    // Normal successful response
+                    logger.debug('Answer sent', { model: data.model_used, text: redact(data.generated_text) });
+                }
+                recordResponseOutcome(body);
+                res.json({ ...body, response_id: recordAnswer(req, body), ...sessionFields });
+
+            } catch (apiError) {
+                logger.warn('All models failed', { error: apiError.message });
+                const body = getFailureResponse(apiError, language);
+                recordResponseOutcome(body);
+                res.json({ ...body, response_id: recordAnswer(req, body), ...sessionFields });
+            }
+        } catch (error) {
+            logger.error('Unhandled error', { error });
+
+            // Provide detailed error response with message key
+            res.status(500).json({
+                error: 'Failed to process request',
+                messageKey: MESSAGE_KEYS.SERVER_ERROR,
+                fallbackMessage: i18n.t(MESSAGE_KEYS.SERVER_ERROR, req.language),
+                retry: true
+            });
+        }
+    });
+
+    // Thumbs up or down for an answer, by the response_id it came with, with
+    // optional reason codes. Rating an answer again replaces the earlier rating.
+    app.post('/api/feedback', authenticate, requireClient, rateLimiter, async (req, res) => {
+        const language = req.language;
+        const validationError = validateFeedback(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                messageKey: MESSAGE_KEYS.FEEDBACK_INVALID,
+                fallbackMessage: i18n.t(MESSAGE_KEYS.FEEDBACK_INVALID, language),
+                details: validationError
+            });
+        }
+
+        // Clients can only rate their own answers; old answers age out of the store
+        const { response_id: responseId, rating, reasons = [] } = req.body;
+        const clientId = req.apiClient ? req.apiClient.id : null;
+        try {
+            const answer = await feedbackStore.getResponse(responseId);
+            if (!answer || (answer.client_id && answer.client_id !== clientId)) {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    messageKey: MESSAGE_KEYS.FEEDBACK_RESPONSE_NOT_FOUND,
+                    fallbackMessage: i18n.t(MESSAGE_KEYS.FEEDBACK_RESPONSE_NOT_FOUND, language)
+                });
+            }
+
+            await feedbackStore.rate(responseId, { rating, reasons });
+            feedbackRatings.inc({ model: answer.model_used, rating });
+            res.json({
+                response_id: responseId,
+                rating: rating,
+                messageKey: MESSAGE_KEYS.FEEDBACK_RECEIVED,
+                fallbackMessage: i18n.t(MESSAGE_KEYS.FEEDBACK_RECEIVED, language)
+            });
+        } catch (error) {
+            logger.error('Saving feedback failed', { response_id: responseId, error });
+            res.status(500).json({
+                error: 'Failed to save feedback',
+                messageKey: MESSAGE_KEYS.SERVER_ERROR,
+                fallbackMessage: i18n.t(MESSAGE_KEYS.SERVER_ERROR, language),
+                retry: true
+            });
+        }
+    });
+
+    // Batches: BATCH_CONCURRENCY questions of a batch run at once. A request
+    // answers up to BATCH_SYNC_MAX_ITEMS questions directly; with "async": true
+    // it may hold up to BATCH_MAX_ITEMS and returns a job id to poll instead.
+    const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 4;
+    const BATCH_SYNC_MAX_ITEMS = parseInt(process.env.BATCH_SYNC_MAX_ITEMS, 10) || 20;
+    const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 500;
+
+    const batchJobs = new BatchJobRegistry({
+        ttl: parseInt(process.env.BATCH_JOB_TTL_MS, 10) || undefined,
+        maxJobs: parseInt(process.env.BATCH_MAX_JOBS, 10) || undefined,
+        now: now
+    });
+
+    function batchErrorResponse(details, language) {
+        return {
+            error: 'Bad Request',
+            messageKey: MESSAGE_KEYS.BATCH_INVALID,
+            fallbackMessage: i18n.t(MESSAGE_KEYS.BATCH_INVALID, language),
+            details: details
+        };
+    }
+
+    // Items as [{ id, inputs, language }] with ids defaulting to the position in
+    // the batch, or { error } when the batch as a whole can't be run
+    function parseBatchItems(body, maxItems) {
+        const { items } = body;
+        if (!Array.isArray(items) || !items.length) {
+            return { error: '"items" must be a non-empty array' };
+        }
+        if (items.length > maxItems) {
+            return { error: `A batch can hold at most ${maxItems} items${body.async === true ? '' : ' unless "async" is true'}` };
+        }
+
+        const seen = new Set();
+        const parsed = [];
+        for (const [index, item] of items.entries()) {
+            if (!item || typeof item !== 'object') {
+                return { error: `items[${index}] must be an object` };
+            }
+            const id = item.id !== undefined ? item.id : index;
+            if (typeof id !== 'string' && typeof id !== 'number') {
+                return { error: `items[${index}].id must be a string or a number` };
+            }
+            if (seen.has(id)) {
+                return { error: `items[${index}].id "${id}" is used more than once` };
+            }
+            seen.add(id);
+            parsed.push({ id, inputs: item.inputs, language: item.language });
+        }
+        return { items: parsed };
+    }
+
+    // One batch question through the same guardrails and model chain as a chat
+    // message. Never throws: every outcome, bad input included, is a result for
+    // that item.
+    // options: { signal, clientId }
+    async function answerBatchItem(item, defaultLanguage, options = {}) {
+        const language = item.language ? i18n.resolve(item.language) : defaultLanguage;
+        const base = { id: item.id, language };
+        let result;
+
+        if (typeof item.inputs !== 'string' || !item.inputs.trim()) {
+            result = { ...base, status: 'invalid', messageKey: MESSAGE_KEYS.INPUT_REQUIRED, fallbackText: i18n.t(MESSAGE_KEYS.INPUT_REQUIRED, language) };
+        } else if (item.inputs.length > MAX_MESSAGE_LENGTH) {
+            result = { ...base, status: 'invalid', messageKey: MESSAGE_KEYS.INPUT_TOO_LONG, fallbackText: i18n.t(MESSAGE_KEYS.INPUT_TOO_LONG, language) };
+        } else {
+            try {
+                const body = toClientResponse(await generateSafeResponse(item.inputs, language, options));
+                result = { ...base, status: body.messageKey ? 'fallback' : 'ok', ...body };
+            } catch (error) {
+                const failure = getFailureResponse(error, language);
+                result = { ...base, status: 'failed', ...failure };
+                if (failure.messageKey !== error.message) result.error = error.message;
+            }
+        }
+
+        batchItems.inc({ status: result.status });
+        return result;
+    }
+
+    // Run an async job in the background, filling in results as items finish
+    function runBatchJob(job, language) {
+        runWithConcurrency(job.items, BATCH_CONCURRENCY, async (item, index) => {
+            job.results[index] = await answerBatchItem(item, language, { clientId: job.clientId });
+        })
+            .catch(error => logger.error('Batch job failed', { job_id: job.id, error }))
+            .finally(() => {
+                batchJobs.finish(job);
+                logger.info('Batch job finished', { job_id: job.id, ...countResults(job.results) });
+            });
+    }
+
+    // Many standalone questions in one request, for the content team and eval
+    // runs. Results come back per item, failed items included, with the model
+    // that answered and the message key of fallback answers. A full work queue
+    // turns batches away too, async ones included: their items would only queue
+    // behind it.
+    app.post('/api/batch', authenticate, requireAuthenticated, batchRateLimiter, shedLoad, async (req, res) => {
+        const language = req.language;
+        const isAsync = req.body.async === true;
+        const { items, error } = parseBatchItems(req.body, isAsync ? BATCH_MAX_ITEMS : BATCH_SYNC_MAX_ITEMS);
+        if (error) {
+            return res.status(400).json(batchErrorResponse(error, language));
+        }
+
+        if (isAsync) {
+            const job = batchJobs.create(req.apiClient.id, items);
+            if (!job) {
+                res.set('Retry-After', '60');
+                return res.status(503).json({
+                    error: 'Service busy',
+                    messageKey: MESSAGE_KEYS.SERVER_BUSY,
+                    fallbackMessage: i18n.t(MESSAGE_KEYS.SERVER_BUSY, language)
+                });
+            }
+
+            logger.info('Batch job started', { job_id: job.id, items: items.length });
+            runBatchJob(job, language);
+            return res.status(202).json({
+                job_id: job.id,
+                status: job.status,
+                total: items.length,
+                status_url: `/api/batch/${job.id}`
+            });
+        }
+
+        // Stop starting new questions when the caller goes away
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+
+        const results = await runWithConcurrency(items, BATCH_CONCURRENCY, item => answerBatchItem(item, language, {
+            signal: controller.signal,
+            clientId: req.apiClient.id
+        }));
+        if (controller.signal.aborted) return;
+
+        res.json({ total: results.length, counts: countResults(results), results });
+    });
+
+    // Progress and results of an async batch job, for the client that started it
+    app.get('/api/batch/:id', authenticate, requireAuthenticated, (req, res) => {
+        const job = batchJobs.get(req.params.id);
+        if (!job || (job.clientId !== req.apiClient.id && !req.apiClient.admin)) {
+            return res.status(404).json({
+                error: 'Not Found',
+                messageKey: MESSAGE_KEYS.NOT_FOUND,
+                fallbackMessage: i18n.t(MESSAGE_KEYS.NOT_FOUND, req.language)
+            });
+        }
+        res.json(toJobStatus(job));
+    });
+
+    // Skin photo limits: IMAGE_MAX_BYTES per upload, and both sides between
+    // IMAGE_MIN_DIMENSION and IMAGE_MAX_DIMENSION pixels. Classifications whose
+    // best label scores under IMAGE_MIN_CONFIDENCE are reported as unclear.
+    const IMAGE_MAX_BYTES = parseInt(process.env.IMAGE_MAX_BYTES, 10) || 5 * 1024 * 1024;
+    const IMAGE_MIN_DIMENSION = parseInt(process.env.IMAGE_MIN_DIMENSION, 10) || 64;
+    const IMAGE_MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || 8000;
+    const IMAGE_MIN_CONFIDENCE = parseFloat(process.env.IMAGE_MIN_CONFIDENCE) || 0.2;
+    const IMAGE_DEFAULT_TOP_K = 3;
+    const IMAGE_MAX_TOP_K = 10;
+
+    const imageUpload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: IMAGE_MAX_BYTES, files: 1 }
+    }).single('image');
+
+    // Base64 grows the image by a third; leave some room for the other fields
+    const imageJsonParser = express.json({ limit: Math.ceil(IMAGE_MAX_BYTES * 4 / 3) + 64 * 1024 });
+
+    function imageErrorResponse(messageKey, language, details) {
+        return {
+            error: 'Bad Request',
+            messageKey: messageKey,
+            fallbackMessage: i18n.t(messageKey, language),
+            ...(details ? { details } : {})
+        };
+    }
+
+    // The photo arrives either as a multipart "image" file or as a base64 (or
+    // data URL) "image" field in a JSON body
+    function receiveImage(req, res, next) {
+        const parse = req.is('multipart/form-data') ? imageUpload : imageJsonParser;
+
+        parse(req, res, (error) => {
+            if (!error) return next();
+
+            if (error.code === 'LIMIT_FILE_SIZE' || error.type === 'entity.too.large') {
+                return res.status(413).json(imageErrorResponse(MESSAGE_KEYS.IMAGE_TOO_LARGE, req.language));
+            }
+            res.status(400).json(imageErrorResponse(MESSAGE_KEYS.IMAGE_REQUIRED, req.language, error.message));
+        });
+    }
+
+    // null when the text isn't base64
+    function decodeBase64Image(text) {
+        const base64 = text.replace(/^data:[\w/+.-]+;base64,/, '').replace(/\s/g, '');
+        if (!base64 || !/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) return null;
+        return Buffer.from(base64, 'base64');
+    }
+
+    // Top labels with rounded confidences, best first
+    function formatImageLabels(labels, topK) {
+        return labels
+            .slice()
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK)
+            .map(item => ({ label: item.label, confidence: Math.round(item.score * 1000) / 1000 }));
+    }
+
+    // Plain-language explanation of the top labels from the text models, through
+    // the usual guardrails. Failures only cost the explanation, not the labels.
+    async function explainImageLabels(labels, language, deadline, clientId) {
+        const question = `In plain language, what are these skin conditions: ${labels.map(item => item.label).join(', ')}?`;
+        try {
+            return toClientResponse(await generateSafeResponse(question, language, { deadline, clientId }));
+        } catch (error) {
+            logger.warn('Could not explain the image labels', { error: error.message });
+            return getFailureResponse(error, language);
+        }
+    }
+
+    // Classify a skin photo: validated, stripped of its metadata (EXIF with GPS
+    // position and the like), then sent to the image models. The labels are
+    // what the photo resembles, framed by a non-diagnostic message key.
+    app.post('/api/analyze-image', authenticate, requireClient, rateLimiter, shedLoad, receiveImage, negotiateLanguage, async (req, res) => {
+        const language = req.language;
+
+        try {
+            const body = req.body || {};
+            const image = req.file ? req.file.buffer
+                : (typeof body.image === 'string' ? decodeBase64Image(body.image) : null);
+
+            if (!image || image.length === 0) {
+                return res.status(400).json(imageErrorResponse(MESSAGE_KEYS.IMAGE_REQUIRED, language));
+            }
+            if (image.length > IMAGE_MAX_BYTES) {
+                return res.status(413).json(imageErrorResponse(MESSAGE_KEYS.IMAGE_TOO_LARGE, language));
+            }
+
+            // Trust the file's own bytes, not the declared content type
+            const mimeType = detectImageType(image);
+            if (!mimeType) {
+                return res.status(415).json(imageErrorResponse(MESSAGE_KEYS.IMAGE_UNSUPPORTED_TYPE, language));
+            }
+
+            let dimensions;
+            let stripped;
+            try {
+                dimensions = getImageDimensions(image, mimeType);
+                stripped = stripImageMetadata(image, mimeType);
+            } catch (error) {
+                if (!(error instanceof ImageError)) throw error;
+                return res.status(415).json(imageErrorResponse(MESSAGE_KEYS.IMAGE_UNSUPPORTED_TYPE, language, error.message));
+            }
+
+            const { width, height } = dimensions;
+            if (Math.min(width, height) < IMAGE_MIN_DIMENSION || Math.max(width, height) > IMAGE_MAX_DIMENSION) {
+                return res.status(400).json(imageErrorResponse(MESSAGE_KEYS.IMAGE_BAD_DIMENSIONS, language,
+                    `Image is ${width}x${height}; each side must be between ${IMAGE_MIN_DIMENSION} and ${IMAGE_MAX_DIMENSION} pixels`));
+            }
+
+            const requestedTopK = parseInt(body.top_k, 10);
+            const topK = Number.isFinite(requestedTopK)
+                ? Math.min(Math.max(requestedTopK, 1), IMAGE_MAX_TOP_K)
+                : IMAGE_DEFAULT_TOP_K;
+
+            logger.info('Analyzing skin photo', {
+                type: mimeType,
+                width: width,
+                height: height,
+                bytes: stripped.length,
+                metadata_bytes_removed: image.length - stripped.length
+            });
+
+            try {
+                const deadline = getRequestDeadline(req);
+                const clientId = getUsageClient(req);
+                const result = await classifyImage(stripped, mimeType, { deadline, clientId });
+                const labels = formatImageLabels(result.labels, topK);
+
+                if (!labels.length || labels[0].confidence < IMAGE_MIN_CONFIDENCE) {
+                    logger.info('Image classification too uncertain', { model: result.model_used, top: labels[0] });
+                    const unclear = {
+                        messageKey: MESSAGE_KEYS.IMAGE_UNCLEAR,
+                        fallbackText: i18n.t(MESSAGE_KEYS.IMAGE_UNCLEAR, language),
+                        labels: [],
+                        model_used: result.model_used
+                    };
+                    recordResponseOutcome(unclear);
+                    return res.json(unclear);
+                }
+
+                const analysis = {
+                    messageKey: MESSAGE_KEYS.IMAGE_ANALYSIS_RESULT,
+                    fallbackText: i18n.t(MESSAGE_KEYS.IMAGE_ANALYSIS_RESULT, language),
+                    labels: labels,
+                    model_used: result.model_used
+                };
+                if (body.explain === true || body.explain === 'true') {
+                    analysis.explanation = await explainImageLabels(labels, language, deadline, clientId);
+                }
+
+                recordResponseOutcome(analysis);
+                res.json(analysis);
+
+            } catch (apiError) {
+                logger.warn('All image models failed', { error: apiError.message });
+                const failure = getFailureResponse(apiError, language);
+                recordResponseOutcome(failure);
+                res.json(failure);
+            }
+        } catch (error) {
+            logger.error('Unhandled error', { error });
+
+            res.status(500).json({
+                error: 'Failed to process request',
+                messageKey: MESSAGE_KEYS.SERVER_ERROR,
+                fallbackMessage: i18n.t(MESSAGE_KEYS.SERVER_ERROR, language),
+                retry: true
+            });
+        }
+    });
+
+    // OpenAI-compatible facade over the same pipeline as /api/huggingface, for
+    // tools that speak the chat completions API. Listed models are the registry
+    // chain; "dermi" walks the whole chain and a model id starts the chain there.
+    const modelsListedAt = Math.floor(now() / 1000);
+
+    app.get('/v1/models', authenticate, requireClient, (req, res) => {
+        res.json(openaiCompat.buildModelList(getRoutedModels(), modelsListedAt));
+    });
+
+    // Stream a chat completion as OpenAI chunks. Streamed text can't be taken
+    // back, so when the final answer doesn't continue what was streamed (a
+    // guardrail rewrite, a message key fallback) the last chunk carries
+    // dermi.replace and the full content.
+    async function streamChatCompletion(req, res, conversation, language, options, modelId) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                logger.info('Client disconnected, cancelling upstream stream');
+                controller.abort();
+            }
+        });
+
+        const completion = { id: openaiCompat.createCompletionId(), created: Math.floor(now() / 1000), model: modelId };
+        const sendChunk = (chunk) => res.write(`data: ${JSON.stringify(openaiCompat.buildChunk({ ...completion, ...chunk }))}\n\n`);
+        let streamedText = '';
+
+        sendChunk({ delta: { role: 'assistant', content: '' } });
+
+        let body;
+        try {
+            const data = await generateSafeResponse(conversation, language, {
+                ...options,
+                signal: controller.signal,
+                onToken: (text) => {
+                    streamedText += text;
+                    sendChunk({ delta: { content: text } });
+                }
+            });
+            body = toClientResponse(data);
+        } catch (apiError) {
+            if (controller.signal.aborted) return;
+
+            logger.warn('All models failed while streaming', { error: apiError.message });
+            body = getFailureResponse(apiError, language);
+        }
+
+        const content = openaiCompat.getCompletionContent(body);
+        const extension = openaiCompat.toExtension(body);
+        if (content.startsWith(streamedText)) {
+            if (content.length > streamedText.length) {
+                sendChunk({ delta: { content: content.slice(streamedText.length) } });
+            }
+        } else {
+            Object.assign(extension, { replace: true, content: content });
+        }
+
+        recordResponseOutcome(body);
+        sendChunk({ delta: {}, finishReason: 'stop', extension: extension });
+        res.write('data: [DONE]\n\n');
+        res.end();
+    }
+
+    app.post('/v1/chat/completions', authenticate, requireClient, rateLimiter, shedLoad, async (req, res) => {
+        const body = req.body || {};
+        const language = req.language;
+
+        try {
+            const conversation = openaiCompat.toConversation(body.messages);
+            const validationError = validateMessages(conversation);
+            if (validationError) {
+                return res.status(400).json(openaiCompat.errorBody(validationError, 'messages'));
+            }
+            if (conversation.some(message => message.content.length > MAX_MESSAGE_LENGTH)) {
+                return res.status(400).json(openaiCompat.errorBody(
+                    `Each message can be at most ${MAX_MESSAGE_LENGTH} characters`, 'messages', 'context_length_exceeded'));
+            }
+
+            const generation = openaiCompat.parseGenerationOptions(body);
+            if (generation.error) {
+                return res.status(400).json(generation.error);
+            }
+
+            const modelId = body.model || openaiCompat.DEFAULT_MODEL_ID;
+            let modelIndex = 0;
+            if (modelId !== openaiCompat.DEFAULT_MODEL_ID) {
+                modelIndex = getRoutedModels().findIndex(model => model.name === modelId);
+                if (modelIndex === -1) {
+                    return res.status(404).json(openaiCompat.errorBody(
+                        `The model "${modelId}" does not exist`, 'model', 'model_not_found'));
+                }
+            }
+
+            const options = {
+                modelIndex,
+                parameters: generation.parameters,
+                deadline: getRequestDeadline(req),
+                clientId: getUsageClient(req)
+            };
+            if (body.stream === true) {
+                return streamChatCompletion(req, res, conversation, language, options, modelId);
+            }
+
+            let clientResponse;
+            try {
+                clientResponse = toClientResponse(await generateSafeResponse(conversation, language, options));
+            } catch (apiError) {
+                logger.warn('All models failed', { error: apiError.message });
+                clientResponse = getFailureResponse(apiError, language);
+            }
+
+            recordResponseOutcome(clientResponse);
+            res.json(openaiCompat.buildCompletion({
+                id: openaiCompat.createCompletionId(),
+                created: Math.floor(now() / 1000),
+                model: modelId,
+                content: openaiCompat.getCompletionContent(clientResponse),
+                extension: openaiCompat.toExtension(clientResponse)
+            }));
+        } catch (error) {
+            logger.error('Unhandled error', { error });
+            res.status(500).json(openaiCompat.errorBody(i18n.t(MESSAGE_KEYS.SERVER_ERROR, language), null, null, 'server_error'));
+        }
+    });
+
+    // Add a pre-warming endpoint that can be called by a scheduler
+    app.get('/api/warmup', authenticate, requireAdmin, adminRateLimiter, async (req, res) => {
+        try {
+            const result = await callHuggingFaceAPI('You are Dermi, a friendly dermatology assistant. What can you tell me about sunscreen?', DEFAULT_LANGUAGE, {
+                clientId: getUsageClient(req)
+            });
+            res.json({
+                status: 'success',
+                message: `Model ${result.model_used} warmed up successfully`
+            });
+        } catch (error) {
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to warm up all models',
+                error: error.message
+            });
+        }
+    });
+
+    // Add a status endpoint to check which model is currently active
+    app.get('/api/status', (req, res) => {
+        res.json({
+            status: draining ? 'draining' : (getReadiness().ready ? 'online' : 'degraded'),
+            current_model: getActiveModelName(),
+            model_loaded: modelSuccessfullyLoaded,
+            cache: responseCache.getStats(),
+            knowledge_base: knowledgeBase.getStats(),
+            queue: workQueue.getStats(),
+            experiments: experiments.getStatus(),
+            keep_warm: keepWarm.getStatus(),
+            budget_mode: usageMeter.getMode(),
+            models: modelRegistry.getModels().map(model => ({
+                name: model.name,
+                provider: model.provider,
+                priority: model.priority,
+                ...getBreaker(model).getStats(),
+                queue: getModelQueue(model).getStats(),
+                keep_warm: keepWarm.getModelStatus(model)
+            })),
+            image_models: modelRegistry.getImageModels().map(model => ({
+                name: model.name,
+                provider: model.provider,
+                priority: model.priority,
+                ...getBreaker(model).getStats(),
+                queue: getModelQueue(model).getStats(),
+                keep_warm: keepWarm.getModelStatus(model)
+            }))
+        });
+    });
+
+    // Debug endpoint to test a specific prompt directly
+    app.post('/api/debug', authenticate, requireAdmin, adminRateLimiter, async (req, res) => {
+        try {
+            const { inputs, model_name } = req.body;
+            const language = req.language;
+
+            if (!inputs) {
+                return res.status(400).json({
+                    error: 'Inputs are required',
+                    messageKey: MESSAGE_KEYS.INPUT_REQUIRED,
+                    fallbackMessage: 'Inputs are required'
+                });
+            }
+
+            const context = createRoutingContext(language, { clientId: getUsageClient(req) });
+
+            // Allow specifying a model for testing
+            if (model_name) {
+                const modelIndex = context.models.findIndex(m => m.name.includes(model_name));
+                context.startIndex = modelIndex === -1 ? 0 : modelIndex; // Default to first if not found
+            }
+
+            const result = await callHuggingFaceAPI(inputs, language, { context });
+            res.json({
+                ...result,
+                prompt_used: formatPrompt(inputs, result.model_used, language),
+                attempts: context.attempts
+            });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Debug request failed',
+                messageKey: MESSAGE_KEYS.SERVER_ERROR,
+                fallbackMessage: error.message
+            });
+        }
+    });
+
+    // Prometheus scrape endpoint; requires "Bearer <METRICS_TOKEN>" when METRICS_TOKEN is set
+    app.get('/metrics', (req, res) => {
+        const token = process.env.METRICS_TOKEN;
+        if (token && !safeEqual(req.get('Authorization') || '', `Bearer ${token}`)) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                messageKey: MESSAGE_KEYS.UNAUTHORIZED,
+                fallbackMessage: i18n.t(MESSAGE_KEYS.UNAUTHORIZED, req.language)
+            });
+        }
+
+        res.set('Content-Type', MetricsRegistry.contentType);
+        res.send(metrics.render());
+    });
+
+    // Languages the proxy has message catalogs for
+    app.get('/api/messages', (req, res) => {
+        res.set('Cache-Control', 'public, max-age=3600');
+        res.json({ default: DEFAULT_LANGUAGE, languages: i18n.listLanguages() });
+    });
+
+    // The full message catalog for one language, with fallbacks filled in, so
+    // clients don't need to ship their own copies. Unsupported languages get the
+    // closest supported one; "language" in the response says which.
+    app.get('/api/messages/:lang', (req, res) => {
+        const language = i18n.match(req.params.lang) || DEFAULT_LANGUAGE;
+        const { messages, ...details } = i18n.getMessages(language);
+
+        res.set('Cache-Control', 'public, max-age=3600');
+        res.set('Content-Language', language);
+        res.json({ requested: req.params.lang, ...details, messages });
+    });
+
+    // Admin handlers wait on the client, usage, feedback and runtime control
+    // stores; one that fails gets a 500 with a message key instead of a request
+    // left hanging
+    function handleAdminErrors(handler) {
+        return async (req, res) => {
+            try {
+                await handler(req, res);
+            } catch (error) {
+                logger.error('Admin request failed', { method: req.method, path: req.path, error });
+                if (res.headersSent) return;
+                res.status(500).json({
+                    error: 'Admin request failed',
+                    messageKey: MESSAGE_KEYS.SERVER_ERROR,
+                    fallbackMessage: i18n.t(MESSAGE_KEYS.SERVER_ERROR, req.language)
+                });
+            }
+        };
+    }
+
+    // List issued client keys with their usage counters
+    app.get('/api/admin/clients', authenticate, requireAdmin, handleAdminErrors(async (req, res) => {
+        res.json({ clients: await clientStore.list() });
+    }));
+
+    // Issue a key for a new app build; the key is only ever returned here
+    app.post('/api/admin/clients', authenticate, requireAdmin, handleAdminErrors(async (req, res) => {
+        const { name, tier = 'free', admin = false } = req.body;
+
+        if (!name || typeof name !== 'string') {
+            return res.status(400).json({
+                error: 'Bad Request',
+                messageKey: MESSAGE_KEYS.INPUT_REQUIRED,
+                fallbackMessage: 'The "name" field is required'
+            });
+        }
+
+        if (!rateLimitConfig.tiers[tier]) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                messageKey: MESSAGE_KEYS.INPUT_REQUIRED,
+                fallbackMessage: `Unknown tier "${tier}"`
+            });
+        }
+
+        const issued = await clientStore.issue({ name, tier, admin });
+        res.status(201).json({ ...issued.client, key: issued.key });
+    }));
+
+    // Revoke a client key; requests using it are rejected immediately
+    app.delete('/api/admin/clients/:id', authenticate, requireAdmin, handleAdminErrors(async (req, res) => {
+        if (!await clientStore.revoke(req.params.id)) {
+            return res.status(404).json({
+                error: 'Not Found',
+                messageKey: MESSAGE_KEYS.NOT_FOUND,
+                fallbackMessage: 'No active client with that id'
+            });
+        }
+        res.json({ id: req.params.id, revoked: true });
+    }));
+
+    // Usage counters for one client id (issued keys and JWT subjects alike)
+    app.get('/api/admin/clients/:id/usage', authenticate, requireAdmin, handleAdminErrors(async (req, res) => {
+        res.json({ id: req.params.id, usage: await clientStore.getUsage(req.params.id) });
+    }));
+
+    // Helpfulness and fallback rates per model and language over the last
+    // ?days (30 by default), to decide the model order on data
+    app.get('/api/admin/feedback/report', authenticate, requireAdmin, handleAdminErrors(async (req, res) => {
+        const days = parseInt(req.query.days, 10) || 30;
+        const since = now() - days * 24 * 60 * 60 * 1000;
+
+        res.json({
+            since: new Date(since).toISOString(),
+            days: days,
+            ...summarizeFeedback(await feedbackStore.list({ since }))
+        });
+    }));
+
+    // Upstream calls, tokens and cost per model, client and day from ?from to
+    // ?to (YYYY-MM-DD, UTC; this month so far by default), with where the
+    // budgets stand today
+    app.get('/api/admin/usage/report', authenticate, requireAdmin, handleAdminErrors(async (req, res) => {
+        const isDay = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const to = isDay(req.query.to) ? req.query.to : toDay(now());
+        const from = isDay(req.query.from) ? req.query.from : `${to.slice(0, 7)}-01`;
+
+        res.json({
+            from: from,
+            to: to,
+            ...summarizeUsage(await usageStore.list({ from, to })),
+            budgets: usageMeter.getStatus()
+        });
+    }));
+
+    // Re-read the knowledge base after articles were added or edited. A broken
+    // article is reported and the current corpus stays in use.
+    app.post('/api/admin/knowledge/reload', authenticate, requireAdmin, adminRateLimiter, handleAdminErrors((req, res) => {
+        try {
+            res.json({ status: 'reloaded', ...knowledgeBase.load() });
+        } catch (error) {
+            if (!(error instanceof KnowledgeBaseError)) throw error;
+
+            logger.error('Knowledge base reload failed, keeping the previous corpus', { error: error.message });
+            res.status(422).json({
+                error: 'Invalid knowledge base',
+                messageKey: MESSAGE_KEYS.SERVER_ERROR,
+                fallbackMessage: 'The knowledge base has errors; the previous version is still in use',
+                details: error.errors
+            });
+        }
+    }));
+
+    // Who made an admin change, for the audit log: the client id ("admin" for ADMIN_API_KEY)
+    function getActor(req) {
+        return req.apiClient.id;
+    }
+
+    function configChangeError(req, message) {
+        return {
+            error: 'Bad Request',
+            messageKey: MESSAGE_KEYS.CONFIG_CHANGE_INVALID,
+            fallbackMessage: message || i18n.t(MESSAGE_KEYS.CONFIG_CHANGE_INVALID, req.language)
+        };
+    }
+
+    // A text or image model from the registry, by its full name
+    function findRegistryModel(name) {
+        return modelRegistry.getModels().concat(modelRegistry.getImageModels())
+            .find(model => model.name === name) || null;
+    }
+
+    function describeModel(model) {
+        const isText = model.task !== 'image-classification';
+        return {
+            name: model.name,
+            provider: model.provider,
+            priority: model.priority,
+            enabled: !runtimeControls.isDisabled(model.name),
+            pinned: runtimeControls.pinned === model.name,
+            has_credentials: hasCredentials(model),
+            parameters: isText ? getModelParameters(model.name) : undefined,
+            parameter_overrides: isText ? runtimeControls.getParameters(model.name) : undefined,
+            ...getBreaker(model).getStats(),
+            queue: getModelQueue(model).getStats(),
+            keep_warm: keepWarm.getModelStatus(model)
+        };
+    }
+
+    // Every model with its live breaker and queue stats and the runtime overrides
+    app.get('/api/admin/models', authenticate, requireAdmin, handleAdminErrors((req, res) => {
+        res.json({
+            active_model: getActiveModelName(),
+            pinned: runtimeControls.pinned,
+            models: modelRegistry.getModels().map(describeModel),
+            image_models: modelRegistry.getImageModels().map(describeModel)
+        });
+    }));
+
+    // Take a model out of rotation or put it back, pin it to the front of the
+    // chain, or change its generation parameters:
+    //   { "enabled": false }, { "pinned": true }, { "parameters": { "temperature": 0.3 } }
+    // Parameters are merged into the current overrides; null clears them. Model
+    // names contain a slash, which the route accepts as is.
+    app.patch('/api/admin/models/:name(*)', authenticate, requireAdmin, handleAdminErrors(async (req, res) => {
+        const model = findRegistryModel(req.params.name);
+        if (!model) {
+            return res.status(404).json({
+                error: 'Not Found',
+                messageKey: MESSAGE_KEYS.NOT_FOUND,
+                fallbackMessage: `No model named "${req.params.name}" in the registry`
+            });
+        }
+
+        const { enabled, pinned, parameters } = req.body || {};
+        const isText = model.task !== 'image-classification';
+
+        if (enabled === undefined && pinned === undefined && parameters === undefined) {
+            return res.status(400).json(configChangeError(req, 'Nothing to change: send "enabled", "pinned" or "parameters"'));
+        }
+        for (const [field, value] of Object.entries({ enabled, pinned })) {
+            if (value !== undefined && typeof value !== 'boolean') {
+                return res.status(400).json(configChangeError(req, `${field} must be true or false`));
+            }
+        }
+        if (!isText && (pinned !== undefined || parameters !== undefined)) {
+            return res.status(400).json(configChangeError(req, 'Image models can only be enabled or disabled'));
+        }
+        const parametersError = parameters !== undefined && validateParameters(parameters);
+        if (parametersError) {
+            return res.status(400).json(configChangeError(req, parametersError));
+        }
+
+        // Without any text model left every chat request would fail
+        if (enabled === false && isText &&
+            !modelRegistry.getModels().some(m => m.name !== model.name && !runtimeControls.isDisabled(m.name))) {
+            return res.status(409).json({
+                ...configChangeError(req, 'At least one text model has to stay enabled'),
+                error: 'Conflict'
+            });
+        }
+
+        const actor = getActor(req);
+        const changes = [];
+        if (enabled !== undefined) {
+            changes.push(await runtimeControls.setEnabled(model.name, enabled, actor));
+        }
+        if (pinned === true || (pinned === false && runtimeControls.pinned === model.name)) {
+            changes.push(await runtimeControls.setPinned(pinned ? model.name : null, actor));
+        }
+        if (parameters !== undefined) {
+            changes.push(await runtimeControls.setParameters(model.name, parameters, actor));
+        }
+
+        res.json({ model: describeModel(model), changes: changes });
+    }));
+
+    // Rate limits as configured, the runtime overrides and what applies now
+    app.get('/api/admin/rate-limits', authenticate, requireAdmin, handleAdminErrors((req, res) => {
+        const effective = {};
+        for (const section of RATE_LIMIT_SECTIONS) {
+            if (section === 'tiers' || section === 'clients') {
+                const names = new Set(Object.keys(rateLimitConfig[section] || {})
+                    .concat(Object.keys(runtimeControls.getRateLimit(section) || {})));
+                effective[section] = Object.fromEntries([...names].map(name => [name, getRateLimitPolicy(section, name)]));
+            } else {
+                effective[section] = getRateLimitPolicy(section);
+            }
+        }
+        res.json({ effective: effective, overrides: runtimeControls.rateLimits, configured: rateLimitConfig });
+    }));
+
+    // Override a rate limit until it is deleted again: PUT { limit, windowMs } to
+    // /api/admin/rate-limits/admin, /batch, /tiers/<tier> or /clients/<client id>
+    async function changeRateLimit(req, res, policy) {
+        const { section, name } = req.params;
+
+        if (!RATE_LIMIT_SECTIONS.includes(section)) {
+            return res.status(404).json({
+                error: 'Not Found',
+                messageKey: MESSAGE_KEYS.NOT_FOUND,
+                fallbackMessage: `Rate limit sections are: ${RATE_LIMIT_SECTIONS.join(', ')}`
+            });
+        }
+        const named = section === 'tiers' || section === 'clients';
+        if (named !== (name !== undefined)) {
+            return res.status(400).json(configChangeError(req, named
+                ? `"${section}" limits need a ${section === 'tiers' ? 'tier' : 'client id'} in the path`
+                : `"${section}" is a single limit; leave the name off the path`));
+        }
+        if (section === 'tiers' && !rateLimitConfig.tiers[name]) {
+            return res.status(400).json(configChangeError(req, `Unknown tier "${name}"`));
+        }
+        const policyError = validateRateLimit(policy);
+        if (policyError) {
+            return res.status(400).json(configChangeError(req, policyError));
+        }
+
+        const change = await runtimeControls.setRateLimit(section, name, policy, getActor(req));
+        res.json({ policy: getRateLimitPolicy(section, name), change: change });
+    }
+
+    app.put('/api/admin/rate-limits/:section/:name?', authenticate, requireAdmin, handleAdminErrors((req, res) =>
+        changeRateLimit(req, res, req.body || {})));
+
+    app.delete('/api/admin/rate-limits/:section/:name?', authenticate, requireAdmin, handleAdminErrors((req, res) =>
+        changeRateLimit(req, res, null)));
+
+    // Probe every model now instead of waiting for the background probes, e.g.
+    // after an upstream outage; breakers open or close on the results
+    app.post('/api/admin/recovery/sweep', authenticate, requireAdmin, adminRateLimiter, handleAdminErrors(async (req, res) => {
+        const health = await recovery.sweep();
+        const change = await runtimeControls.audit(getActor(req), 'recovery.sweep', { health: health });
+        res.json({ health: health, at: change.at, active_model: getActiveModelName() });
+    }));
+
+    // The latest admin changes, newest first (?limit, 100 by default)
+    app.get('/api/admin/audit', authenticate, requireAdmin, handleAdminErrors(async (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+        res.json({ entries: await runtimeControls.readAudit(limit) });
+    }));
+
+    // Background work: registry hot reload, recovery and keep-warm probes. In
+    // cluster mode one worker probes for all of them (options.background).
+    function start({ background = true } = {}) {
+        modelRegistry.watch();
+        if (background) {
+            recovery.start();
+            keepWarm.start();
+        }
+    }
+
+    // Fail readiness and stop keeping connections alive; requests still being
+    // answered go on
+    function drain() {
+        draining = true;
+    }
+
+    // Stop every timer and write what the file stores still hold
+    async function stop() {
+        recovery.stop();
+        keepWarm.stop();
+        modelRegistry.unwatch();
+        conversationStore.close();
+        if (rateLimitStore.close) rateLimitStore.close();
+
+        await Promise.all([clientStore, feedbackStore, usageStore].map(store => store.flush().catch(error => {
+            logger.error('Failed to save a store on shutdown', { path: store.filePath, error });
+        })));
+        if (redisClient) await redisClient.quit();
+    }
+
+    // One walk down the model chain, so the first user doesn't wait on a cold model
+    function warmUp() {
+        return callHuggingFaceAPI('What can you tell me about sun exposure and skin health?');
+    }
+
+    return { app, start, stop, drain, warmUp, getActiveModelName };
+}
+
+module.exports = {
+    createApp
+};
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { TokenError, looksLikeJwt, verifyJwt } = require('./jwt');
+const { logger } = require('./logger');
+
+// Client authentication for the proxy. A caller presents one credential,
+// either as "Authorization: Bearer <credential>" or "X-API-Key: <credential>":
+//   - a proxy-issued client key (see FileClientStore)
+//   - an HS256 JWT signed with JWT_SECRET: sub = client id, optional tier,
+//     name and role ("admin")
+//   - the ADMIN_API_KEY, for operators and schedulers
+// Successful authentication sets req.apiClient = { id, name, tier, admin }.
+
+function getPresentedCredential(req) {
+    const authorization = req.get('Authorization');
+    if (authorization && /^Bearer\s+/i.test(authorization)) {
+        return authorization.replace(/^Bearer\s+/i, '').trim();
+    }
+    return req.get('X-API-Key') || null;
+}
+
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Returns { authenticate, requireClient, requireAuthenticated, requireAdmin } middleware.
+//   required   when false, anonymous callers may still use the public routes
+//   errors     { unauthorized, forbidden, serverError }: req -> response body
+function createAuth({ clientStore, jwtSecret, adminKey, required, errors }) {
+    async function resolveClient(credential) {
+        if (adminKey && safeEqual(credential, adminKey)) {
+            return { id: 'admin', name: 'admin', tier: 'internal', admin: true };
+        }
+
+        if (jwtSecret && looksLikeJwt(credential)) {
+            const claims = verifyJwt(credential, jwtSecret);
+            if (!claims.sub) {
+                throw new TokenError('Token has no subject');
+            }
+            return {
+                id: `jwt:${claims.sub}`,
+                name: claims.name || claims.sub,
+                tier: claims.tier || 'free',
+                admin: claims.role === 'admin'
+            };
+        }
+
+        return clientStore.findByKey(credential);
+    }
+
+    // Identifies the caller; a bad credential is always rejected, a missing one only by requireClient.
+    // Only an invalid or expired token and an unknown key are the caller's fault: a
+    // client store that can't be read is a server error, not a reason to log them out.
+    async function authenticate(req, res, next) {
+        const credential = getPresentedCredential(req);
+        if (!credential) return next();
+
+        let client;
+        try {
+            client = await resolveClient(credential);
+        } catch (error) {
+            if (!(error instanceof TokenError)) {
+                logger.error('Failed to check credential', { error });
+                return res.status(500).json(errors.serverError(req));
+            }
+            logger.info('Rejected credential', { reason: error.message });
+        }
+
+        if (!client) {
+            return res.status(401).json(errors.unauthorized(req));
+        }
+
+        req.apiClient = client;
+        // Counted once the response is sent, under the route pattern that handled
+        // it, so ids in paths don't add a counter each
+        res.on('finish', () => {
+            if (!req.route) return;
+            clientStore.recordUsage(client.id, `${req.method} ${req.baseUrl}${req.route.path}`).catch(error => {
+                logger.error('Failed to record client usage', { client_id: client.id, error });
+            });
+        });
+        next();
+    }
+
+    function requireClient(req, res, next) {
+        if (required && !req.apiClient) {
+            return res.status(401).json(errors.unauthorized(req));
+        }
+        next();
+    }
+
+    // For routes that are never open to anonymous callers, whatever `required` says
+    function requireAuthenticated(req, res, next) {
+        if (!req.apiClient) {
+            return res.status(401).json(errors.unauthorized(req));
+        }
+        next();
+    }
+
+    function requireAdmin(req, res, next) {
+        if (!req.apiClient) {
+            return res.status(401).json(errors.unauthorized(req));
+        }
+        if (!req.apiClient.admin) {
+            return res.status(403).json(errors.forbidden(req));
+        }
+        next();
+    }
+
+    return {
+        authenticate,
+        requireClient,
+        requireAuthenticated,
+        requireAdmin
+    };
+}
+
+module.exports = {
+    createAuth,
+    getPresentedCredential,
+    safeEqual
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+
+// Batches of standalone questions, for FAQ pre-generation and eval runs.
+// Items run a few at a time so a batch can't take every work queue slot, and
+// each item gets its own result, so one failing question doesn't fail the rest.
+// Async jobs are kept in memory until `ttl` after they finish; polling a job
+// has to reach the instance that runs it.
+
+const DEFAULT_JOB_TTL = 60 * 60 * 1000; // 1 hour
+const DEFAULT_MAX_JOBS = 100;
+
+function createJobId() {
+    return `batch_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// worker(item, index) for every item, at most `concurrency` at a time.
+// Resolves to the results in item order; worker errors are the worker's to handle.
+async function runWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function runNext() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runNext));
+    return results;
+}
+
+// Item counts by status: "ok", "fallback" (answered with a message key),
+// "failed" (every model failed) and "invalid"
+function countResults(results) {
+    const counts = { ok: 0, fallback: 0, failed: 0, invalid: 0 };
+    for (const result of results) {
+        if (result) counts[result.status]++;
+    }
+    return counts;
+}
+
+class BatchJobRegistry {
+    // options: { ttl, maxJobs, now }
+    constructor(options = {}) {
+        this.ttl = options.ttl || DEFAULT_JOB_TTL;
+        this.maxJobs = options.maxJobs || DEFAULT_MAX_JOBS;
+        this.now = options.now || Date.now;
+        this.jobs = new Map();
+    }
+
+    get runningCount() {
+        let running = 0;
+        for (const job of this.jobs.values()) {
+            if (job.status === 'running') running++;
+        }
+        return running;
+    }
+
+    // Null when maxJobs are still running
+    create(clientId, items) {
+        this.prune();
+        if (this.runningCount >= this.maxJobs) return null;
+
+        const job = {
+            id: createJobId(),
+            clientId: clientId,
+            status: 'running',
+            items: items,
+            results: new Array(items.length).fill(null),
+            createdAt: this.now(),
+            finishedAt: null
+        };
+        this.jobs.set(job.id, job);
+        return job;
+    }
+
+    get(id) {
+        this.prune();
+        return this.jobs.get(id) || null;
+    }
+
+    finish(job) {
+        job.status = 'completed';
+        job.finishedAt = this.now();
+    }
+
+    prune() {
+        for (const [id, job] of this.jobs) {
+            if (job.finishedAt && this.now() - job.finishedAt > this.ttl) {
+                this.jobs.delete(id);
+            }
+        }
+    }
+}
+
+// What a poll returns; items still waiting show up as { id, status: 'pending' }
+function toJobStatus(job) {
+    const done = job.results.filter(Boolean).length;
+    return {
+        job_id: job.id,
+        status: job.status,
+        total: job.items.length,
+        done: done,
+        counts: countResults(job.results),
+        created_at: new Date(job.createdAt).toISOString(),
+        finished_at: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+        results: job.results.map((result, i) => result || { id: job.items[i].id, status: 'pending' })
+    };
+}
+
+module.exports = {
+    BatchJobRegistry,
+    runWithConcurrency,
+    countResults,
+    toJobStatus
+};
@@ -0,0 +1,197 @@
+// Per-model circuit breakers.
+//
+// closed    -> requests flow; outcomes are tracked over a sliding window
+// open      -> the model is skipped until its cooldown has passed
+// half_open -> the cooldown passed; a background probe (see
+//              RecoveryCoordinator) decides whether to close the breaker
+//              again or reopen it with a longer cooldown
+//
+// A call counts against the model when it fails or takes longer than
+// slowCallMs, so a model that answers but takes 40s gets routed around too.
+//
+// In cluster mode every worker has its own breakers; each one that opens or
+// closes is reported through onStateChange and copied into the other workers'
+// breakers with syncState().
+
+const { logger } = require('./logger');
+
+const DEFAULT_OPTIONS = {
+    windowMs: 120000,           // only outcomes from the last 2 minutes count
+    windowSize: 20,             // and at most the last 20 of them
+    minRequests: 3,             // don't judge a model on fewer calls than this
+    failureRateThreshold: 0.5,  // open when half the recent calls went bad
+    slowCallMs: 25000,
+    openMs: 30000,              // first cooldown, doubled on every failed probe
+    maxOpenMs: 300000,
+    latencySamples: 100
+};
+
+function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+class CircuitBreaker {
+    constructor(name, options = {}, now = Date.now, onStateChange = null) {
+        this.name = name;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.now = now;
+        this.onStateChange = onStateChange;
+
+        this.state = 'closed';
+        this.outcomes = [];     // { at, ok }
+        this.latencies = [];    // latency in ms of successful calls
+        this.openedAt = 0;
+        this.openCount = 0;
+        this.lastError = null;
+    }
+
+    // Only closed breakers take live traffic; half-open models are probed in the background
+    canRequest() {
+        this.refreshState();
+        return this.state === 'closed';
+    }
+
+    // True when a background probe should run now
+    isProbeDue() {
+        this.refreshState();
+        return this.state === 'half_open';
+    }
+
+    refreshState() {
+        if (this.state === 'open' && this.now() - this.openedAt >= this.getCooldown()) {
+            this.state = 'half_open';
+        }
+    }
+
+    getCooldown() {
+        const { openMs, maxOpenMs } = this.options;
+        return Math.min(openMs * Math.pow(2, Math.max(0, this.openCount - 1)), maxOpenMs);
+    }
+
+    recordSuccess(latencyMs) {
+        this.latencies.push(latencyMs);
+        if (this.latencies.length > this.options.latencySamples) {
+            this.latencies.shift();
+        }
+        this.recordOutcome(latencyMs <= this.options.slowCallMs);
+    }
+
+    recordFailure(error) {
+        this.lastError = error ? error.message : null;
+        this.recordOutcome(false);
+    }
+
+    recordOutcome(ok) {
+        const now = this.now();
+        this.outcomes.push({ at: now, ok });
+        this.pruneOutcomes(now);
+
+        if (this.state !== 'closed') return;
+
+        if (this.outcomes.length >= this.options.minRequests &&
+            this.getErrorRate() >= this.options.failureRateThreshold) {
+            this.open();
+        }
+    }
+
+    pruneOutcomes(now = this.now()) {
+        const cutoff = now - this.options.windowMs;
+        while (this.outcomes.length &&
+            (this.outcomes.length > this.options.windowSize || this.outcomes[0].at < cutoff)) {
+            this.outcomes.shift();
+        }
+    }
+
+    open() {
+        this.state = 'open';
+        this.openedAt = this.now();
+        this.openCount++;
+        logger.warn('Circuit breaker opened', { model: this.name, cooldown_ms: this.getCooldown() });
+        if (this.onStateChange) this.onStateChange(this);
+    }
+
+    close() {
+        this.state = 'closed';
+        this.openCount = 0;
+        this.outcomes = [];
+        logger.info('Circuit breaker closed', { model: this.name });
+        if (this.onStateChange) this.onStateChange(this);
+    }
+
+    // What another worker needs to mirror this breaker
+    getSharedState() {
+        return { state: this.state, openedAt: this.openedAt, openCount: this.openCount, lastError: this.lastError };
+    }
+
+    // Mirror the same model's breaker in another worker; not reported back
+    syncState({ state, openedAt, openCount, lastError }) {
+        this.state = state;
+        this.openedAt = openedAt;
+        this.openCount = openCount;
+        this.lastError = lastError;
+        if (state === 'closed') this.outcomes = [];
+    }
+
+    // Result of a background probe. Probes of a closed model (forced sweeps)
+    // count like any other call; while half-open they decide the state.
+    recordProbe(ok, latencyMs, error) {
+        this.refreshState();
+
+        if (this.state === 'closed') {
+            return ok ? this.recordSuccess(latencyMs) : this.recordFailure(error);
+        }
+
+        if (ok) {
+            this.latencies.push(latencyMs);
+            this.close();
+        } else {
+            this.lastError = error ? error.message : null;
+            this.open();
+        }
+    }
+
+    getErrorRate() {
+        this.pruneOutcomes();
+        if (!this.outcomes.length) return 0;
+        return this.outcomes.filter(outcome => !outcome.ok).length / this.outcomes.length;
+    }
+
+    getStats() {
+        this.refreshState();
+        const sorted = this.latencies.slice().sort((a, b) => a - b);
+
+        return {
+            state: this.state,
+            error_rate: Number(this.getErrorRate().toFixed(3)),
+            recent_requests: this.outcomes.length,
+            p50_latency_ms: percentile(sorted, 50),
+            p95_latency_ms: percentile(sorted, 95),
+            last_error: this.lastError
+        };
+    }
+}
+
+// One breaker per model name, created on first use
+class BreakerRegistry {
+    // onStateChange(breaker) hears about every breaker that opens or closes
+    constructor(options = {}, now = Date.now, onStateChange = null) {
+        this.options = options;
+        this.now = now;
+        this.onStateChange = onStateChange;
+        this.breakers = new Map();
+    }
+
+    get(name, overrides) {
+        if (!this.breakers.has(name)) {
+            this.breakers.set(name, new CircuitBreaker(name, { ...this.options, ...overrides }, this.now, this.onStateChange));
+        }
+        return this.breakers.get(name);
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    BreakerRegistry
+};
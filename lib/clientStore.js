@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Proxy-issued client credentials and their usage counters.
+//
+// Keys are shown once when issued and only their SHA-256 hash is stored, so
+// the file can't be used to impersonate a client. Each mobile or web build
+// gets its own key and can be revoked without touching the others.
+// Usage is counted per client id, including JWT-authenticated clients that
+// have no stored key.
+
+const KEY_PREFIX = 'dermi_';
+const PERSIST_DELAY = 1000;
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// What we're willing to show about a client; never the hash
+function toPublicClient(client, usage) {
+    return {
+        id: client.id,
+        name: client.name,
+        tier: client.tier,
+        admin: client.admin,
+        key_prefix: client.keyPrefix,
+        created_at: client.createdAt,
+        revoked_at: client.revokedAt || null,
+        usage: usage || null
+    };
+}
+
+class FileClientStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.clients = [];
+        this.usage = {};
+        this.persistTimer = null;
+        this.load();
+    }
+
+    load() {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw new Error(`Could not read client store ${this.filePath}: ${error.message}`);
+        }
+
+        this.clients = data.clients || [];
+        this.usage = data.usage || {};
+    }
+
+    // Writes are batched; the file is replaced atomically
+    schedulePersist() {
+        if (this.persistTimer) return;
+
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            this.persist().catch(error => {
+                logger.error('Failed to save client store', { path: this.filePath, error });
+            });
+        }, PERSIST_DELAY);
+        this.persistTimer.unref();
+    }
+
+    // Write a batched change now instead of waiting, e.g. before the process exits
+    async flush() {
+        if (!this.persistTimer) return;
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        await this.persist();
+    }
+
+    async persist() {
+        const data = JSON.stringify({ clients: this.clients, usage: this.usage }, null, 2);
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, data, { mode: 0o600 });
+        await fs.promises.rename(tmpPath, this.filePath);
+    }
+
+    // Returns the plain key exactly once alongside the stored client
+    async issue({ name, tier = 'free', admin = false }) {
+        const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+        const client = {
+            id: crypto.randomBytes(8).toString('hex'),
+            name: name,
+            tier: tier,
+            admin: Boolean(admin),
+            keyHash: hashKey(key),
+            keyPrefix: key.slice(0, KEY_PREFIX.length + 6),
+            createdAt: new Date().toISOString(),
+            revokedAt: null
+        };
+
+        this.clients.push(client);
+        await this.persist();
+
+        return { client: toPublicClient(client), key };
+    }
+
+    async revoke(id) {
+        const client = this.clients.find(c => c.id === id);
+        if (!client || client.revokedAt) return false;
+
+        client.revokedAt = new Date().toISOString();
+        await this.persist();
+        return true;
+    }
+
+    // Active client for a presented key, or null
+    async findByKey(key) {
+        if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+        const keyHash = hashKey(key);
+        const client = this.clients.find(c => c.keyHash === keyHash && !c.revokedAt);
+        return client ? { id: client.id, name: client.name, tier: client.tier, admin: client.admin } : null;
+    }
+
+    async recordUsage(clientId, route) {
+        const usage = this.usage[clientId] || (this.usage[clientId] = { total: 0, routes: {}, last_used_at: null });
+        usage.total++;
+        usage.routes[route] = (usage.routes[route] || 0) + 1;
+        usage.last_used_at = new Date().toISOString();
+        this.schedulePersist();
+    }
+
+    async getUsage(clientId) {
+        return this.usage[clientId] || null;
+    }
+
+    async list() {
+        return this.clients.map(client => toPublicClient(client, this.usage[client.id]));
+    }
+}
+
+// The client store of the cluster primary, for workers, so a key issued or
+// revoked through one worker counts on all of them. channel is a ClusterChannel
+// (see lib/cluster.js).
+class ClusterClientStore {
+    constructor(channel) {
+        this.channel = channel;
+    }
+
+    request(method, ...args) {
+        return this.channel.request('store', { store: 'clients', method, args });
+    }
+
+    findByKey(key) {
+        return this.request('findByKey', key);
+    }
+
+    recordUsage(clientId, route) {
+        return this.request('recordUsage', clientId, route);
+    }
+
+    getUsage(clientId) {
+        return this.request('getUsage', clientId);
+    }
+
+    list() {
+        return this.request('list');
+    }
+
+    issue(client) {
+        return this.request('issue', client);
+    }
+
+    revoke(id) {
+        return this.request('revoke', id);
+    }
+
+    // The primary writes the file
+    async flush() {}
+}
+
+module.exports = {
+    FileClientStore,
+    ClusterClientStore,
+    hashKey
+};
@@ -0,0 +1,271 @@
+const cluster = require('cluster');
+const { MemoryRateLimitStore } = require('./rateLimiter');
+const { createFileStores, SHARED_STORES, RUNTIME_CONTROL_CHANGES } = require('./stores');
+const { logger } = require('./logger');
+
+// Optional multi-worker mode (CLUSTER_WORKERS > 1). The primary process forks
+// the workers, which all serve the same port, and restarts any that die.
+// Workers share state through the primary:
+//
+//   rate limits   counters live in the primary (in Redis when REDIS_URL is
+//                 set, as with several instances), so a limit holds across workers
+//   model health  a breaker that opens or closes in one worker is copied to
+//                 the others, so they route around a failing model together
+//   file stores   the primary owns the client, feedback and usage stores and
+//                 the runtime controls (lib/stores.js); workers call it for
+//                 every read and write, and it sends changed runtime controls
+//                 to all of them
+//   budgets       each worker passes the counters of its upstream calls to the
+//                 others, so budgets count every worker's calls
+//
+// Recovery and keep-warm probes run in worker 0 only; their breaker changes
+// reach the rest. The response cache and sessions stay per worker.
+//
+// Messages between the primary and the workers carry channel: CHANNEL and are
+// one of { kind: 'request', id, type, payload } answered by { kind: 'reply',
+// id, result, error }, or { kind: 'broadcast', type, payload } passed on to
+// every other worker or sent by the primary. They use the "advanced"
+// serialization, so undefined arguments stay undefined.
+
+const CHANNEL = 'dermi';
+const DEFAULT_REQUEST_TIMEOUT = 1000;
+const RESTART_DELAY = 1000;
+// Time on top of the workers' own drain before the primary kills them
+const KILL_MARGIN = 5000;
+
+// This worker's slot (0, 1, ...), the same after a restart; null outside cluster mode
+function getWorkerIndex() {
+    const index = parseInt(process.env.CLUSTER_WORKER_INDEX, 10);
+    return cluster.isWorker && Number.isInteger(index) ? index : null;
+}
+
+// A worker's end of the IPC channel to the primary
+class ClusterChannel {
+    // options: { timeout } for requests to the primary, in ms
+    constructor(options = {}) {
+        this.timeout = options.timeout || DEFAULT_REQUEST_TIMEOUT;
+        this.nextId = 1;
+        this.pending = new Map(); // request id -> { resolve, reject, timer }
+        this.handlers = new Map(); // broadcast type -> handler(payload)
+        this.onMessage = (message) => this.handleMessage(message);
+        process.on('message', this.onMessage);
+    }
+
+    handleMessage(message) {
+        if (!message || message.channel !== CHANNEL) return;
+
+        if (message.kind === 'reply') {
+            const pending = this.pending.get(message.id);
+            if (!pending) return;
+            this.pending.delete(message.id);
+            clearTimeout(pending.timer);
+            if (message.error) pending.reject(new Error(message.error));
+            else pending.resolve(message.result);
+            return;
+        }
+
+        const handler = message.kind === 'broadcast' && this.handlers.get(message.type);
+        if (handler) handler(message.payload);
+    }
+
+    send(message) {
+        if (!process.connected) return false;
+        process.send({ channel: CHANNEL, ...message });
+        return true;
+    }
+
+    // Ask the primary; rejects when it doesn't answer within the timeout
+    request(type, payload) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            if (!this.send({ kind: 'request', id, type, payload })) {
+                return reject(new Error('Not connected to the cluster primary'));
+            }
+
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`The cluster primary didn't answer a ${type} request`));
+            }, this.timeout);
+            timer.unref();
+            this.pending.set(id, { resolve, reject, timer });
+        });
+    }
+
+    // Tell every other worker
+    broadcast(type, payload) {
+        this.send({ kind: 'broadcast', type, payload });
+    }
+
+    on(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    close() {
+        process.off('message', this.onMessage);
+        for (const { reject, timer } of this.pending.values()) {
+            clearTimeout(timer);
+            reject(new Error('Cluster channel closed'));
+        }
+        this.pending.clear();
+    }
+}
+
+// What the primary does for each request type: handler(payload, worker)
+// returns the result. broadcast(type, payload, except) tells every worker but
+// `except`.
+function createRequestHandlers({ rateLimits, stores, broadcast }) {
+    return {
+        'rate-limit': ({ op, key, ttlMs }) => op === 'increment' ? rateLimits.increment(key, ttlMs) : rateLimits.get(key),
+
+        'store': ({ store, method, args }) => {
+            const shared = SHARED_STORES[store];
+            if (!shared || !shared.methods.includes(method)) throw new Error(`Unknown store call "${store}.${method}"`);
+            return stores[shared.store][method](...args);
+        },
+
+        // The worker that made the change gets the new overrides with the result
+        'runtime-controls': async ({ method, args }, worker) => {
+            if (!RUNTIME_CONTROL_CHANGES.includes(method)) throw new Error(`Unknown runtime control call "${method}"`);
+            const result = await stores.runtimeControls[method](...args);
+            const overrides = stores.runtimeControls.getOverrides();
+            broadcast('runtime-controls', overrides, worker);
+            return { result, overrides };
+        }
+    };
+}
+
+// Run the primary: fork the workers, answer their requests and pass their
+// broadcasts on. On SIGTERM or SIGINT every worker drains and exits; any still
+// running shutdownTimeoutMs (plus a margin) later is killed. The file stores
+// are written once the last worker has stopped.
+// options: { workers, shutdownTimeoutMs }
+function runPrimary({ workers, shutdownTimeoutMs }) {
+    const rateLimits = new MemoryRateLimitStore();
+    const indexes = new Map(); // worker id -> slot
+    let shuttingDown = false;
+    let exitCode = 0;
+
+    // A store file that can't be read stops the cluster from starting
+    let stores;
+    try {
+        stores = createFileStores();
+    } catch (error) {
+        logger.error(error.message);
+        process.exit(1);
+    }
+
+    cluster.setupPrimary({ serialization: 'advanced' });
+
+    function fork(index) {
+        if (shuttingDown) return;
+        const worker = cluster.fork({ CLUSTER_WORKER_INDEX: String(index) });
+        indexes.set(worker.id, index);
+    }
+
+    function sendToWorkers(message, except) {
+        for (const worker of Object.values(cluster.workers)) {
+            if (worker !== except && worker.isConnected()) worker.send(message);
+        }
+    }
+
+    const requestHandlers = createRequestHandlers({
+        rateLimits,
+        stores,
+        broadcast: (type, payload, except) => sendToWorkers({ channel: CHANNEL, kind: 'broadcast', type, payload }, except)
+    });
+
+    cluster.on('message', async (worker, message) => {
+        if (!message || message.channel !== CHANNEL) return;
+
+        if (message.kind === 'broadcast') {
+            sendToWorkers(message, worker);
+            return;
+        }
+
+        if (message.kind !== 'request') return;
+        const reply = { channel: CHANNEL, kind: 'reply', id: message.id };
+        try {
+            const handler = requestHandlers[message.type];
+            if (!handler) throw new Error(`Unknown cluster request "${message.type}"`);
+            reply.result = await handler(message.payload, worker);
+        } catch (error) {
+            reply.error = error.message;
+        }
+        if (worker.isConnected()) worker.send(reply);
+    });
+
+    // Write what the file stores still hold, then exit
+    async function exit(code) {
+        rateLimits.close();
+        const { usageStore, clientStore, feedbackStore } = stores;
+        await Promise.all([usageStore, clientStore, feedbackStore].map(store => store.flush().catch(error => {
+            logger.error('Failed to save a store on shutdown', { path: store.filePath, error });
+        })));
+        process.exit(code);
+    }
+
+    cluster.on('exit', (worker, code, signal) => {
+        const index = indexes.get(worker.id);
+        indexes.delete(worker.id);
+
+        if (shuttingDown) {
+            if (!indexes.size) {
+                logger.info('All cluster workers stopped');
+                exit(exitCode);
+            }
+            return;
+        }
+
+        // A worker that never got to listen (a broken config, say) would only die again
+        if (!worker.hasListened) {
+            logger.error('Cluster worker failed to start, stopping the cluster', { worker: index, code, signal });
+            shutdown('worker_failed', 1);
+            return;
+        }
+
+        logger.error('Cluster worker died, restarting it', { worker: index, code, signal });
+        setTimeout(() => fork(index), RESTART_DELAY);
+    });
+
+    cluster.on('listening', (worker) => {
+        worker.hasListened = true;
+    });
+
+    function shutdown(reason, code = 0) {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        exitCode = code;
+        logger.info('Stopping cluster workers', { reason, workers: indexes.size });
+
+        if (!indexes.size) {
+            exit(exitCode);
+            return;
+        }
+        for (const worker of Object.values(cluster.workers)) {
+            worker.process.kill('SIGTERM');
+        }
+
+        setTimeout(() => {
+            logger.warn('Cluster workers did not stop in time, killing them');
+            for (const worker of Object.values(cluster.workers)) {
+                worker.process.kill('SIGKILL');
+            }
+            process.exit(1);
+        }, shutdownTimeoutMs + KILL_MARGIN).unref();
+    }
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+
+    logger.info('Starting cluster', { workers });
+    for (let index = 0; index < workers; index++) {
+        fork(index);
+    }
+}
+
+module.exports = {
+    ClusterChannel,
+    createRequestHandlers,
+    runPrimary,
+    getWorkerIndex
+};
@@ -0,0 +1,105 @@
+// Helpers for turning request payloads into a structured conversation
+// ({ role, content } messages) that formatPrompt can render for any model
+
+const MESSAGE_ROLES = ['system', 'user', 'assistant'];
+const MAX_MESSAGES = 50;
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Parse a legacy "User: ... / Assistant: ..." transcript string into messages
+function parseTranscript(inputs) {
+    const messages = [];
+    let current = null;
+
+    for (const line of inputs.split('\n')) {
+        const turnMatch = line.match(/^\s*(User|Assistant|Dermi):\s*(.*)$/);
+
+        if (turnMatch) {
+            current = {
+                role: turnMatch[1] === 'User' ? 'user' : 'assistant',
+                content: turnMatch[2]
+            };
+            messages.push(current);
+        } else if (current) {
+            // Continuation of a multi-line turn
+            current.content += '\n' + line;
+        }
+        // Lines before the first turn are client-side instructions, which the
+        // per-model templates replace with their own system prompt
+    }
+
+    const turns = messages
+        .map(message => ({ role: message.role, content: message.content.trim() }))
+        .filter(message => message.content);
+
+    // Drop an empty trailing "Assistant:" cue and anything after the last user turn
+    while (turns.length && turns[turns.length - 1].role !== 'user') {
+        turns.pop();
+    }
+
+    if (turns.length) {
+        return turns;
+    }
+
+    // No recognizable turns: treat the last non-assistant line as the question
+    const lines = inputs.split('\n');
+    for (let i = lines.length - 1; i >= 0; i--) {
+        if (lines[i].trim() && !lines[i].includes('Assistant:') && !lines[i].includes('Dermi:')) {
+            return [{ role: 'user', content: lines[i].trim() }];
+        }
+    }
+
+    return [{ role: 'user', content: inputs.trim() }];
+}
+
+// Validate a client-supplied messages array, returning an error string or null
+function validateMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return 'The "messages" field must be a non-empty array';
+    }
+
+    if (messages.length > MAX_MESSAGES) {
+        return `At most ${MAX_MESSAGES} messages are allowed`;
+    }
+
+    for (const message of messages) {
+        if (!message || !MESSAGE_ROLES.includes(message.role)) {
+            return `Each message needs a role of ${MESSAGE_ROLES.join(', ')}`;
+        }
+        if (typeof message.content !== 'string' || !message.content.trim()) {
+            return 'Each message needs a non-empty string content';
+        }
+    }
+
+    if (messages[messages.length - 1].role !== 'user') {
+        return 'The last message must come from the user';
+    }
+
+    return null;
+}
+
+// Accept either a messages array or a legacy transcript string
+function toMessages(inputs) {
+    if (Array.isArray(inputs)) {
+        return inputs.map(message => ({ role: message.role, content: message.content.trim() }));
+    }
+    return parseTranscript(String(inputs));
+}
+
+// Text of the most recent user turn
+function getLastUserMessage(messages) {
+    for (let i = messages.length - 1; i >= 0; i--) {
+        if (messages[i].role === 'user') {
+            return messages[i].content;
+        }
+    }
+    return '';
+}
+
+module.exports = {
+    MAX_MESSAGES,
+    MAX_MESSAGE_LENGTH,
+    parseTranscript,
+    validateMessages,
+    toMessages,
+    getLastUserMessage
+};
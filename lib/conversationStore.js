@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+// Conversation stores keep the message history of server-side sessions.
+// Any object with async get(id), set(id, messages) and delete(id) methods can
+// be used in place of the in-memory default, e.g. a Redis-backed store.
+
+const DEFAULT_TTL = 30 * 60 * 1000; // 30 minutes of inactivity
+const DEFAULT_MAX_MESSAGES = 40;
+
+class MemoryConversationStore {
+    constructor(options = {}) {
+        this.ttl = options.ttl || DEFAULT_TTL;
+        this.maxMessages = options.maxMessages || DEFAULT_MAX_MESSAGES;
+        this.now = options.now || Date.now;
+        this.sessions = new Map();
+
+        // Sweep expired sessions so abandoned conversations don't pile up
+        this.sweepTimer = setInterval(() => this.prune(), Math.min(this.ttl, 60000));
+        this.sweepTimer.unref();
+    }
+
+    async get(id) {
+        const session = this.sessions.get(id);
+        if (!session) return null;
+
+        if (this.now() > session.expiresAt) {
+            this.sessions.delete(id);
+            return null;
+        }
+
+        return session.messages.slice();
+    }
+
+    async set(id, messages) {
+        this.sessions.set(id, {
+            messages: messages.slice(-this.maxMessages),
+            expiresAt: this.now() + this.ttl
+        });
+    }
+
+    async delete(id) {
+        this.sessions.delete(id);
+    }
+
+    prune() {
+        const now = this.now();
+        for (const [id, session] of this.sessions) {
+            if (now > session.expiresAt) {
+                this.sessions.delete(id);
+            }
+        }
+    }
+
+    get size() {
+        return this.sessions.size;
+    }
+
+    close() {
+        clearInterval(this.sweepTimer);
+    }
+}
+
+// Conversation ids are issued by the server so clients can't write into each other's history
+function createConversationId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+module.exports = {
+    MemoryConversationStore,
+    createConversationId
+};
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Model experiments from the registry's "experiments" list.
+//
+// A split experiment sends each user down one of its arms, by weight:
+//
+//   { "name": "opt-first", "arms": [
+//       { "name": "control", "weight": 90 },
+//       { "name": "opt-first", "weight": 10, "models": ["facebook/opt-1.3b", ...] } ] }
+//
+// An arm walks its "models" in that order, or the usual chain without them.
+// The arm comes from a hash of the experiment name and the user's key, so a
+// user or session stays in its arm for as long as the weights don't change.
+//
+// A shadow experiment sends a sampled copy of real questions to a candidate
+// model once the user has been answered; the candidate's answer is only recorded:
+//
+//   { "name": "flan-t5-shadow", "shadow": { "model": "google/flan-t5-small", "sampleRate": 0.05 } }
+//
+// Every observation (experiment, arm, model, latency and output) is appended
+// to a JSON lines file for offline comparison.
+
+// Position in [0, 1) for a key, the same on every instance and after restarts
+function hashToUnit(text) {
+    return crypto.createHash('sha256').update(text).digest().readUInt32BE(0) / 0x100000000;
+}
+
+function pickArm(experiment, key) {
+    const totalWeight = experiment.arms.reduce((total, arm) => total + arm.weight, 0);
+    let point = hashToUnit(`${experiment.name}:${key}`) * totalWeight;
+    for (const arm of experiment.arms) {
+        if (point < arm.weight) return arm;
+        point -= arm.weight;
+    }
+    return experiment.arms[experiment.arms.length - 1];
+}
+
+function createStats() {
+    return { count: 0, failed: 0, latencyTotal: 0 };
+}
+
+function finishStats({ latencyTotal, ...stats }) {
+    const completed = stats.count - stats.failed;
+    return { ...stats, avg_latency_ms: completed ? Math.round(latencyTotal / completed) : null };
+}
+
+class ExperimentTracker {
+    // getExperiments() returns the enabled experiments, so registry reloads apply at once.
+    // options: { logPath, random }
+    constructor(getExperiments, options = {}) {
+        this.getExperiments = getExperiments;
+        this.logPath = options.logPath || null;
+        this.random = options.random || Math.random;
+        this.stats = new Map(); // experiment name -> { arms: Map(arm -> stats), shadow: stats, skipped }
+    }
+
+    getStatsFor(name) {
+        if (!this.stats.has(name)) {
+            this.stats.set(name, { arms: new Map(), shadow: createStats(), skipped: 0 });
+        }
+        return this.stats.get(name);
+    }
+
+    // { experiment, arm } for a user's key, or null when no split is running
+    assign(key) {
+        const experiment = this.getExperiments().find(e => e.arms);
+        if (!experiment) return null;
+        return { experiment: experiment.name, arm: pickArm(experiment, key) };
+    }
+
+    // Shadow experiments that sampled this request
+    sampleShadows() {
+        return this.getExperiments().filter(e => e.shadow && this.random() < e.shadow.sampleRate);
+    }
+
+    // A shadow copy that wasn't sent, e.g. because the candidate was busy
+    recordSkipped(experimentName) {
+        this.getStatsFor(experimentName).skipped++;
+    }
+
+    // observation: { experiment, arm, request_id, language, model_used,
+    // latency_ms, output, failed, shadow: { model_used, latency_ms, output, error } }.
+    // Shadow observations carry the arm "shadow" and the user's answer alongside.
+    record(observation) {
+        const stats = this.getStatsFor(observation.experiment);
+        const isShadow = observation.arm === 'shadow';
+        const measured = isShadow ? observation.shadow : observation;
+
+        let armStats = stats.shadow;
+        if (!isShadow) {
+            if (!stats.arms.has(observation.arm)) stats.arms.set(observation.arm, createStats());
+            armStats = stats.arms.get(observation.arm);
+        }
+        armStats.count++;
+        if (measured.failed || measured.error) armStats.failed++;
+        else armStats.latencyTotal += measured.latency_ms;
+
+        if (!this.logPath) return;
+        const line = JSON.stringify({ at: new Date().toISOString(), ...observation }) + '\n';
+        fs.promises.mkdir(path.dirname(this.logPath), { recursive: true })
+            .then(() => fs.promises.appendFile(this.logPath, line, { mode: 0o600 }))
+            .catch(error => logger.error('Failed to write experiment log', { path: this.logPath, error }));
+    }
+
+    // The enabled experiments with what they have seen since startup
+    getStatus() {
+        return this.getExperiments().map(experiment => {
+            const stats = this.getStatsFor(experiment.name);
+            if (experiment.shadow) {
+                return {
+                    name: experiment.name,
+                    type: 'shadow',
+                    model: experiment.shadow.model,
+                    sample_rate: experiment.shadow.sampleRate,
+                    skipped: stats.skipped,
+                    ...finishStats(stats.shadow)
+                };
+            }
+            return {
+                name: experiment.name,
+                type: 'split',
+                arms: experiment.arms.map(arm => ({
+                    name: arm.name,
+                    weight: arm.weight,
+                    models: arm.models || null,
+                    ...finishStats(stats.arms.get(arm.name) || createStats())
+                }))
+            };
+        });
+    }
+}
+
+module.exports = {
+    ExperimentTracker,
+    pickArm,
+    hashToUnit
+};
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Answers users can rate, and the ratings they gave.
+//
+// Every answer from /api/huggingface is recorded under its response id with
+// the model that gave it, the language, the latency and the message key sent
+// when a fallback or safety answer replaced the model's text. A rating (thumbs
+// "up" or "down" plus optional reason codes) is stored on its answer, so the
+// report can compare models and languages on helpfulness and fallback rate.
+//
+// A store implements:
+//   recordResponse(record) -> Promise
+//   getResponse(id)        -> Promise<record|null>
+//   rate(id, feedback)     -> Promise<record|null>; null for unknown answers
+//   list({ since })        -> Promise<[record]> answered at or after since (ms)
+// The default keeps everything in a JSON file; a store with the same methods
+// (SQLite, Postgres, ...) can be plugged in instead.
+
+const DEFAULT_RETENTION = 30 * 24 * 60 * 60 * 1000; // 30 days
+const DEFAULT_MAX_RECORDS = 50000;
+const PERSIST_DELAY = 1000;
+
+const RATINGS = ['up', 'down'];
+const REASON_CODES = ['incorrect', 'unclear', 'not_relevant', 'too_long', 'too_short', 'wrong_language', 'unsafe', 'other'];
+
+function createResponseId() {
+    return `resp_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Error message for an invalid feedback body, or null
+function validateFeedback(body) {
+    if (!body || typeof body.response_id !== 'string' || !body.response_id) {
+        return 'response_id is required';
+    }
+    if (!RATINGS.includes(body.rating)) {
+        return `rating must be one of: ${RATINGS.join(', ')}`;
+    }
+    if (body.reasons !== undefined) {
+        if (!Array.isArray(body.reasons) || !body.reasons.every(reason => REASON_CODES.includes(reason))) {
+            return `reasons must be a list of: ${REASON_CODES.join(', ')}`;
+        }
+    }
+    return null;
+}
+
+class FileFeedbackStore {
+    // options: { retention, maxRecords, now }
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.retention = options.retention || DEFAULT_RETENTION;
+        this.maxRecords = options.maxRecords || DEFAULT_MAX_RECORDS;
+        this.now = options.now || Date.now;
+        this.records = new Map(); // response id -> record, oldest first
+        this.persistTimer = null;
+        this.load();
+    }
+
+    load() {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw new Error(`Could not read feedback store ${this.filePath}: ${error.message}`);
+        }
+
+        this.records = new Map((data.responses || []).map(record => [record.id, record]));
+        this.prune();
+    }
+
+    // Writes are batched; the file is replaced atomically
+    schedulePersist() {
+        if (this.persistTimer) return;
+
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            this.persist().catch(error => {
+                logger.error('Failed to save feedback store', { path: this.filePath, error });
+            });
+        }, PERSIST_DELAY);
+        this.persistTimer.unref();
+    }
+
+    // Write a batched change now instead of waiting, e.g. before the process exits
+    async flush() {
+        if (!this.persistTimer) return;
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        await this.persist();
+    }
+
+    async persist() {
+        this.prune();
+        const data = JSON.stringify({ responses: [...this.records.values()] });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, data, { mode: 0o600 });
+        await fs.promises.rename(tmpPath, this.filePath);
+    }
+
+    isExpired(record) {
+        return this.now() - Date.parse(record.created_at) > this.retention;
+    }
+
+    // Answers past the retention period go first, then the oldest beyond maxRecords
+    prune() {
+        for (const [id, record] of this.records) {
+            if (!this.isExpired(record)) break;
+            this.records.delete(id);
+        }
+        while (this.records.size > this.maxRecords) {
+            this.records.delete(this.records.keys().next().value);
+        }
+    }
+
+    async recordResponse(record) {
+        this.records.set(record.id, { ...record, rating: null, reasons: [], rated_at: null });
+        if (this.records.size > this.maxRecords) {
+            this.records.delete(this.records.keys().next().value);
+        }
+        this.schedulePersist();
+    }
+
+    async getResponse(id) {
+        const record = this.records.get(id);
+        return record && !this.isExpired(record) ? record : null;
+    }
+
+    // Rating an answer again replaces the earlier rating
+    async rate(id, { rating, reasons = [] }) {
+        const record = await this.getResponse(id);
+        if (!record) return null;
+
+        record.rating = rating;
+        record.reasons = reasons;
+        record.rated_at = new Date(this.now()).toISOString();
+        this.schedulePersist();
+        return record;
+    }
+
+    async list({ since = 0 } = {}) {
+        return [...this.records.values()].filter(record => Date.parse(record.created_at) >= since);
+    }
+}
+
+// The feedback store of the cluster primary, for workers, so an answer given by
+// one worker can be rated through another. channel is a ClusterChannel (see
+// lib/cluster.js).
+class ClusterFeedbackStore {
+    constructor(channel) {
+        this.channel = channel;
+    }
+
+    request(method, ...args) {
+        return this.channel.request('store', { store: 'feedback', method, args });
+    }
+
+    recordResponse(record) {
+        return this.request('recordResponse', record);
+    }
+
+    getResponse(id) {
+        return this.request('getResponse', id);
+    }
+
+    rate(id, feedback) {
+        return this.request('rate', id, feedback);
+    }
+
+    list(options) {
+        return this.request('list', options);
+    }
+
+    // The primary writes the file
+    async flush() {}
+}
+
+function createBucket() {
+    return { responses: 0, fallbacks: 0, ratings: 0, helpful: 0, unhelpful: 0, latencyTotal: 0, reasons: {} };
+}
+
+function addToBucket(bucket, record) {
+    bucket.responses++;
+    bucket.latencyTotal += record.latency_ms || 0;
+    // Safety answers are the guardrails doing their job, not a model falling short
+    if (record.message_key && !record.safety) bucket.fallbacks++;
+    if (!record.rating) return;
+
+    bucket.ratings++;
+    if (record.rating === 'up') bucket.helpful++;
+    else bucket.unhelpful++;
+    for (const reason of record.reasons) {
+        bucket.reasons[reason] = (bucket.reasons[reason] || 0) + 1;
+    }
+}
+
+function finishBucket(bucket) {
+    const { latencyTotal, ...counts } = bucket;
+    return {
+        ...counts,
+        helpful_rate: bucket.ratings ? bucket.helpful / bucket.ratings : null,
+        fallback_rate: bucket.responses ? bucket.fallbacks / bucket.responses : null,
+        avg_latency_ms: bucket.responses ? Math.round(latencyTotal / bucket.responses) : null
+    };
+}
+
+// Helpfulness and fallback rates overall, per language and per model (with
+// each model's languages), models with the best helpful rate first
+function summarizeFeedback(records) {
+    const total = createBucket();
+    const languages = new Map();
+    const models = new Map();
+
+    for (const record of records) {
+        addToBucket(total, record);
+
+        if (!languages.has(record.language)) languages.set(record.language, createBucket());
+        addToBucket(languages.get(record.language), record);
+
+        if (!models.has(record.model_used)) models.set(record.model_used, { bucket: createBucket(), languages: new Map() });
+        const model = models.get(record.model_used);
+        addToBucket(model.bucket, record);
+        if (!model.languages.has(record.language)) model.languages.set(record.language, createBucket());
+        addToBucket(model.languages.get(record.language), record);
+    }
+
+    const finishAll = buckets => Object.fromEntries([...buckets].map(([name, bucket]) => [name, finishBucket(bucket)]));
+
+    return {
+        totals: finishBucket(total),
+        languages: finishAll(languages),
+        models: [...models].map(([name, model]) => ({
+            model: name,
+            ...finishBucket(model.bucket),
+            languages: finishAll(model.languages)
+        })).sort((a, b) => (b.helpful_rate ?? -1) - (a.helpful_rate ?? -1))
+    };
+}
+
+module.exports = {
+    FileFeedbackStore,
+    ClusterFeedbackStore,
+    RATINGS,
+    REASON_CODES,
+    createResponseId,
+    validateFeedback,
+    summarizeFeedback
+};
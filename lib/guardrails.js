@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+
+// Medical safety guardrails around the model call, driven by
+// config/guardrails.json:
+//
+//   input   rules checked against the user's message before any model runs;
+//           a match answers with the rule's urgent-care messageKey instead
+//   output  rules checked against the model's answer:
+//             "rewrite" replaces offending sentences with the replacementKey text
+//             "block"   replaces the whole answer with a messageKey, here used
+//                       when neither question nor answer is about skin health
+//   disclaimerKey  message appended to every answer
+//
+// All texts come from the message catalog (see lib/i18n.js). Patterns are
+// matched in the request's language and in English, since people often
+// write English regardless of the app language.
+
+const DEFAULT_GUARDRAILS_PATH = path.join(__dirname, '..', 'config', 'guardrails.json');
+const DEFAULT_LANGUAGE = 'en';
+const DEFAULT_DISCLAIMER_KEY = 'SAFETY_DISCLAIMER';
+
+class GuardrailConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid guardrail config:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'GuardrailConfigError';
+        this.errors = errors;
+    }
+}
+
+// { en: [...], es: [...] } -> { en: [RegExp], es: [RegExp] }
+function compilePatterns(patternsByLanguage, where, errors) {
+    const compiled = {};
+    for (const [language, patterns] of Object.entries(patternsByLanguage || {})) {
+        compiled[language] = [];
+        (patterns || []).forEach((pattern, i) => {
+            try {
+                compiled[language].push(new RegExp(pattern, 'iu'));
+            } catch (error) {
+                errors.push(`${where}.${language}[${i}]: ${error.message}`);
+            }
+        });
+    }
+    return compiled;
+}
+
+// Split into sentences, keeping punctuation and trailing whitespace
+function splitSentences(text) {
+    return text.match(/[^.!?。！？।؟]+[.!?。！？।؟]*\s*|[.!?。！？।؟]+\s*/g) || [];
+}
+
+// The part of a growing text that ends a sentence. Latin-style full stops
+// only count once whitespace follows, so "2." in "2.5 mg" doesn't end one.
+function getCompleteSentences(text) {
+    let end = 0;
+    for (const match of text.matchAll(/[.!?।؟]+\s|[。！？]+/g)) {
+        end = match.index + match[0].length;
+    }
+    return text.slice(0, end);
+}
+
+class Guardrails {
+    // catalog: a MessageCatalog holding every key the rules refer to
+    constructor(config, catalog) {
+        const errors = [];
+        this.catalog = catalog;
+
+        this.inputRules = (config.input || []).map((rule, i) => {
+            if (!rule.id || !rule.messageKey) {
+                errors.push(`input[${i}] needs an "id" and a "messageKey"`);
+            }
+            return { ...rule, patterns: compilePatterns(rule.patterns, `input[${i}].patterns`, errors) };
+        });
+
+        this.outputRules = (config.output || []).map((rule, i) => {
+            if (!['rewrite', 'block'].includes(rule.action)) {
+                errors.push(`output[${i}].action must be "rewrite" or "block"`);
+            }
+            if (rule.action === 'rewrite' && !rule.replacementKey) {
+                errors.push(`output[${i}] needs a "replacementKey"`);
+            }
+            if (rule.action === 'block' && !rule.messageKey) {
+                errors.push(`output[${i}] needs a "messageKey"`);
+            }
+            return {
+                ...rule,
+                patterns: compilePatterns(rule.patterns, `output[${i}].patterns`, errors),
+                requireAnyOf: rule.requireAnyOf
+                    ? compilePatterns(rule.requireAnyOf, `output[${i}].requireAnyOf`, errors)
+                    : null
+            };
+        });
+
+        this.disclaimerKey = config.disclaimerKey || DEFAULT_DISCLAIMER_KEY;
+
+        const keys = [this.disclaimerKey];
+        for (const rule of this.inputRules.concat(this.outputRules)) {
+            keys.push(rule.messageKey, rule.replacementKey);
+        }
+        for (const key of keys.filter(Boolean)) {
+            if (!catalog.has(key)) {
+                errors.push(`message "${key}" is not in the message catalog`);
+            }
+        }
+
+        if (errors.length) {
+            throw new GuardrailConfigError(errors);
+        }
+    }
+
+    static load(catalog, filePath = process.env.GUARDRAILS_PATH || DEFAULT_GUARDRAILS_PATH) {
+        return new Guardrails(JSON.parse(fs.readFileSync(filePath, 'utf8')), catalog);
+    }
+
+    // zh-TW uses its own patterns, then zh's, then English
+    patternsFor(patterns, language) {
+        const languages = new Set([language, language.split('-')[0], DEFAULT_LANGUAGE]);
+        return [...languages].reduce((list, code) => list.concat(patterns[code] || []), []);
+    }
+
+    matches(text, patterns, language) {
+        return this.patternsFor(patterns, language).some(pattern => pattern.test(text));
+    }
+
+    getMessage(messageKey, language) {
+        return this.catalog.t(messageKey, language);
+    }
+
+    getDisclaimer(language) {
+        return this.getMessage(this.disclaimerKey, language);
+    }
+
+    // Returns the first matching emergency rule as { id, messageKey, fallbackText }, or null
+    checkInput(text, language = DEFAULT_LANGUAGE) {
+        for (const rule of this.inputRules) {
+            if (this.matches(text, rule.patterns, language)) {
+                return {
+                    id: rule.id,
+                    messageKey: rule.messageKey,
+                    fallbackText: this.getMessage(rule.messageKey, language)
+                };
+            }
+        }
+        return null;
+    }
+
+    // Returns { text, flags } with offending sentences rewritten, or
+    // { blocked: { messageKey, fallbackText }, flags } when a block rule fires
+    checkOutput(text, { language = DEFAULT_LANGUAGE, question = '' } = {}) {
+        const flags = [];
+        let sentences = splitSentences(text);
+
+        for (const rule of this.outputRules) {
+            if (rule.action === 'block') {
+                const onTopic = !rule.requireAnyOf ||
+                    this.matches(question, rule.requireAnyOf, language) ||
+                    this.matches(text, rule.requireAnyOf, language);
+                const flagged = rule.patterns && this.matches(text, rule.patterns, language);
+
+                if (!onTopic || flagged) {
+                    flags.push(rule.id);
+                    return {
+                        blocked: {
+                            messageKey: rule.messageKey,
+                            fallbackText: this.getMessage(rule.messageKey, language)
+                        },
+                        flags
+                    };
+                }
+                continue;
+            }
+
+            // Rewrite: the first offending sentence becomes the safe replacement, later ones are dropped
+            let replaced = false;
+            sentences = sentences.reduce((kept, sentence) => {
+                if (!this.matches(sentence, rule.patterns, language)) {
+                    kept.push(sentence);
+                } else if (!replaced) {
+                    replaced = true;
+                    kept.push(this.getMessage(rule.replacementKey, language) + (/\s$/.test(sentence) ? ' ' : ''));
+                }
+                return kept;
+            }, []);
+
+            if (replaced) {
+                flags.push(rule.id);
+            }
+        }
+
+        return { text: sentences.join('').trim(), flags };
+    }
+}
+
+module.exports = {
+    Guardrails,
+    GuardrailConfigError,
+    splitSentences,
+    getCompleteSentences
+};
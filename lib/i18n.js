@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+
+// Server-side message catalogs, one JSON file per language in config/locales:
+//
+//   { "name": "Français", "direction": "ltr",
+//     "systemPrompt": "...", "messages": { "MESSAGE_KEY": "text", ... } }
+//
+// A request's language comes from its `language` field, then Accept-Language.
+// Each candidate walks its own fallback chain (zh-Hant-TW -> zh-Hant -> zh)
+// and the first language with a catalog wins; English is the last resort.
+// Every catalog must carry every key the English catalog has.
+
+const DEFAULT_LOCALES_DIR = path.join(__dirname, '..', 'config', 'locales');
+const DEFAULT_LANGUAGE = 'en';
+
+class CatalogError extends Error {
+    constructor(errors) {
+        super(`Invalid message catalogs:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'CatalogError';
+        this.errors = errors;
+    }
+}
+
+// "zh_tw" -> "zh-TW"; null for anything that isn't a language tag
+function normalizeLanguageTag(tag) {
+    if (typeof tag !== 'string' || !/^[A-Za-z]{2,3}([-_][A-Za-z0-9]{1,8})*$/.test(tag.trim())) {
+        return null;
+    }
+
+    return tag.trim().split(/[-_]/).map((part, i) => {
+        if (i === 0) return part.toLowerCase();
+        if (part.length === 2) return part.toUpperCase(); // region
+        if (part.length === 4) return part[0].toUpperCase() + part.slice(1).toLowerCase(); // script
+        return part.toLowerCase();
+    }).join('-');
+}
+
+// "zh-Hant-TW" -> ["zh-Hant-TW", "zh-Hant", "zh"]
+function getFallbackChain(tag) {
+    const normalized = normalizeLanguageTag(tag);
+    if (!normalized) return [];
+
+    const parts = normalized.split('-');
+    const chain = [];
+    for (let length = parts.length; length > 0; length--) {
+        chain.push(parts.slice(0, length).join('-'));
+    }
+    return chain;
+}
+
+// "fr-CA,fr;q=0.8,en;q=0.5" -> ["fr-CA", "fr", "en"], most preferred first
+function parseAcceptLanguage(header) {
+    if (typeof header !== 'string') return [];
+
+    return header.split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const qParam = params.find(param => param.trim().startsWith('q='));
+            const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+            return { tag: tag.trim(), q: isNaN(q) ? 0 : q, index };
+        })
+        .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index)
+        .map(entry => entry.tag);
+}
+
+class MessageCatalog {
+    constructor(catalogs) {
+        this.catalogs = {};
+        for (const [code, catalog] of Object.entries(catalogs)) {
+            this.catalogs[normalizeLanguageTag(code) || code] = catalog;
+        }
+    }
+
+    static load(dir = process.env.LOCALES_DIR || DEFAULT_LOCALES_DIR) {
+        const catalogs = {};
+        for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+            try {
+                catalogs[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            } catch (error) {
+                throw new CatalogError([`${file}: ${error.message}`]);
+            }
+        }
+        return new MessageCatalog(catalogs);
+    }
+
+    get languages() {
+        return Object.keys(this.catalogs);
+    }
+
+    // Returns a list of problems: every catalog needs a system prompt and every
+    // English key, and English needs every key in requiredKeys
+    check(requiredKeys = []) {
+        const errors = [];
+        const reference = this.catalogs[DEFAULT_LANGUAGE];
+
+        if (!reference) {
+            return [`no "${DEFAULT_LANGUAGE}" catalog`];
+        }
+
+        const referenceKeys = Object.keys(reference.messages || {});
+        for (const key of requiredKeys) {
+            if (!referenceKeys.includes(key)) {
+                errors.push(`${DEFAULT_LANGUAGE}: missing message "${key}"`);
+            }
+        }
+
+        for (const [code, catalog] of Object.entries(this.catalogs)) {
+            const messages = catalog.messages || {};
+
+            if (typeof catalog.systemPrompt !== 'string' || !catalog.systemPrompt.trim()) {
+                errors.push(`${code}: missing "systemPrompt"`);
+            }
+            for (const key of referenceKeys) {
+                if (typeof messages[key] !== 'string' || !messages[key].trim()) {
+                    errors.push(`${code}: missing message "${key}"`);
+                }
+            }
+            for (const key of Object.keys(messages)) {
+                if (!referenceKeys.includes(key)) {
+                    errors.push(`${code}: unknown message "${key}"`);
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    // Throws a CatalogError listing every problem check() finds
+    validate(requiredKeys = []) {
+        const errors = this.check(requiredKeys);
+        if (errors.length) {
+            throw new CatalogError(errors);
+        }
+        return this;
+    }
+
+    // First language with a catalog along the tag's fallback chain, or null
+    match(tag) {
+        return getFallbackChain(tag).find(code => this.catalogs[code]) || null;
+    }
+
+    // The explicitly requested language wins over Accept-Language
+    resolve(requested, acceptLanguage) {
+        const candidates = [requested, ...parseAcceptLanguage(acceptLanguage)];
+        for (const candidate of candidates) {
+            const match = this.match(candidate);
+            if (match) return match;
+        }
+        return DEFAULT_LANGUAGE;
+    }
+
+    // Languages whose texts are used for `language`, most specific first
+    getChain(language) {
+        const chain = getFallbackChain(language).filter(code => this.catalogs[code]);
+        return chain.includes(DEFAULT_LANGUAGE) ? chain : chain.concat(DEFAULT_LANGUAGE);
+    }
+
+    t(key, language = DEFAULT_LANGUAGE) {
+        for (const code of this.getChain(language)) {
+            const text = (this.catalogs[code].messages || {})[key];
+            if (text) return text;
+        }
+        return key;
+    }
+
+    has(key) {
+        return Boolean((this.catalogs[DEFAULT_LANGUAGE].messages || {})[key]);
+    }
+
+    getSystemPrompt(language = DEFAULT_LANGUAGE) {
+        const code = this.getChain(language).find(c => this.catalogs[c].systemPrompt);
+        return this.catalogs[code].systemPrompt;
+    }
+
+    // Everything a client needs to render one language, with fallbacks filled in
+    getMessages(language = DEFAULT_LANGUAGE) {
+        const chain = this.getChain(language);
+        const messages = {};
+        for (const code of chain.slice().reverse()) {
+            Object.assign(messages, this.catalogs[code].messages);
+        }
+
+        const catalog = this.catalogs[chain[0]];
+        return {
+            language: chain[0],
+            name: catalog.name || chain[0],
+            direction: catalog.direction || 'ltr',
+            fallback_chain: chain,
+            messages: messages
+        };
+    }
+
+    listLanguages() {
+        return this.languages.map(code => ({
+            code: code,
+            name: this.catalogs[code].name || code,
+            direction: this.catalogs[code].direction || 'ltr'
+        }));
+    }
+}
+
+module.exports = {
+    MessageCatalog,
+    CatalogError,
+    DEFAULT_LANGUAGE,
+    normalizeLanguageTag,
+    getFallbackChain,
+    parseAcceptLanguage
+};
@@ -0,0 +1,208 @@
+// Dependency-free image checks for uploaded skin photos: sniff the real type
+// from the file's magic bytes, read its dimensions from the header and strip
+// metadata (EXIF with GPS position, XMP, IPTC, comments) before the image
+// leaves the proxy. JPEG, PNG and WebP are supported.
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// PNG chunks that can carry personal data: EXIF, free text, timestamps
+const PNG_METADATA_CHUNKS = new Set(['eXIf', 'tEXt', 'iTXt', 'zTXt', 'tIME']);
+
+// JPEG APP1 (EXIF, XMP), APP13 (IPTC) and comment segments
+const JPEG_METADATA_MARKERS = new Set([0xe1, 0xed, 0xfe]);
+
+// SOFn markers carry the frame size; C4, C8 and CC share the range but aren't frames
+const JPEG_FRAME_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+// Bytes of a WebP image chunk needed to read the canvas size
+const WEBP_HEADER_SIZES = { 'VP8X': 10, 'VP8 ': 10, 'VP8L': 5 };
+
+class ImageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImageError';
+    }
+}
+
+function detectImageType(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        return 'image/png';
+    }
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+    return null;
+}
+
+// Calls visit(marker, start, end) for each JPEG segment before the image data
+// and returns the offset of the start-of-scan segment
+function walkJpegSegments(buffer, visit) {
+    let offset = 2;
+
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xff) {
+            throw new ImageError('Corrupt JPEG segment');
+        }
+
+        const marker = buffer[offset + 1];
+
+        // Fill bytes and markers without a length
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            offset += 2;
+            continue;
+        }
+        if (marker === 0xda) {
+            return offset;
+        }
+
+        // The length counts its own two bytes
+        const length = buffer.readUInt16BE(offset + 2);
+        if (length < 2) {
+            throw new ImageError('Corrupt JPEG segment');
+        }
+        const end = offset + 2 + length;
+        if (end > buffer.length) {
+            throw new ImageError('Truncated JPEG segment');
+        }
+        visit(marker, offset, end);
+        offset = end;
+    }
+
+    throw new ImageError('JPEG has no image data');
+}
+
+// Calls visit(type, start, end) for each PNG chunk, end including the CRC
+function walkPngChunks(buffer, visit) {
+    let offset = PNG_SIGNATURE.length;
+
+    while (offset + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const end = offset + 12 + length;
+        if (end > buffer.length) {
+            throw new ImageError('Truncated PNG chunk');
+        }
+        visit(type, offset, end);
+        offset = end;
+        if (type === 'IEND') return;
+    }
+
+    throw new ImageError('PNG has no end chunk');
+}
+
+// Calls visit(fourcc, start, end) for each WebP chunk, end including padding
+function walkWebpChunks(buffer, visit) {
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        const fourcc = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const end = offset + 8 + size + (size % 2);
+        if (offset + 8 + size > buffer.length) {
+            throw new ImageError('Truncated WebP chunk');
+        }
+        visit(fourcc, offset, Math.min(end, buffer.length));
+        offset = end;
+    }
+}
+
+// { width, height } from the image header; throws ImageError when unreadable
+function getImageDimensions(buffer, type = detectImageType(buffer)) {
+    let dimensions = null;
+
+    if (type === 'image/jpeg') {
+        walkJpegSegments(buffer, (marker, start, end) => {
+            if (!dimensions && JPEG_FRAME_MARKERS.has(marker)) {
+                // Length, precision, height and width
+                if (end - start < 9) throw new ImageError('Truncated JPEG frame header');
+                dimensions = { height: buffer.readUInt16BE(start + 5), width: buffer.readUInt16BE(start + 7) };
+            }
+        });
+    } else if (type === 'image/png') {
+        if (buffer.length >= 24 && buffer.toString('ascii', 12, 16) === 'IHDR') {
+            dimensions = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        }
+    } else if (type === 'image/webp') {
+        walkWebpChunks(buffer, (fourcc, start, end) => {
+            if (dimensions) return;
+            const data = start + 8;
+            if (WEBP_HEADER_SIZES[fourcc] && end - data < WEBP_HEADER_SIZES[fourcc]) {
+                throw new ImageError('Truncated WebP image header');
+            }
+            if (fourcc === 'VP8X') {
+                dimensions = { width: buffer.readUIntLE(data + 4, 3) + 1, height: buffer.readUIntLE(data + 7, 3) + 1 };
+            } else if (fourcc === 'VP8 ') {
+                dimensions = { width: buffer.readUInt16LE(data + 6) & 0x3fff, height: buffer.readUInt16LE(data + 8) & 0x3fff };
+            } else if (fourcc === 'VP8L') {
+                const bits = buffer.readUInt32LE(data + 1);
+                dimensions = { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+            }
+        });
+    }
+
+    if (!dimensions || !dimensions.width || !dimensions.height) {
+        throw new ImageError('Could not read the image dimensions');
+    }
+    return dimensions;
+}
+
+// A copy of the image without metadata segments/chunks. Pixel data is left
+// untouched, so an EXIF orientation flag is lost along with the rest.
+function stripImageMetadata(buffer, type = detectImageType(buffer)) {
+    if (type === 'image/jpeg') {
+        const parts = [buffer.subarray(0, 2)];
+        let last = 2;
+        const scanStart = walkJpegSegments(buffer, (marker, start, end) => {
+            if (JPEG_METADATA_MARKERS.has(marker)) {
+                parts.push(buffer.subarray(last, start));
+                last = end;
+            }
+        });
+        parts.push(buffer.subarray(last, scanStart), buffer.subarray(scanStart));
+        return Buffer.concat(parts);
+    }
+
+    if (type === 'image/png') {
+        const parts = [PNG_SIGNATURE];
+        walkPngChunks(buffer, (chunkType, start, end) => {
+            if (!PNG_METADATA_CHUNKS.has(chunkType)) {
+                parts.push(buffer.subarray(start, end));
+            }
+        });
+        return Buffer.concat(parts);
+    }
+
+    if (type === 'image/webp') {
+        const parts = [];
+        walkWebpChunks(buffer, (fourcc, start, end) => {
+            if (fourcc === 'EXIF' || fourcc === 'XMP ') return;
+
+            const chunk = Buffer.from(buffer.subarray(start, end));
+            if (fourcc === 'VP8X') {
+                chunk[8] &= ~(0x08 | 0x04); // clear the EXIF and XMP flags
+            }
+            parts.push(chunk);
+        });
+
+        const body = Buffer.concat(parts);
+        const header = Buffer.from(buffer.subarray(0, 12));
+        header.writeUInt32LE(body.length + 4, 4);
+        return Buffer.concat([header, body]);
+    }
+
+    throw new ImageError('Unsupported image type');
+}
+
+module.exports = {
+    ImageError,
+    detectImageType,
+    getImageDimensions,
+    stripImageMetadata
+};
@@ -0,0 +1,189 @@
+const { logger } = require('./logger');
+
+// Keeps models warm with cheap probe prompts, so users don't pay for a cold
+// start. Models opt in with a "keepWarm" entry in the registry:
+//
+//   "keepWarm": { "intervalMs": 600000, "minIntervalMs": 120000, "maxIntervalMs": 1800000 }
+//
+// Each model runs on its own interval, which adapts to what the probes see:
+// a probe that finds the model loading (a cold-start 503) halves the interval,
+// one that finds it warm stretches it by a quarter, so the interval settles
+// just under the time the upstream takes to unload an idle model.
+//
+// No probes are sent during quiet hours or while upstream quota is running
+// low (a 429 from the upstream pauses them for quotaPauseMs). Only models with
+// a closed breaker are probed; recovering models are the RecoveryCoordinator's.
+
+const DEFAULT_TICK_INTERVAL = 15000;
+const DEFAULT_QUOTA_PAUSE = 15 * 60 * 1000; // 15 minutes
+const DEFAULT_MIN_INTERVAL = 60 * 1000;
+const DEFAULT_MAX_INTERVAL = 30 * 60 * 1000;
+const GROWTH = 1.25;
+
+// "23-7" -> { start: 23, end: 7 }, in UTC hours; empty means no quiet hours
+function parseQuietHours(text) {
+    if (!text) return null;
+
+    const match = /^(\d{1,2})-(\d{1,2})$/.exec(text.trim());
+    const start = match && Number(match[1]);
+    const end = match && Number(match[2]);
+    if (!match || start > 23 || end > 23 || start === end) {
+        throw new Error(`Invalid quiet hours "${text}", expected "<start>-<end>" in UTC hours, e.g. "23-7"`);
+    }
+    return { start, end };
+}
+
+function isQuietHour(quietHours, hour) {
+    if (!quietHours) return false;
+    const { start, end } = quietHours;
+    return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+class KeepWarmScheduler {
+    // getModels() -> models to consider; those without a keepWarm entry are skipped
+    // getBreaker(model) -> that model's CircuitBreaker
+    // probe(model) -> Promise that resolves when the model answered
+    // isColdStart(error) -> whether a failed probe found the model loading
+    // isQuotaError(error) -> whether a failed probe hit the upstream's quota
+    // options: { quietHours, quotaPauseMs, isQuotaLow, tickInterval, now }
+    constructor({ getModels, getBreaker, probe, isColdStart, isQuotaError }, options = {}) {
+        this.getModels = getModels;
+        this.getBreaker = getBreaker;
+        this.probe = probe;
+        this.isColdStart = isColdStart;
+        this.isQuotaError = isQuotaError;
+        this.quietHours = options.quietHours || null;
+        this.quotaPauseMs = options.quotaPauseMs || DEFAULT_QUOTA_PAUSE;
+        this.isQuotaLow = options.isQuotaLow || (() => false);
+        this.tickInterval = options.tickInterval || DEFAULT_TICK_INTERVAL;
+        this.now = options.now || Date.now;
+
+        this.models = new Map(); // model name -> schedule
+        this.quotaPausedUntil = 0;
+        this.timer = null;
+    }
+
+    getSchedule(model) {
+        const settings = model.keepWarm;
+        let schedule = this.models.get(model.name);
+
+        // A registry reload may have changed the settings
+        if (!schedule || schedule.settings !== settings) {
+            const minInterval = Math.min(settings.minIntervalMs || DEFAULT_MIN_INTERVAL, settings.intervalMs);
+            const maxInterval = Math.max(settings.maxIntervalMs || DEFAULT_MAX_INTERVAL, settings.intervalMs);
+            schedule = {
+                settings: settings,
+                minInterval: minInterval,
+                maxInterval: maxInterval,
+                interval: schedule ? Math.min(Math.max(schedule.interval, minInterval), maxInterval) : settings.intervalMs,
+                nextAt: schedule ? schedule.nextAt : this.now(),
+                running: false,
+                probes: schedule ? schedule.probes : 0,
+                coldStarts: schedule ? schedule.coldStarts : 0,
+                lastProbeAt: schedule ? schedule.lastProbeAt : null,
+                lastOutcome: schedule ? schedule.lastOutcome : null
+            };
+            this.models.set(model.name, schedule);
+        }
+        return schedule;
+    }
+
+    // Why probes are on hold right now, or null
+    getPauseReason() {
+        if (isQuietHour(this.quietHours, new Date(this.now()).getUTCHours())) return 'quiet_hours';
+        if (this.now() < this.quotaPausedUntil || this.isQuotaLow()) return 'quota';
+        return null;
+    }
+
+    // The upstream said its quota ran out, on a probe or on user traffic
+    pauseForQuota() {
+        this.quotaPausedUntil = this.now() + this.quotaPauseMs;
+        logger.warn('Upstream quota exhausted, pausing keep-warm probes', { pause_ms: this.quotaPauseMs });
+    }
+
+    // Probe every model that is due; resolves when those probes are done
+    tick() {
+        if (this.getPauseReason()) return Promise.resolve();
+
+        const due = this.getModels().filter(model => {
+            if (!model.keepWarm) return false;
+            const schedule = this.getSchedule(model);
+            return !schedule.running && this.now() >= schedule.nextAt && this.getBreaker(model).canRequest();
+        });
+        return Promise.all(due.map(model => this.probeModel(model)));
+    }
+
+    async probeModel(model) {
+        const schedule = this.getSchedule(model);
+        const breaker = this.getBreaker(model);
+        const startedAt = this.now();
+        schedule.running = true;
+
+        let outcome;
+        try {
+            await this.probe(model);
+            breaker.recordProbe(true, this.now() - startedAt);
+            outcome = 'warm';
+            schedule.interval = Math.min(Math.round(schedule.interval * GROWTH), schedule.maxInterval);
+        } catch (error) {
+            breaker.recordProbe(false, this.now() - startedAt, error);
+            if (this.isColdStart(error)) {
+                outcome = 'cold';
+                schedule.coldStarts++;
+                schedule.interval = Math.max(Math.round(schedule.interval / 2), schedule.minInterval);
+            } else if (this.isQuotaError(error)) {
+                outcome = 'quota';
+                this.pauseForQuota();
+            } else {
+                outcome = 'failed';
+            }
+            logger.info('Keep-warm probe failed', { model: model.name, outcome, error: error.message });
+        } finally {
+            schedule.running = false;
+        }
+
+        schedule.probes++;
+        schedule.lastProbeAt = startedAt;
+        schedule.lastOutcome = outcome;
+        schedule.nextAt = this.now() + schedule.interval;
+        return outcome;
+    }
+
+    // A model's keep-warm state for /api/status, or null when it isn't kept warm
+    getModelStatus(model) {
+        if (!model.keepWarm) return null;
+        const schedule = this.getSchedule(model);
+        return {
+            interval_ms: schedule.interval,
+            next_probe_at: new Date(schedule.nextAt).toISOString(),
+            last_probe_at: schedule.lastProbeAt ? new Date(schedule.lastProbeAt).toISOString() : null,
+            last_outcome: schedule.lastOutcome,
+            probes: schedule.probes,
+            cold_starts: schedule.coldStarts
+        };
+    }
+
+    getStatus() {
+        return {
+            paused: this.getPauseReason(),
+            quiet_hours: this.quietHours ? `${this.quietHours.start}-${this.quietHours.end} UTC` : null,
+            quota_paused_until: this.now() < this.quotaPausedUntil ? new Date(this.quotaPausedUntil).toISOString() : null
+        };
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.tickInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = {
+    KeepWarmScheduler,
+    parseQuietHours
+};
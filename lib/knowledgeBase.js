@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const { getFallbackChain, DEFAULT_LANGUAGE } = require('./i18n');
+const { logger } = require('./logger');
+
+// Vetted skin-care articles the models answer from, one directory per
+// language (knowledge/en, knowledge/es, ...). An article is a markdown file
+// with a small front matter block:
+//
+//   ---
+//   id: sunscreen-basics
+//   title: Sunscreen basics
+//   url: https://example.org/learn/sunscreen   (optional)
+//   ---
+//   Paragraphs of text...
+//
+// or a JSON file holding one { id, title, url, body } object or an array of
+// them. Articles are split into passages of a few paragraphs and indexed with
+// BM25; a question is matched against its language's corpus first, then along
+// the language's fallback chain down to English.
+
+const DEFAULT_KNOWLEDGE_DIR = path.join(__dirname, '..', 'knowledge');
+const MAX_PASSAGE_LENGTH = 600;
+
+// Function words that would otherwise match any passage; questions are mostly English or Spanish
+const STOPWORDS = new Set([
+    'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'can', 'could', 'do', 'does', 'for', 'from', 'had',
+    'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or',
+    'should', 'so', 'that', 'the', 'their', 'there', 'these', 'they', 'this', 'to', 'was', 'we', 'were',
+    'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+    'al', 'como', 'con', 'cual', 'cuando', 'de', 'del', 'el', 'en', 'es', 'esta', 'este', 'hay', 'la',
+    'las', 'lo', 'los', 'mi', 'mis', 'para', 'pero', 'por', 'que', 'se', 'si', 'su', 'sus', 'tengo',
+    'un', 'una', 'y', 'yo'
+]);
+
+// BM25 tuning: term frequency saturation and document length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+class KnowledgeBaseError extends Error {
+    constructor(dir, errors) {
+        super(`Invalid knowledge base ${dir}:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'KnowledgeBaseError';
+        this.errors = errors;
+    }
+}
+
+// Words for matching: lowercased, accents and apostrophes folded, stopwords
+// skipped and a plural "s" dropped. Han text has no spaces, so it is indexed
+// as overlapping character pairs.
+function tokenize(text) {
+    const tokens = [];
+    const words = String(text).normalize('NFKD').replace(/\p{Mn}/gu, '').replace(/['’]/g, '').toLowerCase()
+        .match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+
+    for (const word of words) {
+        if (STOPWORDS.has(word)) continue;
+
+        if (/\p{Script=Han}/u.test(word)) {
+            const chars = Array.from(word);
+            if (chars.length === 1) tokens.push(word);
+            for (let i = 0; i < chars.length - 1; i++) {
+                tokens.push(chars[i] + chars[i + 1]);
+            }
+        } else if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) {
+            tokens.push(word.slice(0, -1));
+        } else {
+            tokens.push(word);
+        }
+    }
+    return tokens;
+}
+
+class Bm25Index {
+    constructor(documents) {
+        this.documents = documents.map(document => {
+            const termCounts = new Map();
+            const tokens = tokenize(document.indexText);
+            for (const token of tokens) {
+                termCounts.set(token, (termCounts.get(token) || 0) + 1);
+            }
+            return { document, termCounts, length: tokens.length };
+        });
+
+        this.documentFrequency = new Map();
+        for (const { termCounts } of this.documents) {
+            for (const term of termCounts.keys()) {
+                this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+            }
+        }
+
+        const totalLength = this.documents.reduce((total, doc) => total + doc.length, 0);
+        this.averageLength = this.documents.length ? totalLength / this.documents.length : 0;
+    }
+
+    idf(term) {
+        const frequency = this.documentFrequency.get(term) || 0;
+        const count = this.documents.length;
+        return Math.log(1 + (count - frequency + 0.5) / (frequency + 0.5));
+    }
+
+    // Best matches first, as [{ document, score }]
+    search(query, limit) {
+        const terms = [...new Set(tokenize(query))].filter(term => this.documentFrequency.has(term));
+        if (!terms.length) return [];
+
+        return this.documents
+            .map(({ document, termCounts, length }) => {
+                let score = 0;
+                for (const term of terms) {
+                    const frequency = termCounts.get(term) || 0;
+                    if (!frequency) continue;
+                    const norm = K1 * (1 - B + B * length / this.averageLength);
+                    score += this.idf(term) * frequency * (K1 + 1) / (frequency + norm);
+                }
+                return { document, score };
+            })
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+// "key: value" lines between --- markers at the top of a markdown file
+function parseMarkdownArticle(text, fileName) {
+    const article = { id: path.basename(fileName, path.extname(fileName)) };
+    let body = text;
+
+    const frontMatter = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (frontMatter) {
+        for (const line of frontMatter[1].split(/\r?\n/)) {
+            const field = line.match(/^(\w+):\s*(.*)$/);
+            if (field) article[field[1]] = field[2].trim();
+        }
+        body = text.slice(frontMatter[0].length);
+    }
+
+    // Without a title field, the first heading names the article
+    const heading = body.match(/^#\s+(.+)$/m);
+    if (!article.title && heading) article.title = heading[1].trim();
+
+    article.body = body;
+    return article;
+}
+
+function readArticles(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    if (filePath.endsWith('.json')) {
+        const parsed = JSON.parse(text);
+        return Array.isArray(parsed) ? parsed : [parsed];
+    }
+    return [parseMarkdownArticle(text, filePath)];
+}
+
+// Paragraphs grouped into passages of up to MAX_PASSAGE_LENGTH characters,
+// headings and list markers removed
+function splitPassages(body) {
+    const paragraphs = body.split(/\n\s*\n/)
+        .map(paragraph => paragraph
+            .replace(/^#+\s+/gm, '')
+            .replace(/^\s*[-*]\s+/gm, '')
+            .replace(/\s+/g, ' ')
+            .trim())
+        .filter(Boolean);
+
+    const passages = [];
+    let current = '';
+    for (const paragraph of paragraphs) {
+        if (current && current.length + paragraph.length + 1 > MAX_PASSAGE_LENGTH) {
+            passages.push(current);
+            current = '';
+        }
+        current = current ? `${current} ${paragraph}` : paragraph;
+    }
+    if (current) passages.push(current);
+    return passages;
+}
+
+// Passages in rank order while their text fits in maxChars
+function fitPassages(passages, maxChars) {
+    const fitted = [];
+    let used = 0;
+    for (const passage of passages) {
+        if (used + passage.text.length > maxChars) break;
+        fitted.push(passage);
+        used += passage.text.length;
+    }
+    return fitted;
+}
+
+// One entry per article, in the order the passages rank
+function getSources(passages) {
+    const sources = new Map();
+    for (const passage of passages) {
+        if (!sources.has(passage.articleId)) {
+            sources.set(passage.articleId, {
+                id: passage.articleId,
+                title: passage.title,
+                ...(passage.url ? { url: passage.url } : {})
+            });
+        }
+    }
+    return [...sources.values()];
+}
+
+class KnowledgeBase {
+    // options: { limit, minScore, now }
+    constructor(dir = process.env.KNOWLEDGE_BASE_PATH || DEFAULT_KNOWLEDGE_DIR, options = {}) {
+        this.dir = dir;
+        this.limit = options.limit || 3;
+        this.minScore = options.minScore !== undefined ? options.minScore : 2;
+        this.now = options.now || Date.now;
+        this.corpora = new Map(); // language -> { articles, passages, index }
+        this.loadedAt = null;
+    }
+
+    // Read and index every language; throws KnowledgeBaseError and keeps the
+    // current corpus on failure. A missing directory is an empty knowledge base.
+    load() {
+        const errors = [];
+        const corpora = new Map();
+
+        const languages = fs.existsSync(this.dir)
+            ? fs.readdirSync(this.dir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name).sort()
+            : [];
+
+        for (const language of languages) {
+            const languageDir = path.join(this.dir, language);
+            const articles = [];
+            const seen = new Set();
+
+            const files = fs.readdirSync(languageDir).filter(name => /\.(md|json)$/.test(name)).sort();
+            for (const file of files) {
+                let fileArticles;
+                try {
+                    fileArticles = readArticles(path.join(languageDir, file));
+                } catch (error) {
+                    errors.push(`${language}/${file}: ${error.message}`);
+                    continue;
+                }
+
+                fileArticles.forEach((article, i) => {
+                    const where = fileArticles.length > 1 ? `${language}/${file}[${i}]` : `${language}/${file}`;
+                    if (!article || typeof article.id !== 'string' || !article.id) {
+                        errors.push(`${where} needs an "id"`);
+                    } else if (seen.has(article.id)) {
+                        errors.push(`${where}: id "${article.id}" is used more than once`);
+                    } else if (typeof article.title !== 'string' || !article.title.trim()) {
+                        errors.push(`${where} needs a "title"`);
+                    } else if (typeof article.body !== 'string' || !article.body.trim()) {
+                        errors.push(`${where} has no text`);
+                    } else {
+                        seen.add(article.id);
+                        articles.push(article);
+                    }
+                });
+            }
+
+            const passages = [];
+            for (const article of articles) {
+                splitPassages(article.body).forEach((text, i) => {
+                    passages.push({
+                        id: `${article.id}#${i + 1}`,
+                        articleId: article.id,
+                        title: article.title.trim(),
+                        url: article.url,
+                        text: text,
+                        indexText: `${article.title} ${text}`
+                    });
+                });
+            }
+
+            if (passages.length) {
+                corpora.set(language, { articles, passages, index: new Bm25Index(passages) });
+            }
+        }
+
+        if (errors.length) {
+            throw new KnowledgeBaseError(this.dir, errors);
+        }
+
+        this.corpora = corpora;
+        this.loadedAt = new Date(this.now()).toISOString();
+        logger.info('Knowledge base loaded', this.getStats());
+        return this.getStats();
+    }
+
+    // The top passages for a question as [{ id, articleId, title, url, text, score }],
+    // from the first corpus along the language's fallback chain that has a match
+    retrieve(question, language = DEFAULT_LANGUAGE) {
+        if (!question || !this.corpora.size) return [];
+
+        const chain = getFallbackChain(language).concat(DEFAULT_LANGUAGE);
+        for (const code of [...new Set(chain)]) {
+            const corpus = this.corpora.get(code);
+            if (!corpus) continue;
+
+            const matches = corpus.index.search(question, this.limit)
+                .filter(match => match.score >= this.minScore);
+            if (matches.length) {
+                return matches.map(({ document, score }) => {
+                    const { indexText, ...passage } = document;
+                    return { ...passage, score: Math.round(score * 100) / 100 };
+                });
+            }
+        }
+        return [];
+    }
+
+    getStats() {
+        const languages = {};
+        for (const [language, corpus] of this.corpora) {
+            languages[language] = { articles: corpus.articles.length, passages: corpus.passages.length };
+        }
+        return { languages, loaded_at: this.loadedAt };
+    }
+}
+
+module.exports = {
+    KnowledgeBase,
+    KnowledgeBaseError,
+    Bm25Index,
+    tokenize,
+    fitPassages,
+    getSources
+};
@@ -0,0 +1,102 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logger: one JSON object per line with time, level, msg and any
+// fields passed along. Everything logged while a request is being handled
+// carries that request's id, however deep in the model chain it happens.
+//
+//   LOG_LEVEL    debug | info (default) | warn | error
+//   LOG_FORMAT   json (default) | text, for reading logs in a terminal
+//   LOG_PROMPTS  "true" to log prompt and answer text; off by default since
+//                users describe their health problems. Even then, emails and
+//                phone numbers are masked.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{7,}\d/g;
+
+function scrubPii(text) {
+    return text.replace(EMAIL_PATTERN, '[email]').replace(PHONE_PATTERN, '[phone]');
+}
+
+// What may be logged of user or model text: its length, unless LOG_PROMPTS is on
+function redact(text, maxLength = 150) {
+    if (typeof text !== 'string') return text;
+    if (process.env.LOG_PROMPTS !== 'true') return `[redacted ${text.length} chars]`;
+    return scrubPii(text.length > maxLength ? `${text.slice(0, maxLength)}...` : text);
+}
+
+function serializeError(error) {
+    if (!(error instanceof Error)) return error;
+    return {
+        message: error.message,
+        name: error.name,
+        code: error.code,
+        status: error.response?.status,
+        stack: process.env.LOG_LEVEL === 'debug' ? error.stack : undefined
+    };
+}
+
+function formatText(entry) {
+    const { time, level, msg, ...fields } = entry;
+    const extra = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra ? ' ' + extra : ''}`;
+}
+
+class Logger {
+    constructor(bindings = {}) {
+        this.bindings = bindings;
+    }
+
+    // Logger that adds the given fields to every entry
+    child(bindings) {
+        return new Logger({ ...this.bindings, ...bindings });
+    }
+
+    isEnabled(level) {
+        const threshold = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+        return LEVELS[level] >= threshold;
+    }
+
+    log(level, msg, fields = {}) {
+        if (!this.isEnabled(level)) return;
+
+        const entry = {
+            time: new Date().toISOString(),
+            level: level,
+            msg: msg,
+            ...requestContext.getStore(),
+            ...this.bindings
+        };
+        for (const [key, value] of Object.entries(fields)) {
+            if (value !== undefined) entry[key] = serializeError(value);
+        }
+
+        const line = process.env.LOG_FORMAT === 'text' ? formatText(entry) : JSON.stringify(entry);
+        (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+    }
+
+    debug(msg, fields) { this.log('debug', msg, fields); }
+    info(msg, fields) { this.log('info', msg, fields); }
+    warn(msg, fields) { this.log('warn', msg, fields); }
+    error(msg, fields) { this.log('error', msg, fields); }
+}
+
+const logger = new Logger();
+
+// Run fn with fields (e.g. { request_id }) attached to every entry logged inside it
+function runWithContext(fields, fn) {
+    return requestContext.run(fields, fn);
+}
+
+module.exports = {
+    logger,
+    Logger,
+    redact,
+    scrubPii,
+    runWithContext
+};
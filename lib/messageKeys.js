@@ -0,0 +1,51 @@
+// Message keys for internationalization. Clients render these from the
+// catalogs in config/locales; every key must have a text in every catalog.
+const MESSAGE_KEYS = {
+    // Error message keys
+    RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
+    INPUT_REQUIRED: 'INPUT_REQUIRED',
+    INPUT_TOO_LONG: 'INPUT_TOO_LONG',
+    SERVER_ERROR: 'SERVER_ERROR',
+    API_KEY_MISSING: 'API_KEY_MISSING',
+    ALL_MODELS_FAILED: 'ALL_MODELS_FAILED',
+    INVALID_MESSAGES: 'INVALID_MESSAGES',
+    BATCH_INVALID: 'BATCH_INVALID',
+    CONFIG_CHANGE_INVALID: 'CONFIG_CHANGE_INVALID',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    FORBIDDEN: 'FORBIDDEN',
+    NOT_FOUND: 'NOT_FOUND',
+    SERVER_BUSY: 'SERVER_BUSY',
+    REQUEST_TIMEOUT: 'REQUEST_TIMEOUT',
+    BUDGET_EXHAUSTED: 'BUDGET_EXHAUSTED',
+
+    // Default response keys
+    EMPTY_RESPONSE_FALLBACK: 'EMPTY_RESPONSE_FALLBACK',
+    CONNECTION_TROUBLE: 'CONNECTION_TROUBLE',
+    ASK_DIFFERENTLY: 'ASK_DIFFERENTLY',
+    HELP_WITH_SKIN: 'HELP_WITH_SKIN',
+    HELP_WITH_SKIN_SPECIFIC: 'HELP_WITH_SKIN_SPECIFIC',
+
+    // Safety guardrail keys
+    EMERGENCY_CARE: 'EMERGENCY_CARE',
+    URGENT_CARE: 'URGENT_CARE',
+    CRISIS_SUPPORT: 'CRISIS_SUPPORT',
+    OFF_TOPIC: 'OFF_TOPIC',
+    SAFETY_DISCLAIMER: 'SAFETY_DISCLAIMER',
+    NO_DIAGNOSIS: 'NO_DIAGNOSIS',
+    NO_DOSAGE_ADVICE: 'NO_DOSAGE_ADVICE',
+
+    // Skin photo analysis keys
+    IMAGE_REQUIRED: 'IMAGE_REQUIRED',
+    IMAGE_UNSUPPORTED_TYPE: 'IMAGE_UNSUPPORTED_TYPE',
+    IMAGE_TOO_LARGE: 'IMAGE_TOO_LARGE',
+    IMAGE_BAD_DIMENSIONS: 'IMAGE_BAD_DIMENSIONS',
+    IMAGE_ANALYSIS_RESULT: 'IMAGE_ANALYSIS_RESULT',
+    IMAGE_UNCLEAR: 'IMAGE_UNCLEAR',
+
+    // Answer feedback keys
+    FEEDBACK_INVALID: 'FEEDBACK_INVALID',
+    FEEDBACK_RESPONSE_NOT_FOUND: 'FEEDBACK_RESPONSE_NOT_FOUND',
+    FEEDBACK_RECEIVED: 'FEEDBACK_RECEIVED'
+};
+
+module.exports = MESSAGE_KEYS;
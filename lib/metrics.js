@@ -0,0 +1,171 @@
+// Minimal Prometheus metrics: counters, gauges and histograms with labels,
+// rendered in the text exposition format for a /metrics endpoint.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.length) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    // Only the declared labels, in declared order, so a series has a single key
+    pickLabels(labels = {}) {
+        const picked = {};
+        for (const name of this.labelNames) {
+            picked[name] = labels[name] === undefined ? '' : String(labels[name]);
+        }
+        return picked;
+    }
+
+    getSeries(labels, create) {
+        const picked = this.pickLabels(labels);
+        const key = JSON.stringify(picked);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: picked, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels, value = 1) {
+        this.getSeries(labels, () => ({ value: 0 })).value += value;
+    }
+
+    render() {
+        const lines = this.header();
+        for (const series of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(series.labels)} ${series.value}`);
+        }
+        return lines;
+    }
+}
+
+// collect(), when given, is called before rendering so the gauge can read
+// current values from elsewhere (e.g. breaker states) instead of being pushed
+class Gauge extends Metric {
+    constructor(name, help, labelNames, collect) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect;
+    }
+
+    set(labels, value) {
+        this.getSeries(labels, () => ({ value: 0 })).value = value;
+    }
+
+    render() {
+        if (this.collect) {
+            this.series.clear();
+            this.collect(this);
+        }
+
+        const lines = this.header();
+        for (const series of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(series.labels)} ${series.value}`);
+        }
+        return lines;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.getSeries(labels, () => ({
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Returns a function that observes the seconds elapsed since startTimer was called
+    startTimer(labels) {
+        const start = process.hrtime.bigint();
+        return (extraLabels) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    render() {
+        const lines = this.header();
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor(prefix = '') {
+        this.prefix = prefix;
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(this.prefix + name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames, collect) {
+        return this.register(new Gauge(this.prefix + name, help, labelNames, collect));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(this.prefix + name, help, labelNames, buckets));
+    }
+
+    render() {
+        return this.metrics.map(metric => metric.render().join('\n')).join('\n\n') + '\n';
+    }
+}
+
+MetricsRegistry.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+    MetricsRegistry,
+    Counter,
+    Gauge,
+    Histogram
+};
@@ -0,0 +1,431 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { PROVIDERS } = require('./providers');
+const { buildHoldBack } = require('./streamHoldBack');
+const { logger } = require('./logger');
+
+// Declarative model registry. The JSON file lists every model with its
+// priority, provider, prompt template, stop sequences, generation parameters,
+// cleanup regexes, timeout, how many calls it may serve at once
+// (maxConcurrent) and how many sentences of its answers are kept
+// (maxSentences); see config/models.json. "keepWarm" sets how often a model
+// gets a probe to keep it loaded (see lib/keepWarm.js) and "cost" what its
+// calls cost for usage accounting (see lib/usage.js). Templates fill in
+// {system}, {content}, {question} and {history}, and {context} with notes
+// retrieved from the knowledge base (empty when nothing matched). The optional
+// "imageModels" list holds the image classifiers for skin photos, in the same
+// priority order; they take only the provider and timeout from "defaults".
+// "experiments" lists A/B splits and shadow candidates (see lib/experiments.js).
+
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'models.json');
+const TEMPLATE_FIELDS = ['prefix', 'firstUser', 'user', 'assistant', 'suffix', 'single', 'followUp', 'historyTurn'];
+
+class RegistryError extends Error {
+    constructor(filePath, errors) {
+        super(`Invalid model registry ${filePath}:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'RegistryError';
+        this.errors = errors;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateCleanup(cleanup, where, errors) {
+    if (cleanup === undefined) return;
+    if (!Array.isArray(cleanup)) {
+        errors.push(`${where}.cleanup must be an array`);
+        return;
+    }
+
+    cleanup.forEach((rule, i) => {
+        if (!isPlainObject(rule) || typeof rule.pattern !== 'string') {
+            errors.push(`${where}.cleanup[${i}] needs a string "pattern"`);
+            return;
+        }
+        try {
+            new RegExp(rule.pattern, rule.flags || '');
+        } catch (error) {
+            errors.push(`${where}.cleanup[${i}] is not a valid regex: ${error.message}`);
+        }
+    });
+}
+
+function validateSettings(settings, where, templates, errors) {
+    if (settings.provider !== undefined && !PROVIDERS[settings.provider]) {
+        errors.push(`${where}.provider "${settings.provider}" is not one of ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    if (settings.template !== undefined && !templates[settings.template]) {
+        errors.push(`${where}.template "${settings.template}" is not defined in "templates"`);
+    }
+    for (const field of ['timeout', 'contextBudget']) {
+        if (settings[field] !== undefined && !(Number.isFinite(settings[field]) && settings[field] > 0)) {
+            errors.push(`${where}.${field} must be a positive number`);
+        }
+    }
+    for (const field of ['maxConcurrent', 'maxSentences']) {
+        if (settings[field] !== undefined && !(Number.isInteger(settings[field]) && settings[field] > 0)) {
+            errors.push(`${where}.${field} must be a positive integer`);
+        }
+    }
+    if (settings.stop !== undefined &&
+        !(Array.isArray(settings.stop) && settings.stop.every(s => typeof s === 'string' && s))) {
+        errors.push(`${where}.stop must be an array of non-empty strings`);
+    }
+    if (settings.parameters !== undefined && !isPlainObject(settings.parameters)) {
+        errors.push(`${where}.parameters must be an object`);
+    }
+    if (settings.breaker !== undefined && !isPlainObject(settings.breaker)) {
+        errors.push(`${where}.breaker must be an object of circuit breaker options`);
+    }
+    for (const field of ['baseUrl', 'apiKeyEnv', 'model']) {
+        if (settings[field] !== undefined && typeof settings[field] !== 'string') {
+            errors.push(`${where}.${field} must be a string`);
+        }
+    }
+    if (settings.keepWarm !== undefined) {
+        if (!isPlainObject(settings.keepWarm)) {
+            errors.push(`${where}.keepWarm must be an object like { "intervalMs": 600000 }`);
+        } else {
+            for (const field of ['intervalMs', 'minIntervalMs', 'maxIntervalMs']) {
+                const value = settings.keepWarm[field];
+                if ((value !== undefined || field === 'intervalMs') && !(Number.isInteger(value) && value > 0)) {
+                    errors.push(`${where}.keepWarm.${field} must be a positive integer`);
+                }
+            }
+        }
+    }
+    if (settings.cost !== undefined) {
+        if (!isPlainObject(settings.cost)) {
+            errors.push(`${where}.cost must be an object like { "per1kOutputTokens": 0.002 }`);
+        } else {
+            for (const field of ['perCall', 'per1kInputTokens', 'per1kOutputTokens']) {
+                const value = settings.cost[field];
+                if (value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+                    errors.push(`${where}.cost.${field} must be a non-negative number`);
+                }
+            }
+        }
+    }
+    validateCleanup(settings.cleanup, where, errors);
+}
+
+// Returns a list of human readable problems; empty when the config is usable
+function validateRegistryConfig(config) {
+    const errors = [];
+
+    if (!isPlainObject(config)) {
+        return ['registry must be a JSON object'];
+    }
+
+    const templates = config.templates;
+    if (!isPlainObject(templates)) {
+        errors.push('"templates" must be an object');
+    } else {
+        for (const [name, template] of Object.entries(templates)) {
+            if (!isPlainObject(template)) {
+                errors.push(`templates.${name} must be an object`);
+                continue;
+            }
+            for (const [field, value] of Object.entries(template)) {
+                if (!TEMPLATE_FIELDS.includes(field)) {
+                    errors.push(`templates.${name}.${field} is not a known template field`);
+                } else if (typeof value !== 'string') {
+                    errors.push(`templates.${name}.${field} must be a string`);
+                }
+            }
+            if (!template.user && !template.single) {
+                errors.push(`templates.${name} needs either "user" or "single"`);
+            }
+        }
+    }
+
+    const defaults = config.defaults || {};
+    if (!isPlainObject(defaults)) {
+        errors.push('"defaults" must be an object');
+    } else {
+        validateSettings(defaults, 'defaults', templates || {}, errors);
+    }
+
+    if (!Array.isArray(config.models) || config.models.length === 0) {
+        errors.push('"models" must be a non-empty array');
+        return errors;
+    }
+
+    const seen = new Set();
+    config.models.forEach((model, i) => {
+        const where = `models[${i}]`;
+        if (!isPlainObject(model)) {
+            errors.push(`${where} must be an object`);
+            return;
+        }
+        if (typeof model.name !== 'string' || !model.name) {
+            errors.push(`${where}.name is required`);
+        } else if (seen.has(model.name)) {
+            errors.push(`${where}.name "${model.name}" is listed more than once`);
+        } else {
+            seen.add(model.name);
+        }
+        if (!Number.isFinite(model.priority)) {
+            errors.push(`${where}.priority must be a number (lower runs first)`);
+        }
+        if (model.template === undefined && (!isPlainObject(defaults) || defaults.template === undefined)) {
+            errors.push(`${where}.template is required when "defaults" has no template`);
+        }
+        if (model.enabled !== undefined && typeof model.enabled !== 'boolean') {
+            errors.push(`${where}.enabled must be true or false`);
+        }
+        validateSettings(model, where, templates || {}, errors);
+    });
+
+    if (config.imageModels !== undefined) {
+        validateImageModels(config.imageModels, defaults, errors);
+    }
+    if (config.experiments !== undefined) {
+        validateExperiments(config.experiments, seen, errors);
+    }
+
+    return errors;
+}
+
+// Experiments may only name models from "models"; one split runs at a time
+function validateExperiments(experiments, modelNames, errors) {
+    if (!Array.isArray(experiments)) {
+        errors.push('"experiments" must be an array');
+        return;
+    }
+
+    const seen = new Set();
+    let enabledSplits = 0;
+    experiments.forEach((experiment, i) => {
+        const where = `experiments[${i}]`;
+        if (!isPlainObject(experiment)) {
+            errors.push(`${where} must be an object`);
+            return;
+        }
+        if (typeof experiment.name !== 'string' || !experiment.name) {
+            errors.push(`${where}.name is required`);
+        } else if (seen.has(experiment.name)) {
+            errors.push(`${where}.name "${experiment.name}" is listed more than once`);
+        } else {
+            seen.add(experiment.name);
+        }
+        if (experiment.enabled !== undefined && typeof experiment.enabled !== 'boolean') {
+            errors.push(`${where}.enabled must be true or false`);
+        }
+        if ((experiment.arms === undefined) === (experiment.shadow === undefined)) {
+            errors.push(`${where} needs either "arms" or "shadow"`);
+            return;
+        }
+
+        if (experiment.shadow !== undefined) {
+            const { shadow } = experiment;
+            if (!isPlainObject(shadow) || !modelNames.has(shadow.model)) {
+                errors.push(`${where}.shadow.model must name a model from "models"`);
+            } else if (!(typeof shadow.sampleRate === 'number' && shadow.sampleRate > 0 && shadow.sampleRate <= 1)) {
+                errors.push(`${where}.shadow.sampleRate must be a number above 0 and at most 1`);
+            }
+            return;
+        }
+
+        if (experiment.enabled !== false) enabledSplits++;
+        if (!Array.isArray(experiment.arms) || experiment.arms.length < 2) {
+            errors.push(`${where}.arms must be an array of at least two arms`);
+            return;
+        }
+
+        const armNames = new Set();
+        let totalWeight = 0;
+        experiment.arms.forEach((arm, j) => {
+            const armWhere = `${where}.arms[${j}]`;
+            if (!isPlainObject(arm)) {
+                errors.push(`${armWhere} must be an object`);
+                return;
+            }
+            if (typeof arm.name !== 'string' || !arm.name || armNames.has(arm.name)) {
+                errors.push(`${armWhere}.name must be a unique, non-empty string`);
+            }
+            armNames.add(arm.name);
+            if (!(Number.isFinite(arm.weight) && arm.weight >= 0)) {
+                errors.push(`${armWhere}.weight must be a number of 0 or more`);
+            } else {
+                totalWeight += arm.weight;
+            }
+            if (arm.models !== undefined &&
+                !(Array.isArray(arm.models) && arm.models.length && arm.models.every(name => modelNames.has(name)))) {
+                errors.push(`${armWhere}.models must be a non-empty list of models from "models"`);
+            }
+        });
+        if (totalWeight <= 0) {
+            errors.push(`${where}.arms need a total weight above 0`);
+        }
+    });
+
+    if (enabledSplits > 1) {
+        errors.push('Only one experiment with "arms" can be enabled at a time');
+    }
+}
+
+function validateImageModels(imageModels, defaults, errors) {
+    if (!Array.isArray(imageModels)) {
+        errors.push('"imageModels" must be an array');
+        return;
+    }
+
+    const seen = new Set();
+    imageModels.forEach((model, i) => {
+        const where = `imageModels[${i}]`;
+        if (!isPlainObject(model)) {
+            errors.push(`${where} must be an object`);
+            return;
+        }
+        if (typeof model.name !== 'string' || !model.name) {
+            errors.push(`${where}.name is required`);
+        } else if (seen.has(model.name)) {
+            errors.push(`${where}.name "${model.name}" is listed more than once`);
+        } else {
+            seen.add(model.name);
+        }
+        if (!Number.isFinite(model.priority)) {
+            errors.push(`${where}.priority must be a number (lower runs first)`);
+        }
+        if (model.enabled !== undefined && typeof model.enabled !== 'boolean') {
+            errors.push(`${where}.enabled must be true or false`);
+        }
+        if (model.template !== undefined) {
+            errors.push(`${where}.template is not used by image models`);
+        }
+
+        const provider = PROVIDERS[model.provider || (isPlainObject(defaults) && defaults.provider) || 'huggingface'];
+        if (provider && !provider.classifyImage) {
+            errors.push(`${where}.provider "${provider.name}" can't classify images`);
+        }
+        validateSettings(model, where, {}, errors);
+    });
+}
+
+// Merge a model entry over the defaults, compile its cleanup rules and derive
+// the hold-back of its streamed answers (see lib/streamHoldBack.js)
+function resolveModel(model, defaults, templates) {
+    const resolved = {
+        ...defaults,
+        ...model,
+        parameters: { ...(defaults.parameters || {}), ...(model.parameters || {}) },
+        stop: model.stop || defaults.stop || [],
+        enabled: model.enabled !== false
+    };
+
+    resolved.templateName = resolved.template;
+    resolved.template = templates[resolved.template];
+    // Model-specific cleanup runs first, then the shared rules
+    resolved.cleanup = (model.cleanup || []).concat(defaults.cleanup || [])
+        .map(rule => new RegExp(rule.pattern, rule.flags || ''));
+    resolved.holdBack = buildHoldBack(resolved);
+
+    return resolved;
+}
+
+function resolveImageModel(model, defaults) {
+    return {
+        provider: defaults.provider,
+        timeout: defaults.timeout,
+        ...model,
+        task: 'image-classification',
+        enabled: model.enabled !== false
+    };
+}
+
+class ModelRegistry extends EventEmitter {
+    constructor(filePath = process.env.MODEL_REGISTRY_PATH || DEFAULT_REGISTRY_PATH) {
+        super();
+        this.filePath = filePath;
+        this.models = [];
+        this.imageModels = [];
+        this.experiments = [];
+        this.byName = new Map();
+        this.defaults = null;
+    }
+
+    // Read and validate the file; throws RegistryError and keeps the current models on failure
+    load() {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            throw new RegistryError(this.filePath, [error.message]);
+        }
+
+        const errors = validateRegistryConfig(config);
+        if (errors.length) {
+            throw new RegistryError(this.filePath, errors);
+        }
+
+        const defaults = config.defaults || {};
+        const models = config.models
+            .map(model => resolveModel(model, defaults, config.templates))
+            .sort((a, b) => a.priority - b.priority);
+
+        this.models = models;
+        this.imageModels = (config.imageModels || [])
+            .map(model => resolveImageModel(model, defaults))
+            .sort((a, b) => a.priority - b.priority);
+        this.experiments = (config.experiments || [])
+            .map(experiment => ({ ...experiment, enabled: experiment.enabled !== false }));
+        this.byName = new Map(models.map(model => [model.name, model]));
+        this.defaults = resolveModel({ name: 'default' }, defaults, config.templates);
+        this.emit('reload', models);
+        return models;
+    }
+
+    // Poll the file and reload it when it changes on disk
+    watch(interval = 2000) {
+        if (this.watcher) return;
+
+        this.watcher = fs.watchFile(this.filePath, { interval }, (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs) return;
+
+            try {
+                const models = this.load();
+                logger.info('Model registry reloaded', { models: models.map(m => m.name) });
+            } catch (error) {
+                logger.error('Model registry reload failed, keeping the previous registry', { error: error.message });
+                this.emit('reloadFailed', error);
+            }
+        });
+        this.watcher.unref();
+    }
+
+    unwatch() {
+        if (!this.watcher) return;
+        fs.unwatchFile(this.filePath);
+        this.watcher = null;
+    }
+
+    // Enabled models in priority order
+    getModels() {
+        return this.models.filter(model => model.enabled);
+    }
+
+    // Enabled image classifiers in priority order
+    getImageModels() {
+        return this.imageModels.filter(model => model.enabled);
+    }
+
+    // Enabled experiments, in file order
+    getExperiments() {
+        return this.experiments.filter(experiment => experiment.enabled);
+    }
+
+    // Settings for a model; unknown names get the defaults
+    getModel(name) {
+        return this.byName.get(name) || { ...this.defaults, name };
+    }
+}
+
+module.exports = {
+    ModelRegistry,
+    RegistryError,
+    validateRegistryConfig
+};
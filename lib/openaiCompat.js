@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+// Request and response shapes of the OpenAI chat completions API, so tools
+// that only speak OpenAI (eval harness, internal bots) can use the proxy.
+//
+// Answers that are message keys (fallbacks, safety messages) are sent as
+// ordinary assistant content, their fallback text, and the key itself travels
+// in a "dermi" extension object that OpenAI clients ignore:
+//
+//   "dermi": { "model_used": "...", "message_key": "CONNECTION_TROUBLE", ... }
+
+// Model id that walks the whole fallback chain
+const DEFAULT_MODEL_ID = 'dermi';
+const MAX_STOP_SEQUENCES = 4;
+const MAX_TOKENS_LIMIT = 1024;
+
+function createCompletionId() {
+    return `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function errorBody(message, param = null, code = null, type = 'invalid_request_error') {
+    return { error: { message, type, param, code } };
+}
+
+// String content, or the text parts of multi-part content joined; anything
+// else is left for validateMessages to reject
+function normalizeContent(content) {
+    if (Array.isArray(content) && content.every(part => part && part.type === 'text' && typeof part.text === 'string')) {
+        return content.map(part => part.text).join('\n');
+    }
+    return content;
+}
+
+// OpenAI messages as { role, content } turns; "developer" is the newer name for "system"
+function toConversation(messages) {
+    if (!Array.isArray(messages)) return messages;
+    return messages.map(message => ({
+        role: message && message.role === 'developer' ? 'system' : message && message.role,
+        content: normalizeContent(message && message.content)
+    }));
+}
+
+// max_tokens, temperature, top_p and stop as generation parameter overrides.
+// Returns { parameters } (undefined when nothing was set) or { error }.
+function parseGenerationOptions(body) {
+    const parameters = {};
+    const maxTokens = body.max_completion_tokens !== undefined ? body.max_completion_tokens : body.max_tokens;
+
+    if (body.n !== undefined && body.n !== 1) {
+        return { error: errorBody('Only n=1 is supported', 'n') };
+    }
+    if (maxTokens !== undefined && maxTokens !== null) {
+        if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > MAX_TOKENS_LIMIT) {
+            return { error: errorBody(`max_tokens must be an integer between 1 and ${MAX_TOKENS_LIMIT}`, 'max_tokens') };
+        }
+        parameters.max_new_tokens = maxTokens;
+    }
+    if (body.temperature !== undefined && body.temperature !== null) {
+        if (typeof body.temperature !== 'number' || body.temperature < 0 || body.temperature > 2) {
+            return { error: errorBody('temperature must be a number between 0 and 2', 'temperature') };
+        }
+        parameters.temperature = body.temperature;
+        // Hugging Face models reject temperature 0; greedy decoding is the equivalent
+        if (body.temperature === 0) {
+            delete parameters.temperature;
+            parameters.do_sample = false;
+        }
+    }
+    if (body.top_p !== undefined && body.top_p !== null) {
+        if (typeof body.top_p !== 'number' || body.top_p <= 0 || body.top_p > 1) {
+            return { error: errorBody('top_p must be a number above 0 and at most 1', 'top_p') };
+        }
+        parameters.top_p = body.top_p;
+    }
+    if (body.stop !== undefined && body.stop !== null) {
+        const stop = typeof body.stop === 'string' ? [body.stop] : body.stop;
+        if (!Array.isArray(stop) || stop.length > MAX_STOP_SEQUENCES || !stop.every(s => typeof s === 'string' && s)) {
+            return { error: errorBody(`stop must be a string or up to ${MAX_STOP_SEQUENCES} non-empty strings`, 'stop') };
+        }
+        parameters.stop = stop;
+    }
+
+    return { parameters: Object.keys(parameters).length ? parameters : undefined };
+}
+
+// Assistant text of a client response ({ generated_text } or { messageKey, fallbackText })
+function getCompletionContent(body) {
+    return body.messageKey ? body.fallbackText : body.generated_text;
+}
+
+// Everything about a client response that has no place in the OpenAI shape
+function toExtension(body) {
+    const { generated_text: generatedText, messageKey, fallbackText, disclaimer, ...rest } = body;
+    return { ...rest, ...(messageKey ? { message_key: messageKey } : {}) };
+}
+
+function buildCompletion({ id, created, model, content, extension }) {
+    return {
+        id: id,
+        object: 'chat.completion',
+        created: created,
+        model: model,
+        choices: [{
+            index: 0,
+            message: { role: 'assistant', content: content },
+            finish_reason: 'stop'
+        }],
+        dermi: extension
+    };
+}
+
+function buildChunk({ id, created, model, delta, finishReason = null, extension }) {
+    return {
+        id: id,
+        object: 'chat.completion.chunk',
+        created: created,
+        model: model,
+        choices: [{ index: 0, delta: delta, finish_reason: finishReason }],
+        ...(extension ? { dermi: extension } : {})
+    };
+}
+
+// GET /v1/models: the whole chain as "dermi", then each model on its own
+function buildModelList(models, created) {
+    return {
+        object: 'list',
+        data: [{ id: DEFAULT_MODEL_ID, object: 'model', created: created, owned_by: 'dermi' }]
+            .concat(models.map(model => ({
+                id: model.name,
+                object: 'model',
+                created: created,
+                owned_by: model.provider
+            })))
+    };
+}
+
+module.exports = {
+    DEFAULT_MODEL_ID,
+    createCompletionId,
+    errorBody,
+    toConversation,
+    parseGenerationOptions,
+    getCompletionContent,
+    toExtension,
+    buildCompletion,
+    buildChunk,
+    buildModelList
+};
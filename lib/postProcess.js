@@ -0,0 +1,195 @@
+// Quality pass over cleaned model output, before anyone sees it. Smaller
+// models break off mid-sentence, loop on the same phrase or go on to write the
+// user's next turn, so the text is:
+//
+//   1. cut at the model's stop sequences and at made-up turns ("User:", "Human:", ...)
+//   2. stripped of repeated word sequences and repeated sentences
+//   3. trimmed back to the last complete sentence
+//   4. limited to maxSentences sentences
+//   5. checked to be written in the requested language's script
+//
+// postProcess() always returns the best text it could make. `issue` is set
+// when that text still isn't fit to show: 'empty', 'incomplete' (no complete
+// sentence left), 'repetitive' (most of the output was a loop) or
+// 'wrong_script'. A QualityError carries the issue through the model chain.
+
+const DEFAULT_MAX_SENTENCES = 4;
+
+// Longest word sequence checked for loops
+const MAX_NGRAM = 12;
+
+// Share of the words that may be repetition before the output counts as a loop
+const MAX_REPEATED_SHARE = 0.5;
+
+// Below this many letters the script check can't say much
+const MIN_SCRIPT_LETTERS = 12;
+
+const SCRIPTS = {
+    ar: /\p{Script=Arabic}/u,
+    hi: /\p{Script=Devanagari}/u,
+    zh: /\p{Script=Han}/u
+};
+const LATIN = /\p{Script=Latin}/u;
+
+// A new speaker on its own line, or mid-line right after a finished sentence
+const TURN_PATTERN = /\n\s*(?:User|Human|Patient|Question|Q|A|Assistant|Dermi)\s*:|(?<=[.!?])\s+(?:User|Human|Patient|Question)\s*:/i;
+
+// Sentence boundaries, after the whitespace that follows a sentence so it
+// stays with that sentence; CJK full stops need no space after them
+const SENTENCE_BREAK = /(?<=[.!?]["')\]]?\s+|[。！？]\s*)(?=\S)/;
+const SENTENCE_END = /[.!?。！？]["')\]]?$/;
+
+// A text ending on one of these broke off mid-sentence
+const DANGLING_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'for', 'with', 'your', 'is', 'are', 'can', 'may', 'as', 'by', 'that', 'which',
+    'y', 'o', 'de', 'la', 'el', 'los', 'las', 'con', 'para', 'su', 'et', 'le', 'les', 'des', 'du', 'avec', 'pour', 'und', 'oder', 'der', 'die', 'das', 'mit', 'für', 'e', 'com', 'os', 'as'
+]);
+
+class QualityError extends Error {
+    constructor(modelName, issue) {
+        super(`Output of ${modelName} failed the quality checks: ${issue}`);
+        this.name = 'QualityError';
+        this.model = modelName;
+        this.issue = issue;
+    }
+}
+
+function cutAtStops(text, stops) {
+    let end = text.length;
+    for (const stop of stops) {
+        const index = text.indexOf(stop);
+        if (index !== -1 && index < end) end = index;
+    }
+    const turn = TURN_PATTERN.exec(text);
+    if (turn && turn.index > 0 && turn.index < end) end = turn.index;
+    return text.slice(0, end);
+}
+
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+function sameWords(words, a, b, length) {
+    for (let i = 0; i < length; i++) {
+        if (normalizeWord(words[a + i]) !== normalizeWord(words[b + i])) return false;
+    }
+    return true;
+}
+
+function countLineBreaks(text) {
+    return text.split('\n').length - 1;
+}
+
+// "apply it daily apply it daily apply it daily" -> "apply it daily". A single
+// word has to come three times in a row, so "very very" survives. The words
+// left keep the whitespace that followed them, newlines included.
+// Returns the text and how many words were dropped.
+function collapseRepeatedWords(text) {
+    const parts = text.split(/(\s+)/);
+    const words = parts.filter((part, index) => index % 2 === 0);
+    const separators = parts.filter((part, index) => index % 2 === 1);
+    let dropped = 0;
+
+    for (let length = MAX_NGRAM; length >= 1; length--) {
+        const repeatsNeeded = length === 1 ? 2 : 1;
+        for (let start = 0; start + length * (repeatsNeeded + 1) <= words.length; start++) {
+            let repeats = 0;
+            while (start + length * (repeats + 2) <= words.length &&
+                sameWords(words, start, start + length * (repeats + 1), length)) {
+                repeats++;
+            }
+            if (repeats >= repeatsNeeded) {
+                // Of the whitespace before and after the repeats, the one with more line breaks stays
+                const before = separators[start + length - 1] || '';
+                const after = separators[start + length * (repeats + 1) - 1] || '';
+                words.splice(start + length, length * repeats);
+                separators.splice(start + length, length * repeats);
+                separators[start + length - 1] = countLineBreaks(before) > countLineBreaks(after) ? before : after;
+                dropped += length * repeats;
+            }
+        }
+    }
+
+    return { text: dropped ? words.map((word, index) => word + (separators[index] || '')).join('') : text, dropped };
+}
+
+// Each sentence keeps the whitespace after it, so joining them gives back the
+// line breaks and list layout of the text
+function splitSentences(text) {
+    return text.split(SENTENCE_BREAK).filter(sentence => sentence.trim());
+}
+
+function joinSentences(sentences) {
+    return sentences.join('').trim();
+}
+
+function countWords(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+}
+
+// Back to the last complete sentence. Text with no sentence end at all is
+// kept when it doesn't stop on a dangling word (flan-t5 often leaves off the
+// full stop), so it gets one.
+function trimToSentence(sentences) {
+    for (let end = sentences.length; end > 0; end--) {
+        if (SENTENCE_END.test(sentences[end - 1].trim())) return sentences.slice(0, end);
+    }
+
+    const text = joinSentences(sentences).replace(/[\s,;:–—-]+$/, '');
+    const words = text.split(/\s+/);
+    if (words.length < 3 || DANGLING_WORDS.has(normalizeWord(words[words.length - 1]))) {
+        return [];
+    }
+    return [`${text}.`];
+}
+
+// Whether most of the letters are in the script the language is written in
+function matchesScript(text, language) {
+    const letters = text.match(/\p{L}/gu) || [];
+    if (letters.length < MIN_SCRIPT_LETTERS) return true;
+
+    const script = SCRIPTS[language] || LATIN;
+    const matching = letters.filter(letter => script.test(letter)).length;
+    return matching / letters.length >= 0.5;
+}
+
+// options: { stops, language, maxSentences }
+function postProcess(text, options = {}) {
+    const { stops = [], language = 'en', maxSentences = DEFAULT_MAX_SENTENCES } = options;
+
+    let result = cutAtStops(text, stops).trim();
+    const totalWords = countWords(result);
+
+    const collapsed = collapseRepeatedWords(result);
+    let dropped = collapsed.dropped;
+
+    const seen = new Set();
+    const sentences = splitSentences(collapsed.text).filter(sentence => {
+        const key = sentence.trim().split(/\s+/).map(normalizeWord).join(' ');
+        if (seen.has(key)) {
+            dropped += countWords(sentence);
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+
+    result = joinSentences(trimToSentence(sentences).slice(0, maxSentences));
+
+    if (!result) {
+        return { text: '', issue: totalWords ? 'incomplete' : 'empty' };
+    }
+    if (totalWords && dropped / totalWords > MAX_REPEATED_SHARE) {
+        return { text: result, issue: 'repetitive' };
+    }
+    if (!matchesScript(result, language)) {
+        return { text: result, issue: 'wrong_script' };
+    }
+    return { text: result, issue: null };
+}
+
+module.exports = {
+    postProcess,
+    QualityError,
+    DEFAULT_MAX_SENTENCES
+};
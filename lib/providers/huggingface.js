@@ -0,0 +1,119 @@
+const axios = require('axios');
+const { readSseData, readStreamText } = require('./sse');
+const { logger, redact } = require('../logger');
+
+// Hugging Face Inference API: text-generation style { inputs, parameters } payloads
+const DEFAULT_BASE_URL = 'https://api-inference.huggingface.co/models';
+
+function getEndpoint(model) {
+    const baseUrl = model.baseUrl || process.env.HUGGINGFACE_BASE_URL || DEFAULT_BASE_URL;
+    return `${baseUrl.replace(/\/$/, '')}/${model.model || model.name}`;
+}
+
+function getHeaders(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    return headers;
+}
+
+// Pull the generated text out of the different Hugging Face response shapes
+function parseGeneratedText(data) {
+    let rawResponse = '';
+
+    if (Array.isArray(data)) {
+        if (data.length > 0) {
+            rawResponse = data[0].generated_text || '';
+        }
+    } else if (data && typeof data === 'object') {
+        rawResponse = data.generated_text || '';
+    } else if (typeof data === 'string') {
+        rawResponse = data;
+    }
+
+    // Handle any other possible response formats
+    if (!rawResponse && data) {
+        rawResponse = JSON.stringify(data);
+    }
+
+    return rawResponse;
+}
+
+async function generate(model, request) {
+    const response = await axios.post(
+        getEndpoint(model),
+        {
+            inputs: request.prompt,
+            parameters: request.parameters
+        },
+        {
+            headers: getHeaders(request.apiKey),
+            timeout: request.timeout,
+            signal: request.signal
+        }
+    );
+
+    logger.debug('Upstream response', { model: model.name, preview: redact(JSON.stringify(response.data)) });
+
+    return parseGeneratedText(response.data);
+}
+
+async function* stream(model, request) {
+    const response = await axios.post(
+        getEndpoint(model),
+        {
+            inputs: request.prompt,
+            parameters: request.parameters,
+            stream: true
+        },
+        {
+            headers: getHeaders(request.apiKey),
+            responseType: 'stream',
+            timeout: request.timeout,
+            signal: request.signal
+        }
+    );
+
+    // Models without streaming support answer with a single JSON body
+    if (!(response.headers['content-type'] || '').includes('text/event-stream')) {
+        yield parseGeneratedText(JSON.parse(await readStreamText(response.data)));
+        return;
+    }
+
+    for await (const event of readSseData(response.data)) {
+        if (event.token && !event.token.special) {
+            yield event.token.text;
+        }
+    }
+}
+
+// Image classification answers [{ label, score }], sometimes nested one level
+function parseClassification(data) {
+    const labels = Array.isArray(data) && Array.isArray(data[0]) ? data[0] : data;
+    if (!Array.isArray(labels) || !labels.every(item => item && typeof item.label === 'string' && typeof item.score === 'number')) {
+        throw new Error(`Unexpected image classification response: ${JSON.stringify(data).slice(0, 200)}`);
+    }
+    return labels.map(item => ({ label: item.label, score: item.score }));
+}
+
+// The image goes up as the raw request body, typed by its mime type
+async function classifyImage(model, request) {
+    const response = await axios.post(getEndpoint(model), request.image, {
+        headers: { ...getHeaders(request.apiKey), 'Content-Type': request.mimeType },
+        timeout: request.timeout,
+        signal: request.signal
+    });
+
+    return parseClassification(response.data);
+}
+
+module.exports = {
+    name: 'huggingface',
+    defaultApiKeyEnv: 'HUGGINGFACE_API_KEY',
+    requiresApiKey: true,
+    parseGeneratedText,
+    generate,
+    stream,
+    classifyImage
+};
@@ -0,0 +1,44 @@
+// Inference providers. Each one exposes:
+//   generate(model, request)  -> Promise<string> raw generated text
+//   stream(model, request)    -> async iterable of text chunks
+// where model is a MODELS entry ({ name, provider, baseUrl, apiKeyEnv, model })
+// and request is { prompt, messages, parameters, apiKey, timeout, signal, onUsage }.
+// Providers whose upstream counts tokens pass them to
+// request.onUsage({ input_tokens, output_tokens }) when it is set.
+// Providers that can classify images also expose:
+//   classifyImage(model, request) -> Promise<[{ label, score }]>
+// with request { image: Buffer, mimeType, apiKey, timeout, signal }.
+const huggingface = require('./huggingface');
+const openai = require('./openai');
+const stub = require('./stub');
+
+const PROVIDERS = {
+    huggingface,
+    openai,
+    stub
+};
+
+function getProvider(model) {
+    const provider = PROVIDERS[model.provider || 'huggingface'];
+    if (!provider) {
+        throw new Error(`Unknown provider "${model.provider}" for model ${model.name}`);
+    }
+    return provider;
+}
+
+// Credentials come from the env var the model entry names, or the provider default
+function getApiKey(model) {
+    const envName = model.apiKeyEnv || getProvider(model).defaultApiKeyEnv;
+    return envName ? process.env[envName] : undefined;
+}
+
+function hasCredentials(model) {
+    return !getProvider(model).requiresApiKey || Boolean(getApiKey(model));
+}
+
+module.exports = {
+    PROVIDERS,
+    getProvider,
+    getApiKey,
+    hasCredentials
+};
@@ -0,0 +1,89 @@
+const axios = require('axios');
+const { readSseData } = require('./sse');
+
+// OpenAI-compatible /v1/chat/completions servers (vLLM, llama.cpp server, Ollama).
+// These apply their own chat template, so they get the structured messages
+// instead of the prompt string formatPrompt builds.
+const DEFAULT_BASE_URL = 'http://localhost:8000/v1';
+
+function getEndpoint(model) {
+    const baseUrl = model.baseUrl || DEFAULT_BASE_URL;
+    return `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+}
+
+function getHeaders(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    return headers;
+}
+
+// Map Hugging Face style generation parameters onto the chat completions API
+function buildBody(model, request) {
+    const parameters = request.parameters || {};
+    const body = {
+        model: model.model || model.name,
+        messages: request.messages
+    };
+
+    if (parameters.max_new_tokens !== undefined) body.max_tokens = parameters.max_new_tokens;
+    if (parameters.temperature !== undefined) body.temperature = parameters.temperature;
+    if (parameters.do_sample === false) body.temperature = 0; // greedy decoding
+    if (parameters.top_p !== undefined) body.top_p = parameters.top_p;
+    if (parameters.stop !== undefined) body.stop = parameters.stop;
+
+    return body;
+}
+
+// Pass the server's token counts on, when it sent them
+function reportUsage(request, usage) {
+    if (usage && request.onUsage) {
+        request.onUsage({ input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens });
+    }
+}
+
+async function generate(model, request) {
+    const response = await axios.post(
+        getEndpoint(model),
+        buildBody(model, request),
+        {
+            headers: getHeaders(request.apiKey),
+            timeout: request.timeout,
+            signal: request.signal
+        }
+    );
+
+    reportUsage(request, response.data && response.data.usage);
+    const choice = response.data && response.data.choices && response.data.choices[0];
+    return (choice && choice.message && choice.message.content) || '';
+}
+
+async function* stream(model, request) {
+    const response = await axios.post(
+        getEndpoint(model),
+        { ...buildBody(model, request), stream: true },
+        {
+            headers: getHeaders(request.apiKey),
+            responseType: 'stream',
+            timeout: request.timeout,
+            signal: request.signal
+        }
+    );
+
+    for await (const event of readSseData(response.data)) {
+        reportUsage(request, event.usage);
+        const choice = event.choices && event.choices[0];
+        if (choice && choice.delta && choice.delta.content) {
+            yield choice.delta.content;
+        }
+    }
+}
+
+module.exports = {
+    name: 'openai',
+    defaultApiKeyEnv: null,
+    requiresApiKey: false,
+    generate,
+    stream
+};
@@ -0,0 +1,36 @@
+// Minimal Server-Sent Events reader for streamed upstream responses.
+// Yields the parsed JSON payload of every "data:" line; stops at "[DONE]".
+async function* readSseData(stream) {
+    let buffer = '';
+
+    for await (const chunk of stream) {
+        buffer += chunk.toString('utf8');
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+
+            const payload = line.slice(5).trim();
+            if (!payload) continue;
+            if (payload === '[DONE]') return;
+
+            yield JSON.parse(payload);
+        }
+    }
+}
+
+// Collect a whole response stream into a string
+async function readStreamText(stream) {
+    let text = '';
+    for await (const chunk of stream) {
+        text += chunk.toString('utf8');
+    }
+    return text;
+}
+
+module.exports = {
+    readSseData,
+    readStreamText
+};
@@ -0,0 +1,47 @@
+// Local stub provider: answers without any network access, for development
+// and for exercising the fallback chain offline. A model entry can set
+// "response" to control the text, "labels" to control image classifications,
+// or "fail" to an HTTP status to simulate errors.
+const DEFAULT_RESPONSE = 'Daily sunscreen with SPF 30 or higher helps protect your skin from UV damage. If you notice any unusual changes, please see a dermatologist.';
+
+const DEFAULT_LABELS = [
+    { label: 'benign keratosis-like lesions', score: 0.62 },
+    { label: 'melanocytic nevi', score: 0.27 },
+    { label: 'dermatofibroma', score: 0.06 }
+];
+
+function simulateFailure(model) {
+    if (!model.fail) return;
+
+    const error = new Error(`Stub model ${model.name} failed with status ${model.fail}`);
+    error.response = { status: model.fail, data: { error: 'Simulated failure' } };
+    throw error;
+}
+
+async function generate(model) {
+    simulateFailure(model);
+    return model.response || DEFAULT_RESPONSE;
+}
+
+async function* stream(model) {
+    simulateFailure(model);
+
+    const text = model.response || DEFAULT_RESPONSE;
+    for (const word of text.match(/\S+\s*/g) || []) {
+        yield word;
+    }
+}
+
+async function classifyImage(model) {
+    simulateFailure(model);
+    return model.labels || DEFAULT_LABELS;
+}
+
+module.exports = {
+    name: 'stub',
+    defaultApiKeyEnv: null,
+    requiresApiKey: false,
+    generate,
+    stream,
+    classifyImage
+};
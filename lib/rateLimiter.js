@@ -0,0 +1,154 @@
+// Sliding-window rate limiting with pluggable counter stores.
+//
+// Each client gets a counter per fixed window; the effective count is the
+// current window plus the previous window weighted by how much of it still
+// overlaps the sliding window. That needs only INCR and an expiry, so the same
+// logic runs on the in-memory store and on Redis.
+//
+// A store implements:
+//   increment(key, ttlMs) -> Promise<number>  new value; the key expires after ttlMs
+//   get(key)              -> Promise<number>  current value, 0 when missing
+// and optionally close() to stop its background work.
+
+const { logger } = require('./logger');
+
+class MemoryRateLimitStore {
+    constructor(now = Date.now) {
+        this.now = now;
+        this.counters = new Map();
+
+        // Drop expired counters so one-off clients don't accumulate
+        this.sweepTimer = setInterval(() => this.prune(), 60000);
+        this.sweepTimer.unref();
+    }
+
+    async increment(key, ttlMs) {
+        const now = this.now();
+        const counter = this.counters.get(key);
+
+        if (!counter || now >= counter.expiresAt) {
+            this.counters.set(key, { value: 1, expiresAt: now + ttlMs });
+            return 1;
+        }
+
+        counter.value++;
+        return counter.value;
+    }
+
+    async get(key) {
+        const counter = this.counters.get(key);
+        if (!counter || this.now() >= counter.expiresAt) return 0;
+        return counter.value;
+    }
+
+    prune() {
+        const now = this.now();
+        for (const [key, counter] of this.counters) {
+            if (now >= counter.expiresAt) {
+                this.counters.delete(key);
+            }
+        }
+    }
+
+    close() {
+        clearInterval(this.sweepTimer);
+    }
+}
+
+// Works with any client exposing incr/get and pexpire (ioredis) or pExpire
+// (node-redis v4), so tests can pass a small fake instead of a real server.
+class RedisRateLimitStore {
+    constructor(client, prefix = 'dermi:rl:') {
+        this.client = client;
+        this.prefix = prefix;
+    }
+
+    async increment(key, ttlMs) {
+        const fullKey = this.prefix + key;
+        const value = Number(await this.client.incr(fullKey));
+
+        // First hit in this window sets the expiry
+        if (value === 1) {
+            const pexpire = this.client.pexpire || this.client.pExpire;
+            await pexpire.call(this.client, fullKey, ttlMs);
+        }
+        return value;
+    }
+
+    async get(key) {
+        const value = await this.client.get(this.prefix + key);
+        return Number(value) || 0;
+    }
+}
+
+// Counters kept by the cluster primary, for workers without Redis. channel is
+// a ClusterChannel (see lib/cluster.js).
+class ClusterRateLimitStore {
+    constructor(channel) {
+        this.channel = channel;
+    }
+
+    increment(key, ttlMs) {
+        return this.channel.request('rate-limit', { op: 'increment', key, ttlMs });
+    }
+
+    get(key) {
+        return this.channel.request('rate-limit', { op: 'get', key });
+    }
+}
+
+// Express middleware.
+//   name           separates budgets that share a store ('api', 'admin', ...)
+//   resolvePolicy  req -> { limit, windowMs, tier }
+//   keyGenerator   req -> client identity
+//   onReject       optional (req, policy) hook, e.g. for metrics
+//   rejectBody     req -> 429 response body
+function createRateLimiter({ store, name, resolvePolicy, keyGenerator, onReject, now = Date.now, rejectBody }) {
+    return async function rateLimiter(req, res, next) {
+        const policy = resolvePolicy(req);
+        const clientKey = keyGenerator(req);
+        const { limit, windowMs } = policy;
+
+        const currentTime = now();
+        const windowIndex = Math.floor(currentTime / windowMs);
+        const elapsed = currentTime - windowIndex * windowMs;
+        const baseKey = `${name}:${clientKey}`;
+
+        let count;
+        try {
+            // Keep each window around long enough to serve as the "previous" one
+            const current = await store.increment(`${baseKey}:${windowIndex}`, windowMs * 2);
+            const previous = await store.get(`${baseKey}:${windowIndex - 1}`);
+            count = current + Math.floor(previous * ((windowMs - elapsed) / windowMs));
+        } catch (error) {
+            // A broken store shouldn't take the API down with it
+            logger.error('Rate limit store error', { limiter: name, error });
+            return next();
+        }
+
+        const resetSeconds = Math.ceil((windowMs - elapsed) / 1000);
+
+        res.set({
+            'RateLimit-Limit': String(limit),
+            'RateLimit-Remaining': String(Math.max(0, limit - count)),
+            'RateLimit-Reset': String(resetSeconds),
+            'RateLimit-Policy': `${limit};w=${Math.round(windowMs / 1000)}`
+        });
+
+        if (count > limit) {
+            if (onReject) onReject(req, policy);
+
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json(rejectBody(req));
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    MemoryRateLimitStore,
+    RedisRateLimitStore,
+    ClusterRateLimitStore,
+    createRateLimiter
+};
@@ -0,0 +1,98 @@
+// Single-flight service recovery.
+//
+// Every request and timer that wants a model checked goes through here, so a
+// model is never probed by more than one caller at a time and concurrent
+// sweeps share the same run instead of stacking up.
+
+const { logger } = require('./logger');
+
+class RecoveryCoordinator {
+    // getModels() -> models to consider
+    // getBreaker(model) -> that model's CircuitBreaker
+    // probe(model) -> Promise that resolves when the model answered
+    constructor({ getModels, getBreaker, probe, interval = 5000, now = Date.now }) {
+        this.getModels = getModels;
+        this.getBreaker = getBreaker;
+        this.probe = probe;
+        this.interval = interval;
+        this.now = now;
+
+        this.inFlight = new Map();  // model name -> probe promise
+        this.currentSweep = null;
+        this.timer = null;
+    }
+
+    // Probe one model; callers asking while a probe runs get the same promise
+    probeModel(model) {
+        if (this.inFlight.has(model.name)) {
+            return this.inFlight.get(model.name);
+        }
+
+        const breaker = this.getBreaker(model);
+        const startedAt = this.now();
+
+        const run = Promise.resolve()
+            .then(() => this.probe(model))
+            .then(() => {
+                breaker.recordProbe(true, this.now() - startedAt);
+                return true;
+            }, (error) => {
+                logger.info('Model probe failed', { model: model.name, error: error.message });
+                breaker.recordProbe(false, this.now() - startedAt, error);
+                return false;
+            })
+            .finally(() => this.inFlight.delete(model.name));
+
+        this.inFlight.set(model.name, run);
+        return run;
+    }
+
+    // Probe the half-open models whose cooldown has passed
+    probeDueModels() {
+        return Promise.all(this.getModels()
+            .filter(model => this.getBreaker(model).isProbeDue())
+            .map(model => this.probeModel(model)));
+    }
+
+    // Probe every model now, whatever its breaker state. Resolves to
+    // { [modelName]: healthy } and is shared by concurrent callers.
+    sweep() {
+        if (this.currentSweep) {
+            return this.currentSweep;
+        }
+
+        const models = this.getModels();
+        this.currentSweep = Promise.all(models.map(model => this.probeModel(model)))
+            .then(results => {
+                const health = {};
+                models.forEach((model, i) => {
+                    health[model.name] = results[i];
+                });
+                return health;
+            })
+            .finally(() => {
+                this.currentSweep = null;
+            });
+
+        return this.currentSweep;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.probeDueModels(), this.interval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    isProbing(model) {
+        return this.inFlight.has(model.name);
+    }
+}
+
+module.exports = {
+    RecoveryCoordinator
+};
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Cache of model answers to standalone questions, keyed on the normalized
+// question, the language and the model that answered.
+//
+// Entries are fresh for `ttl`. After that they are stale but kept until
+// `staleTtl`: a stale entry is served right away while a background refresh
+// replaces it, and it is the last resort when every model is failing.
+//
+// A store implements:
+//   get(key)               -> Promise<entry|null>
+//   set(key, entry, ttlMs) -> Promise; the entry may be dropped after ttlMs
+//   delete(key)            -> Promise
+// and may expose `size`.
+
+const DEFAULT_TTL = 6 * 60 * 60 * 1000; // 6 hours
+const DEFAULT_STALE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// "Is sunscreen necessary, every day?" and "is sunscreen necessary every day" share an entry
+function normalizeQuestion(text) {
+    return String(text)
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[\p{P}\p{S}]+/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Least recently used entries are evicted once maxEntries is reached
+class MemoryCacheStore {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.now = options.now || Date.now;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const item = this.entries.get(key);
+        if (!item) return null;
+
+        if (this.now() >= item.expiresAt) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        // Map keeps insertion order, so re-inserting marks the entry as recently used
+        this.entries.delete(key);
+        this.entries.set(key, item);
+        return item.entry;
+    }
+
+    async set(key, entry, ttlMs) {
+        this.entries.delete(key);
+        this.entries.set(key, { entry, expiresAt: this.now() + ttlMs });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+// Entries are stored as JSON with an expiry; eviction is left to Redis' maxmemory policy
+class RedisCacheStore {
+    constructor(client, prefix = 'dermi:cache:') {
+        this.client = client;
+        this.prefix = prefix;
+    }
+
+    async get(key) {
+        const value = await this.client.get(this.prefix + key);
+        return value ? JSON.parse(value) : null;
+    }
+
+    async set(key, entry, ttlMs) {
+        await this.client.set(this.prefix + key, JSON.stringify(entry), 'PX', ttlMs);
+    }
+
+    async delete(key) {
+        await this.client.del(this.prefix + key);
+    }
+}
+
+class ResponseCache {
+    constructor(options = {}) {
+        this.store = options.store || new MemoryCacheStore(options);
+        this.ttl = options.ttl || DEFAULT_TTL;
+        this.staleTtl = Math.max(options.staleTtl || DEFAULT_STALE_TTL, this.ttl);
+        this.now = options.now || Date.now;
+        this.refreshing = new Map();
+        this.stats = { hits: 0, stale_hits: 0, stale_fallbacks: 0, misses: 0, errors: 0 };
+    }
+
+    key(question, language, modelName) {
+        return crypto.createHash('sha256')
+            .update(`${language}\n${modelName}\n${normalizeQuestion(question)}`)
+            .digest('hex');
+    }
+
+    // Returns { result, fresh } or null. A broken store counts as a miss.
+    async get(question, language, modelName) {
+        let entry;
+        try {
+            entry = await this.store.get(this.key(question, language, modelName));
+        } catch (error) {
+            this.stats.errors++;
+            logger.error('Response cache read failed', { error });
+            return null;
+        }
+
+        if (!entry || this.now() - entry.storedAt >= this.staleTtl) return null;
+        return { result: entry.result, fresh: this.now() - entry.storedAt < this.ttl };
+    }
+
+    async set(question, language, modelName, result) {
+        try {
+            await this.store.set(
+                this.key(question, language, modelName),
+                { result, storedAt: this.now() },
+                this.staleTtl
+            );
+        } catch (error) {
+            this.stats.errors++;
+            logger.error('Response cache write failed', { error });
+        }
+    }
+
+    // Most recent usable entry from any of the given models, fresh or stale
+    async getAny(question, language, modelNames) {
+        for (const modelName of modelNames) {
+            const cached = await this.get(question, language, modelName);
+            if (cached) return cached;
+        }
+        return null;
+    }
+
+    // Runs refresh() once per key at a time, in the background; failures are only logged
+    revalidate(question, language, modelName, refresh) {
+        const key = this.key(question, language, modelName);
+        if (this.refreshing.has(key)) return;
+
+        const refreshing = Promise.resolve()
+            .then(refresh)
+            .catch(error => logger.warn('Background cache refresh failed', { error: error.message }))
+            .finally(() => this.refreshing.delete(key));
+        this.refreshing.set(key, refreshing);
+    }
+
+    // outcome: 'hit', 'stale', 'miss' or 'stale_fallback' (served because every model failed)
+    record(outcome) {
+        if (outcome === 'hit') this.stats.hits++;
+        else if (outcome === 'stale') this.stats.stale_hits++;
+        else if (outcome === 'miss') this.stats.misses++;
+        else if (outcome === 'stale_fallback') this.stats.stale_fallbacks++;
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.stale_hits + this.stats.misses;
+        return {
+            ...this.stats,
+            hit_rate: lookups ? (this.stats.hits + this.stats.stale_hits) / lookups : null,
+            entries: typeof this.store.size === 'number' ? this.store.size : null,
+            ttl_ms: this.ttl,
+            stale_ttl_ms: this.staleTtl
+        };
+    }
+}
+
+module.exports = {
+    ResponseCache,
+    MemoryCacheStore,
+    RedisCacheStore,
+    normalizeQuestion
+};
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Settings admins change at runtime, on top of the model registry and
+// config/rateLimits.json, so taking a broken model out of rotation or raising
+// a tier's limit doesn't need a redeploy:
+//
+//   models:     { [name]: { disabled, parameters } }  generation parameters win over the registry's
+//   pinned:     model tried first by every request, or null
+//   rateLimits: { tiers: { [tier]: policy }, clients: { [id]: policy }, admin: policy, batch: policy }
+//
+// The overrides are saved to a JSON file so they survive restarts; each
+// instance keeps its own, and cluster workers share their primary's (see
+// ClusterRuntimeControls). Every change is appended to an audit log (JSON
+// lines) with its time, the admin who made it and the values before and after.
+
+const RATE_LIMIT_SECTIONS = ['tiers', 'clients', 'admin', 'batch'];
+
+// Generation parameters that may be changed, by value type
+const PARAMETER_TYPES = {
+    max_new_tokens: 'integer',
+    top_k: 'integer',
+    temperature: 'number',
+    top_p: 'number',
+    repetition_penalty: 'number',
+    do_sample: 'boolean'
+};
+
+// Error message for an invalid parameter override, or null
+function validateParameters(parameters) {
+    if (parameters === null) return null;
+    if (typeof parameters !== 'object' || Array.isArray(parameters)) {
+        return 'parameters must be an object, or null to clear the overrides';
+    }
+    for (const [name, value] of Object.entries(parameters)) {
+        const type = PARAMETER_TYPES[name];
+        if (!type) {
+            return `parameters.${name} can't be changed; allowed: ${Object.keys(PARAMETER_TYPES).join(', ')}`;
+        }
+        const valid = type === 'boolean' ? typeof value === 'boolean'
+            : type === 'integer' ? Number.isInteger(value) && value > 0
+                : Number.isFinite(value) && value >= 0;
+        if (!valid) {
+            return `parameters.${name} must be a ${type === 'boolean' ? 'boolean' : `non-negative ${type}`}`;
+        }
+    }
+    return null;
+}
+
+// Error message for an invalid rate limit policy, or null
+function validateRateLimit(policy) {
+    if (policy === null) return null;
+    if (!policy || typeof policy !== 'object') {
+        return 'policy must be { limit, windowMs }, or null to clear the override';
+    }
+    for (const field of ['limit', 'windowMs']) {
+        if (!(Number.isInteger(policy[field]) && policy[field] > 0)) {
+            return `${field} must be a positive integer`;
+        }
+    }
+    return null;
+}
+
+class RuntimeControls {
+    // options: { auditLogPath, now }
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.auditLogPath = options.auditLogPath || null;
+        this.now = options.now || Date.now;
+        this.models = {};
+        this.pinned = null;
+        this.rateLimits = {};
+        this.load();
+    }
+
+    load() {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw new Error(`Could not read runtime controls ${this.filePath}: ${error.message}`);
+        }
+
+        this.models = data.models || {};
+        this.pinned = data.pinned || null;
+        this.rateLimits = data.rateLimits || {};
+    }
+
+    // Changes are rare, so each one is written straight away; the file is replaced atomically
+    async persist() {
+        const data = JSON.stringify({ models: this.models, pinned: this.pinned, rateLimits: this.rateLimits }, null, 2);
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, data, { mode: 0o600 });
+        await fs.promises.rename(tmpPath, this.filePath);
+    }
+
+    // One audit entry per change, written before the change is reported back
+    async audit(actor, action, details) {
+        const entry = { at: new Date(this.now()).toISOString(), actor: actor, action: action, ...details };
+        logger.info('Admin change', entry);
+        if (!this.auditLogPath) return entry;
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.auditLogPath), { recursive: true });
+            await fs.promises.appendFile(this.auditLogPath, JSON.stringify(entry) + '\n', { mode: 0o600 });
+        } catch (error) {
+            logger.error('Failed to write admin audit log', { path: this.auditLogPath, error });
+        }
+        return entry;
+    }
+
+    // The most recent audit entries, newest first
+    async readAudit(limit = 100) {
+        if (!this.auditLogPath) return [];
+
+        let text;
+        try {
+            text = await fs.promises.readFile(this.auditLogPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        return text.split('\n').filter(Boolean).slice(-limit).reverse().map(line => JSON.parse(line));
+    }
+
+    isDisabled(modelName) {
+        return Boolean(this.models[modelName] && this.models[modelName].disabled);
+    }
+
+    getParameters(modelName) {
+        return (this.models[modelName] && this.models[modelName].parameters) || {};
+    }
+
+    // Drops empty entries so the file only holds real overrides
+    updateModel(modelName, changes) {
+        const current = { ...this.models[modelName], ...changes };
+        for (const [key, value] of Object.entries(current)) {
+            if (!value) delete current[key];
+        }
+        if (Object.keys(current).length) this.models[modelName] = current;
+        else delete this.models[modelName];
+    }
+
+    async setEnabled(modelName, enabled, actor) {
+        const before = !this.isDisabled(modelName);
+        this.updateModel(modelName, { disabled: !enabled });
+        await this.persist();
+        return this.audit(actor, enabled ? 'model.enable' : 'model.disable', { model: modelName, before: before, after: enabled });
+    }
+
+    // null unpins
+    async setPinned(modelName, actor) {
+        const before = this.pinned;
+        this.pinned = modelName;
+        await this.persist();
+        return this.audit(actor, modelName ? 'model.pin' : 'model.unpin', { model: modelName || before, before: before, after: modelName });
+    }
+
+    // Merged into the current overrides; null clears them all
+    async setParameters(modelName, parameters, actor) {
+        const before = this.getParameters(modelName);
+        const merged = { ...before, ...parameters };
+        const after = parameters === null || !Object.keys(merged).length ? null : merged;
+        this.updateModel(modelName, { parameters: after });
+        await this.persist();
+        return this.audit(actor, 'model.parameters', { model: modelName, before: before, after: this.getParameters(modelName) });
+    }
+
+    // Override for a section ("admin", "batch") or a named policy in it
+    // ("tiers", "clients"), or null when there is none
+    getRateLimit(section, name) {
+        const overrides = this.rateLimits[section];
+        if (!overrides) return null;
+        return name === undefined ? overrides : overrides[name] || null;
+    }
+
+    // null clears the override
+    async setRateLimit(section, name, policy, actor) {
+        const before = this.getRateLimit(section, name);
+        const value = policy && { limit: policy.limit, windowMs: policy.windowMs };
+
+        if (name === undefined) {
+            if (value) this.rateLimits[section] = value;
+            else delete this.rateLimits[section];
+        } else {
+            const overrides = { ...this.rateLimits[section] };
+            if (value) overrides[name] = value;
+            else delete overrides[name];
+            if (Object.keys(overrides).length) this.rateLimits[section] = overrides;
+            else delete this.rateLimits[section];
+        }
+
+        await this.persist();
+        return this.audit(actor, 'rate_limit', { section: section, name: name || null, before: before, after: value || null });
+    }
+
+    getOverrides() {
+        return { models: this.models, pinned: this.pinned, rateLimits: this.rateLimits };
+    }
+
+    // Replace every override, with what getOverrides() returned elsewhere
+    setOverrides({ models = {}, pinned = null, rateLimits = {} }) {
+        this.models = models;
+        this.pinned = pinned;
+        this.rateLimits = rateLimits;
+    }
+}
+
+// Runtime controls of a cluster worker. Changes are made by the primary, which
+// saves them, writes the audit log and sends the new overrides to every
+// worker; reads stay local. The file is only read at start, and only the
+// primary writes it. channel is a ClusterChannel (see lib/cluster.js).
+class ClusterRuntimeControls extends RuntimeControls {
+    constructor(channel, filePath) {
+        super(filePath);
+        this.channel = channel;
+        channel.on('runtime-controls', overrides => this.setOverrides(overrides));
+    }
+
+    async change(method, args) {
+        const { result, overrides } = await this.channel.request('runtime-controls', { method, args });
+        this.setOverrides(overrides);
+        return result;
+    }
+
+    audit(actor, action, details) {
+        return this.change('audit', [actor, action, details]);
+    }
+
+    readAudit(limit) {
+        return this.change('readAudit', [limit]);
+    }
+
+    setEnabled(modelName, enabled, actor) {
+        return this.change('setEnabled', [modelName, enabled, actor]);
+    }
+
+    setPinned(modelName, actor) {
+        return this.change('setPinned', [modelName, actor]);
+    }
+
+    setParameters(modelName, parameters, actor) {
+        return this.change('setParameters', [modelName, parameters, actor]);
+    }
+
+    setRateLimit(section, name, policy, actor) {
+        return this.change('setRateLimit', [section, name, policy, actor]);
+    }
+}
+
+module.exports = {
+    RuntimeControls,
+    ClusterRuntimeControls,
+    RATE_LIMIT_SECTIONS,
+    PARAMETER_TYPES,
+    validateParameters,
+    validateRateLimit
+};
@@ -0,0 +1,66 @@
+const path = require('path');
+const { RuntimeControls, ClusterRuntimeControls } = require('./runtimeControls');
+const { FileUsageStore, ClusterUsageStore } = require('./usage');
+const { FileClientStore, ClusterClientStore } = require('./clientStore');
+const { FileFeedbackStore, ClusterFeedbackStore } = require('./feedbackStore');
+
+// The file-backed stores, at the paths the environment names:
+//
+//   runtimeControls  admin overrides (RUNTIME_CONTROLS_PATH), audited to ADMIN_AUDIT_LOG_PATH
+//   usageStore       upstream calls, tokens and cost (USAGE_STORE_PATH)
+//   clientStore      issued client keys and their usage (CLIENT_STORE_PATH)
+//   feedbackStore    answers and their ratings (FEEDBACK_STORE_PATH, FEEDBACK_RETENTION_DAYS)
+//
+// One process owns the files. In cluster mode that is the primary, and the
+// workers get stand-ins that send every call to it (createClusterStores).
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+function getRuntimeControlsPath() {
+    return process.env.RUNTIME_CONTROLS_PATH || path.join(DATA_DIR, 'runtime.json');
+}
+
+// options: { now }
+function createFileStores(options = {}) {
+    const now = options.now || Date.now;
+
+    return {
+        runtimeControls: new RuntimeControls(getRuntimeControlsPath(), {
+            auditLogPath: process.env.ADMIN_AUDIT_LOG_PATH || path.join(DATA_DIR, 'audit.jsonl'),
+            now: now
+        }),
+        usageStore: new FileUsageStore(process.env.USAGE_STORE_PATH || path.join(DATA_DIR, 'usage.json'), { now: now }),
+        clientStore: new FileClientStore(process.env.CLIENT_STORE_PATH || path.join(DATA_DIR, 'clients.json')),
+        feedbackStore: new FileFeedbackStore(process.env.FEEDBACK_STORE_PATH || path.join(DATA_DIR, 'feedback.json'), {
+            retention: (parseInt(process.env.FEEDBACK_RETENTION_DAYS, 10) * 24 * 60 * 60 * 1000) || undefined,
+            now: now
+        })
+    };
+}
+
+// The same stores for a cluster worker; channel is its ClusterChannel
+function createClusterStores(channel) {
+    return {
+        runtimeControls: new ClusterRuntimeControls(channel, getRuntimeControlsPath()),
+        usageStore: new ClusterUsageStore(channel),
+        clientStore: new ClusterClientStore(channel),
+        feedbackStore: new ClusterFeedbackStore(channel)
+    };
+}
+
+// What workers may call on the primary's stores, by the name in their requests
+const SHARED_STORES = {
+    usage: { store: 'usageStore', methods: ['add', 'list'] },
+    clients: { store: 'clientStore', methods: ['findByKey', 'recordUsage', 'getUsage', 'list', 'issue', 'revoke'] },
+    feedback: { store: 'feedbackStore', methods: ['recordResponse', 'getResponse', 'rate', 'list'] }
+};
+
+// Runtime control methods workers have the primary run
+const RUNTIME_CONTROL_CHANGES = ['audit', 'readAudit', 'setEnabled', 'setPinned', 'setParameters', 'setRateLimit'];
+
+module.exports = {
+    createFileStores,
+    createClusterStores,
+    SHARED_STORES,
+    RUNTIME_CONTROL_CHANGES
+};
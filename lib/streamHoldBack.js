@@ -0,0 +1,251 @@
+// What a streamed answer has to hold back. Streamed text is cleaned as it
+// arrives, but a prompt artifact can arrive split across tokens, so any part
+// of the cleaned text the cleanup could still remove once more of it arrives
+// stays back until it can't. Each model's hold-back comes from its registry
+// entry (see config/models.json):
+//
+//   markers     a tail that could still grow into one of the model's stop
+//               sequences, a turn marker of its template ("Human:", "[INST]")
+//               or a literal its cleanup rules remove ("<s>", an echoed
+//               instruction)
+//   lineStarts  a line that could still grow into one a cleanup rule
+//               anchored with "^" removes ("Q:", "Dermi:")
+//   blocks      an opening a cleanup rule removes together with everything up
+//               to its closing ("[INST] ... [/INST]"), while the closing is
+//               still missing
+
+const TEMPLATE_TURN_FIELDS = ['prefix', 'user', 'assistant', 'suffix'];
+const LITERAL_ESCAPES = { n: '\n', r: '\r', t: '\t' };
+const SPECIAL = '\\^$.|?*+()[]{}';
+
+// Most spellings one literal run of a cleanup regex expands to ("<\/?s>" has two)
+const MAX_SPELLINGS = 16;
+
+// Index just past the bracket that closes the one at `start`
+function skipGroup(source, start, open, close) {
+    let depth = 0;
+    for (let i = start; i < source.length; i++) {
+        if (source[i] === '\\') {
+            i++;
+        } else if (source[i] === open) {
+            depth++;
+        } else if (source[i] === close && --depth === 0) {
+            return i + 1;
+        }
+    }
+    return source.length;
+}
+
+// The pattern as tokens: { texts } for literal text (a group of plain
+// alternatives has several), { start } for "^", { any, wildcard } for "." and
+// ".*", and {} for anything else
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (char === '\\') {
+            const next = source[i + 1];
+            if (LITERAL_ESCAPES[next]) tokens.push({ texts: [LITERAL_ESCAPES[next]] });
+            else if (/[A-Za-z0-9]/.test(next)) tokens.push({});
+            else tokens.push({ texts: [next] });
+            i += 2;
+        } else if (char === '(') {
+            const end = skipGroup(source, i, '(', ')');
+            const body = source.slice(i + 1, end - 1).replace(/^\?:/, '');
+            const plain = body.split('|').every(text => text && [...text].every(c => !SPECIAL.includes(c)));
+            tokens.push(plain ? { texts: body.split('|') } : {});
+            i = end;
+        } else if (char === '[') {
+            tokens.push({});
+            i = skipGroup(source, i, '[', ']');
+        } else if ('?*+{'.includes(char)) {
+            const end = char === '{' ? source.indexOf('}', i) + 1 || source.length : i + 1;
+            const optional = char === '?' || char === '*' || /^\{0\b/.test(source.slice(i, end));
+            const previous = tokens[tokens.length - 1];
+            if (previous && !previous.quantified) {
+                previous.quantified = true;
+                if (previous.any) {
+                    previous.wildcard = char !== '?';
+                } else if (previous.texts && char === '?') {
+                    previous.texts = previous.texts.concat('');
+                } else if (previous.texts && optional) {
+                    delete previous.texts;
+                } else if (previous.texts) {
+                    // One copy is certain, any more are not
+                    tokens.push({ quantified: true });
+                }
+            }
+            i = end;
+        } else if (char === '^') {
+            tokens.push({ start: true });
+            i++;
+        } else if (char === '.') {
+            tokens.push({ any: true });
+            i++;
+        } else if (char === '$' || char === '|') {
+            tokens.push({});
+            i++;
+        } else {
+            tokens.push({ texts: [char] });
+            i++;
+        }
+    }
+    return tokens;
+}
+
+// The runs of literal text a cleanup regex matches, in order:
+// { texts, anchor, afterWildcard } where anchor is 'text' or 'line' when the
+// run can only start there, and afterWildcard says only ".*" separates it from
+// the run before
+function literalRuns(source, flags = '') {
+    const runs = [];
+    let run = null;
+    let gap = [];
+
+    for (const token of tokenize(source)) {
+        if (!token.texts) {
+            run = null;
+            gap.push(token);
+            continue;
+        }
+
+        if (!run) {
+            const anchored = gap.length && gap[gap.length - 1].start;
+            run = {
+                texts: [''],
+                anchor: anchored ? (flags.includes('m') ? 'line' : 'text') : null,
+                afterWildcard: runs.length > 0 && gap.length > 0 && gap.every(item => item.wildcard)
+            };
+            runs.push(run);
+            gap = [];
+        }
+        const texts = [];
+        for (const text of run.texts) {
+            for (const next of token.texts) texts.push(text + next);
+        }
+        run.texts = texts.slice(0, MAX_SPELLINGS);
+    }
+
+    // A run that starts with a line break starts a line
+    for (const item of runs) {
+        if (item.texts.every(text => text.startsWith('\n'))) {
+            item.anchor = 'line';
+            item.texts = item.texts.map(text => text.replace(/^\n+/, ''));
+        }
+        item.texts = item.texts.filter(Boolean);
+    }
+    return runs.filter(item => item.texts.length);
+}
+
+// The literal text of a template's turn fields, around its placeholders
+function templateMarkers(template) {
+    const markers = [];
+    for (const field of TEMPLATE_TURN_FIELDS) {
+        if (!template || !template[field]) continue;
+        for (const piece of template[field].split(/\{\w+\}/)) {
+            if (piece.trim().length > 1) markers.push(piece.trim());
+        }
+    }
+    return markers;
+}
+
+// The hold-back of a resolved registry model: its stops, its template and its
+// compiled cleanup rules
+function buildHoldBack(model) {
+    const markers = model.stop.map(text => ({ text, ignoreCase: false }));
+    const lineStarts = [];
+    const blocks = [];
+
+    for (const text of templateMarkers(model.template)) {
+        markers.push({ text, ignoreCase: false });
+    }
+
+    for (const rule of model.cleanup) {
+        const ignoreCase = rule.flags.includes('i');
+        const runs = literalRuns(rule.source, rule.flags);
+
+        runs.forEach((run, i) => {
+            for (const text of run.texts) {
+                if (run.anchor) lineStarts.push({ text, ignoreCase, anchor: run.anchor });
+                else markers.push({ text, ignoreCase });
+            }
+            const next = runs[i + 1];
+            if (next && next.afterWildcard) {
+                for (const open of run.texts) {
+                    blocks.push({ open, close: next.texts[0], ignoreCase, anchor: run.anchor });
+                }
+            }
+        });
+    }
+
+    return { markers: unique(markers), lineStarts: unique(lineStarts), blocks: unique(blocks) };
+}
+
+// Stops, template and cleanup often name the same marker
+function unique(items) {
+    const seen = new Map(items.map(item => [JSON.stringify(item), item]));
+    return [...seen.values()];
+}
+
+function foldCase(text, ignoreCase) {
+    return ignoreCase ? text.toLowerCase() : text;
+}
+
+// Where the block opens in the text, honouring its anchor; -1 when it doesn't
+function findOpening(text, block) {
+    const haystack = foldCase(text, block.ignoreCase);
+    const open = foldCase(block.open, block.ignoreCase);
+    let index = haystack.indexOf(open);
+    while (index !== -1) {
+        const atLine = index === 0 || haystack[index - 1] === '\n';
+        if (!block.anchor || index === 0 || (block.anchor === 'line' && atLine)) return index;
+        index = haystack.indexOf(open, index + 1);
+    }
+    return -1;
+}
+
+// The part of the cleaned text that can be sent: what the hold-back of the
+// model leaves, with the request's own stop sequences held like the model's
+function getStableStreamText(cleaned, holdBack, stops = []) {
+    let stable = cleaned;
+
+    for (const block of holdBack.blocks) {
+        const index = findOpening(stable, block);
+        const closed = index !== -1 && foldCase(stable, block.ignoreCase)
+            .includes(foldCase(block.close, block.ignoreCase), index + block.open.length);
+        if (index !== -1 && !closed) stable = stable.slice(0, index);
+    }
+
+    const markers = holdBack.markers.concat(stops.map(text => ({ text, ignoreCase: false })));
+    for (const marker of markers) {
+        const tail = foldCase(stable, marker.ignoreCase);
+        const text = foldCase(marker.text, marker.ignoreCase);
+        for (let length = Math.min(text.length - 1, stable.length); length > 0; length--) {
+            // Markers that start with a word only start at the start of a word
+            const midWord = /\w/.test(text[0]) && /\w/.test(stable.charAt(stable.length - length - 1));
+            if (!midWord && tail.endsWith(text.slice(0, length))) {
+                stable = stable.slice(0, -length);
+                break;
+            }
+        }
+    }
+
+    for (const lineStart of holdBack.lineStarts) {
+        const start = lineStart.anchor === 'line' ? stable.lastIndexOf('\n') + 1 : 0;
+        const line = foldCase(stable.slice(start), lineStart.ignoreCase);
+        if (line && foldCase(lineStart.text, lineStart.ignoreCase).startsWith(line)) {
+            stable = stable.slice(0, start);
+        }
+    }
+
+    return stable;
+}
+
+module.exports = {
+    buildHoldBack,
+    getStableStreamText,
+    literalRuns
+};
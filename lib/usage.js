@@ -0,0 +1,373 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Upstream usage and cost accounting, with daily and monthly budgets.
+//
+// Every upstream call (answers, retries, probes, shadow copies) is counted per
+// UTC day, model and client: calls, retries, failures, input and output tokens
+// and their cost from the model's registry "cost" entry. Token counts come from
+// the upstream when it reports them and are estimated from the text otherwise;
+// "estimated_calls" says how many calls were estimated.
+//
+// A store implements:
+//   add(day, model, client, counters) -> Promise; counters are added to the row
+//   list({ from, to })                -> Promise<[row]> for days from..to (YYYY-MM-DD)
+// The default keeps the rows in a JSON file; a store with the same methods can
+// be plugged in instead.
+//
+// Budgets (config/budgets.json) cap the cost or call count per day and month.
+// Cost only adds up for models with a "cost" entry; the Hugging Face models in
+// config/models.json have none, as they aren't billed per call or token, so
+// with them only "calls" budgets take effect.
+// Each names what happens once it is used up: "cheap_models" routes to the
+// budget's "cheapModels" only, "cache_only" stops calling models and serves
+// cached answers. Running totals are kept in memory, starting from what the
+// store holds for the current month, so with several instances each one
+// enforces the budgets on its own calls unless they share a store. Cluster
+// workers share their primary's store (ClusterUsageStore) and pass each call's
+// counters to each other (onRecord, syncCounters).
+
+const DEFAULT_RETENTION_DAYS = 400;
+const PERSIST_DELAY = 1000;
+const CHARS_PER_TOKEN = 4;
+
+const COUNTERS = ['calls', 'retries', 'failures', 'input_tokens', 'output_tokens', 'estimated_calls', 'cost'];
+const BUDGET_ACTIONS = ['cheap_models', 'cache_only'];
+// Stronger actions win when several budgets are used up
+const MODES = ['normal', 'cheap_models', 'cache_only'];
+
+// Rough token count for text the upstream didn't count for us
+function estimateTokens(text) {
+    return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+function toDay(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+function createCounters() {
+    return Object.fromEntries(COUNTERS.map(name => [name, 0]));
+}
+
+function addCounters(target, counters) {
+    for (const name of COUNTERS) {
+        target[name] += counters[name] || 0;
+    }
+    // Float sums drift; nobody is billed in fractions of a micro-dollar
+    target.cost = Math.round(target.cost * 1e6) / 1e6;
+    return target;
+}
+
+// Cost of one call from a registry "cost" entry:
+// { perCall, per1kInputTokens, per1kOutputTokens }, all optional
+function getCallCost(cost, inputTokens, outputTokens) {
+    if (!cost) return 0;
+    return (cost.perCall || 0) +
+        (cost.per1kInputTokens || 0) * inputTokens / 1000 +
+        (cost.per1kOutputTokens || 0) * outputTokens / 1000;
+}
+
+// Human readable problems with a budget config; empty when it is usable
+function validateBudgets(config) {
+    const errors = [];
+    for (const period of ['daily', 'monthly']) {
+        const budget = config[period];
+        if (budget === undefined || budget === null) continue;
+        for (const field of ['cost', 'calls']) {
+            const value = budget[field];
+            if (value !== undefined && value !== null && !(Number.isFinite(value) && value >= 0)) {
+                errors.push(`${period}.${field} must be a non-negative number or null`);
+            }
+        }
+        if (!BUDGET_ACTIONS.includes(budget.action)) {
+            errors.push(`${period}.action must be one of: ${BUDGET_ACTIONS.join(', ')}`);
+        }
+    }
+    if (config.cheapModels !== undefined &&
+        !(Array.isArray(config.cheapModels) && config.cheapModels.every(name => typeof name === 'string'))) {
+        errors.push('cheapModels must be a list of model names');
+    }
+    if (config.warnAt !== undefined && !(Number.isFinite(config.warnAt) && config.warnAt > 0 && config.warnAt <= 1)) {
+        errors.push('warnAt must be a number in (0, 1]');
+    }
+    return errors;
+}
+
+class FileUsageStore {
+    // options: { retentionDays, now }
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.retentionDays = options.retentionDays || DEFAULT_RETENTION_DAYS;
+        this.now = options.now || Date.now;
+        this.rows = new Map(); // "day model client" -> row
+        this.persistTimer = null;
+        this.load();
+    }
+
+    load() {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw new Error(`Could not read usage store ${this.filePath}: ${error.message}`);
+        }
+
+        for (const row of data.rows || []) {
+            this.rows.set(`${row.day}\n${row.model}\n${row.client}`, row);
+        }
+        this.prune();
+    }
+
+    // Writes are batched; the file is replaced atomically
+    schedulePersist() {
+        if (this.persistTimer) return;
+
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            this.persist().catch(error => {
+                logger.error('Failed to save usage store', { path: this.filePath, error });
+            });
+        }, PERSIST_DELAY);
+        this.persistTimer.unref();
+    }
+
+    // Write a batched change now instead of waiting, e.g. before the process exits
+    async flush() {
+        if (!this.persistTimer) return;
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        await this.persist();
+    }
+
+    async persist() {
+        this.prune();
+        const data = JSON.stringify({ rows: [...this.rows.values()] });
+        // Per process, so cluster workers writing the same file at once don't collide
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, data, { mode: 0o600 });
+        await fs.promises.rename(tmpPath, this.filePath);
+    }
+
+    prune() {
+        const oldest = toDay(this.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+        for (const [key, row] of this.rows) {
+            if (row.day < oldest) this.rows.delete(key);
+        }
+    }
+
+    async add(day, model, client, counters) {
+        const key = `${day}\n${model}\n${client}`;
+        if (!this.rows.has(key)) {
+            this.rows.set(key, { day, model, client, ...createCounters() });
+        }
+        addCounters(this.rows.get(key), counters);
+        this.schedulePersist();
+    }
+
+    async list({ from = '0000-00-00', to = '9999-99-99' } = {}) {
+        return [...this.rows.values()].filter(row => row.day >= from && row.day <= to);
+    }
+}
+
+// The usage store of the cluster primary, for workers. channel is a
+// ClusterChannel (see lib/cluster.js).
+class ClusterUsageStore {
+    constructor(channel) {
+        this.channel = channel;
+    }
+
+    request(method, ...args) {
+        return this.channel.request('store', { store: 'usage', method, args });
+    }
+
+    add(day, model, client, counters) {
+        return this.request('add', day, model, client, counters);
+    }
+
+    list(range) {
+        return this.request('list', range);
+    }
+
+    // The primary writes the file
+    async flush() {}
+}
+
+class UsageMeter {
+    // budgets: the parsed config/budgets.json
+    // options: { now, onRecord(day, counters) for every call recorded here }
+    constructor(store, budgets = {}, options = {}) {
+        this.store = store;
+        this.budgets = budgets;
+        this.now = options.now || Date.now;
+        this.onRecord = options.onRecord || null;
+        this.day = null;
+        this.dayTotals = createCounters();
+        this.monthTotals = createCounters();
+        this.recordedWhileLoading = null;
+    }
+
+    // Running totals for today and this month from what the store already has.
+    // Calls counted while the store is read aren't in its rows, so they are
+    // added back on top instead of being lost.
+    async load() {
+        const today = toDay(this.now());
+        const recorded = [];
+        this.recordedWhileLoading = recorded;
+
+        let rows;
+        try {
+            rows = await this.store.list({ from: `${today.slice(0, 7)}-01`, to: today });
+        } finally {
+            this.recordedWhileLoading = null;
+        }
+
+        this.day = today;
+        this.dayTotals = createCounters();
+        this.monthTotals = createCounters();
+        for (const row of rows) {
+            addCounters(this.monthTotals, row);
+            if (row.day === today) addCounters(this.dayTotals, row);
+        }
+        for (const { day, counters } of recorded) {
+            this.syncCounters(day, counters);
+        }
+    }
+
+    // Totals start over at UTC midnight and on the first of the month
+    rollOver() {
+        const today = toDay(this.now());
+        if (today === this.day) return;
+        if (!this.day || today.slice(0, 7) !== this.day.slice(0, 7)) {
+            this.monthTotals = createCounters();
+        }
+        this.dayTotals = createCounters();
+        this.day = today;
+    }
+
+    // call: { model, client, ok, retry, input_tokens, output_tokens, estimated, cost }
+    record(call) {
+        this.rollOver();
+        const counters = {
+            calls: 1,
+            retries: call.retry ? 1 : 0,
+            failures: call.ok ? 0 : 1,
+            input_tokens: call.input_tokens || 0,
+            output_tokens: call.output_tokens || 0,
+            estimated_calls: call.estimated ? 1 : 0,
+            cost: call.cost || 0
+        };
+        addCounters(this.dayTotals, counters);
+        addCounters(this.monthTotals, counters);
+        if (this.recordedWhileLoading) this.recordedWhileLoading.push({ day: this.day, counters });
+        this.store.add(this.day, call.model, call.client, counters)
+            .catch(error => logger.error('Failed to record upstream usage', { error }));
+        if (this.onRecord) this.onRecord(this.day, counters);
+    }
+
+    // Counters of a call another process recorded on `day`
+    syncCounters(day, counters) {
+        this.rollOver();
+        if (this.recordedWhileLoading) this.recordedWhileLoading.push({ day, counters });
+        if (day === this.day) addCounters(this.dayTotals, counters);
+        if (day.slice(0, 7) === this.day.slice(0, 7)) addCounters(this.monthTotals, counters);
+    }
+
+    // Share of the budget used, the larger of cost and calls; null without limits
+    getUsedShare(period) {
+        const budget = this.budgets[period];
+        if (!budget) return null;
+        const totals = period === 'daily' ? this.dayTotals : this.monthTotals;
+        const shares = ['cost', 'calls']
+            .filter(field => typeof budget[field] === 'number')
+            .map(field => budget[field] > 0 ? totals[field] / budget[field] : Infinity);
+        return shares.length ? Math.max(...shares) : null;
+    }
+
+    // 'normal', 'cheap_models' or 'cache_only'
+    getMode() {
+        this.rollOver();
+        let mode = 'normal';
+        for (const period of ['daily', 'monthly']) {
+            const used = this.getUsedShare(period);
+            const action = this.budgets[period] && this.budgets[period].action;
+            if (used !== null && used >= 1 && MODES.indexOf(action) > MODES.indexOf(mode)) {
+                mode = action;
+            }
+        }
+        return mode;
+    }
+
+    // Whether a budget is at its warnAt share (90% by default) or beyond
+    isNearLimit() {
+        this.rollOver();
+        const warnAt = this.budgets.warnAt || 0.9;
+        return ['daily', 'monthly'].some(period => {
+            const used = this.getUsedShare(period);
+            return used !== null && used >= warnAt;
+        });
+    }
+
+    getCheapModels() {
+        return this.budgets.cheapModels || [];
+    }
+
+    getStatus() {
+        this.rollOver();
+        const describe = (period, totals) => {
+            const budget = this.budgets[period] || null;
+            const used = this.getUsedShare(period);
+            return {
+                limits: budget && { cost: budget.cost ?? null, calls: budget.calls ?? null },
+                action: budget && budget.action,
+                used: { ...totals },
+                used_share: used === null ? null : Number(used.toFixed(3))
+            };
+        };
+        return {
+            mode: this.getMode(),
+            near_limit: this.isNearLimit(),
+            day: this.day,
+            daily: describe('daily', this.dayTotals),
+            monthly: describe('monthly', this.monthTotals)
+        };
+    }
+}
+
+// Report rows grouped into totals, per model, per client and per day
+function summarizeUsage(rows) {
+    const totals = createCounters();
+    const groups = { models: new Map(), clients: new Map(), days: new Map() };
+    const keys = { models: 'model', clients: 'client', days: 'day' };
+
+    for (const row of rows) {
+        addCounters(totals, row);
+        for (const [group, field] of Object.entries(keys)) {
+            const map = groups[group];
+            if (!map.has(row[field])) map.set(row[field], { [field]: row[field], ...createCounters() });
+            addCounters(map.get(row[field]), row);
+        }
+    }
+
+    const byCost = (a, b) => b.cost - a.cost || b.calls - a.calls;
+    return {
+        totals: totals,
+        models: [...groups.models.values()].sort(byCost),
+        clients: [...groups.clients.values()].sort(byCost),
+        days: [...groups.days.values()].sort((a, b) => a.day.localeCompare(b.day))
+    };
+}
+
+module.exports = {
+    FileUsageStore,
+    ClusterUsageStore,
+    UsageMeter,
+    estimateTokens,
+    getCallCost,
+    validateBudgets,
+    summarizeUsage,
+    toDay
+};
@@ -0,0 +1,176 @@
+// Bounded work queues.
+//
+// At most `concurrency` jobs run at once; the rest wait in FIFO order, up to
+// `maxQueued` of them. A full queue turns new work away right away instead of
+// letting sockets pile up, and a waiting job gives up when its deadline
+// passes or its signal aborts. One queue sits in front of every model chain,
+// and each model has its own so no single upstream gets flooded.
+
+const DEFAULT_OPTIONS = {
+    concurrency: 20,
+    maxQueued: Infinity,
+    waitSamples: 200    // recent queue waits kept for the stats
+};
+
+class QueueFullError extends Error {
+    constructor(name) {
+        super(`Work queue ${name} is full`);
+        this.name = 'QueueFullError';
+        this.code = 'QUEUE_FULL';
+    }
+}
+
+class DeadlineError extends Error {
+    constructor(name) {
+        super(`Deadline passed while waiting in work queue ${name}`);
+        this.name = 'DeadlineError';
+        this.code = 'DEADLINE_EXCEEDED';
+    }
+}
+
+function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+class WorkQueue {
+    constructor(name, options = {}, now = Date.now) {
+        this.name = name;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.now = now;
+
+        this.active = 0;
+        this.waiting = [];      // { resolve, reject, enqueuedAt, cleanup }
+        this.waits = [];        // ms spent waiting by recently started jobs
+        this.counts = { started: 0, rejected: 0, deadline_exceeded: 0, aborted: 0 };
+    }
+
+    get isFull() {
+        return this.active >= this.options.concurrency && this.waiting.length >= this.options.maxQueued;
+    }
+
+    // A job started now would run right away
+    get hasFreeSlot() {
+        return this.active < this.options.concurrency && !this.waiting.length;
+    }
+
+    // Resolves to a release() function once a slot is free. Rejects with
+    // QueueFullError, DeadlineError (deadline is a timestamp) or the signal's reason.
+    acquire({ deadline, signal } = {}) {
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+        if (this.active < this.options.concurrency && !this.waiting.length) {
+            return Promise.resolve(this.start(this.now()));
+        }
+        if (this.waiting.length >= this.options.maxQueued) {
+            this.counts.rejected++;
+            return Promise.reject(new QueueFullError(this.name));
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { resolve, reject, enqueuedAt: this.now() };
+            const giveUp = (counter, error) => {
+                this.waiting.splice(this.waiting.indexOf(entry), 1);
+                entry.cleanup();
+                this.counts[counter]++;
+                reject(error);
+            };
+
+            const timer = deadline
+                ? setTimeout(() => giveUp('deadline_exceeded', new DeadlineError(this.name)), Math.max(0, deadline - this.now()))
+                : null;
+            const onAbort = () => giveUp('aborted', signal.reason);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            entry.cleanup = () => {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+            this.waiting.push(entry);
+        });
+    }
+
+    // Run fn() in a slot and free the slot when it settles
+    async run(fn, options) {
+        const release = await this.acquire(options);
+        try {
+            return await fn();
+        } finally {
+            release();
+        }
+    }
+
+    // Registry reloads can change a model's limit while work is queued
+    setConcurrency(concurrency) {
+        if (this.options.concurrency === concurrency) return;
+        this.options.concurrency = concurrency;
+        this.drain();
+    }
+
+    start(enqueuedAt) {
+        this.active++;
+        this.counts.started++;
+        this.waits.push(this.now() - enqueuedAt);
+        if (this.waits.length > this.options.waitSamples) {
+            this.waits.shift();
+        }
+
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            this.active--;
+            this.drain();
+        };
+    }
+
+    drain() {
+        while (this.active < this.options.concurrency && this.waiting.length) {
+            const entry = this.waiting.shift();
+            entry.cleanup();
+            entry.resolve(this.start(entry.enqueuedAt));
+        }
+    }
+
+    getStats() {
+        const sorted = this.waits.slice().sort((a, b) => a - b);
+        const total = sorted.reduce((sum, wait) => sum + wait, 0);
+
+        return {
+            active: this.active,
+            queued: this.waiting.length,
+            concurrency: this.options.concurrency,
+            max_queued: Number.isFinite(this.options.maxQueued) ? this.options.maxQueued : null,
+            ...this.counts,
+            avg_wait_ms: sorted.length ? Math.round(total / sorted.length) : null,
+            p95_wait_ms: percentile(sorted, 95)
+        };
+    }
+}
+
+// One queue per model name, created on first use
+class WorkQueueRegistry {
+    constructor(options = {}, now = Date.now) {
+        this.options = options;
+        this.now = now;
+        this.queues = new Map();
+    }
+
+    get(name, concurrency) {
+        if (!this.queues.has(name)) {
+            this.queues.set(name, new WorkQueue(name, { ...this.options, concurrency }, this.now));
+        }
+        const queue = this.queues.get(name);
+        queue.setConcurrency(concurrency);
+        return queue;
+    }
+}
+
+module.exports = {
+    WorkQueue,
+    WorkQueueRegistry,
+    QueueFullError,
+    DeadlineError
+};
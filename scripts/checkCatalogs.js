@@ -0,0 +1,15 @@
+// Fails when a message catalog in config/locales is missing a message key,
+// a system prompt, or a text the guardrail rules refer to.
+// Usage: npm run check:i18n
+const { MessageCatalog } = require('../lib/i18n');
+const { Guardrails } = require('../lib/guardrails');
+const MESSAGE_KEYS = require('../lib/messageKeys');
+
+try {
+    const catalog = MessageCatalog.load().validate(Object.values(MESSAGE_KEYS));
+    Guardrails.load(catalog);
+    console.log(`Message catalogs complete: ${catalog.languages.join(', ')}`);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
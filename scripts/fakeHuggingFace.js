@@ -0,0 +1,168 @@
+// Fake Hugging Face Inference API for running the proxy without a network.
+// Point HUGGINGFACE_BASE_URL at it (http://localhost:<port>/models) and every
+// model answers with its recorded response from fixtures/huggingface.json,
+// unless a script says otherwise. A model's script is a list of steps used one
+// per call, the last one repeating:
+//
+//   { text: '...' }          200 with [{ generated_text }], or SSE tokens when streaming
+//   { labels: [...] }        200 with image classification labels
+//   { status, body }         any status and JSON body
+//   'fixture'                the model's recorded response
+//   'loading'                503 "Model ... is currently loading"
+//   'timeout'                never answers; the proxy has to give up
+//   'malformed'              200 with a body that isn't JSON
+//
+// Steps may carry delayMs to answer slowly.
+//
+// Usage: npm run fake:hf -- [port] [script.json]
+//   script.json maps model names to step lists
+const http = require('http');
+const path = require('path');
+
+const FIXTURES = require(path.join(__dirname, 'fixtures', 'huggingface.json'));
+const DEFAULT_PORT = 10001;
+
+class FakeHuggingFace {
+    constructor(scripts = {}) {
+        this.scripts = new Map();
+        this.calls = [];        // { model, body, stream, at } per request, in order
+        this.sockets = new Set();
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.server.on('connection', (socket) => {
+            this.sockets.add(socket);
+            socket.on('close', () => this.sockets.delete(socket));
+        });
+
+        for (const [model, steps] of Object.entries(scripts)) {
+            this.script(model, steps);
+        }
+    }
+
+    // Replace a model's script; a single step is a script of one
+    script(model, steps) {
+        this.scripts.set(model, { steps: [].concat(steps), next: 0 });
+        return this;
+    }
+
+    reset() {
+        this.scripts.clear();
+        this.calls = [];
+        return this;
+    }
+
+    callsTo(model) {
+        return this.calls.filter(call => call.model === model);
+    }
+
+    listen(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                const { port: boundPort } = this.server.address();
+                this.baseUrl = `http://127.0.0.1:${boundPort}/models`;
+                resolve(this.baseUrl);
+            });
+        });
+    }
+
+    // Connections held open by 'timeout' steps would keep close() waiting forever
+    close() {
+        for (const socket of this.sockets) socket.destroy();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    nextStep(model) {
+        const script = this.scripts.get(model);
+        if (!script) return 'fixture';
+
+        const step = script.steps[Math.min(script.next, script.steps.length - 1)];
+        script.next++;
+        return step;
+    }
+
+    handle(req, res) {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const model = decodeURIComponent(req.url.replace(/^\/models\//, ''));
+            const raw = Buffer.concat(chunks);
+            const isJson = (req.headers['content-type'] || '').includes('application/json');
+
+            let body = null;
+            if (isJson) {
+                try {
+                    body = JSON.parse(raw.toString('utf8'));
+                } catch (error) {
+                    return sendJson(res, 400, { error: 'Invalid JSON body' });
+                }
+            }
+
+            const stream = Boolean(body && body.stream);
+            this.calls.push({ model, body: isJson ? body : { bytes: raw.length }, stream, at: Date.now() });
+
+            const step = this.nextStep(model);
+            const delay = (step && step.delayMs) || 0;
+            setTimeout(() => respond(res, model, step, stream), delay);
+        });
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// Text generation models stream one word per SSE event, like text-generation-inference
+function sendTokens(res, text) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const words = text.match(/\S+\s*/g) || [];
+    words.forEach((word, i) => {
+        const event = { token: { text: word, special: false } };
+        if (i === words.length - 1) event.generated_text = text;
+        res.write(`data: ${JSON.stringify(event)}\n\n`);
+    });
+    res.end();
+}
+
+function respond(res, model, step, stream) {
+    if (step === 'timeout') return;
+
+    if (step === 'loading') {
+        return sendJson(res, 503, { error: `Model ${model} is currently loading`, estimated_time: 20 });
+    }
+    if (step === 'malformed') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end('{"generated_text": "Sunscreen');
+    }
+    if (step === 'fixture') {
+        if (!FIXTURES[model]) {
+            return sendJson(res, 404, { error: `Model ${model} does not exist` });
+        }
+        const fixture = FIXTURES[model];
+        return stream && fixture[0].generated_text !== undefined
+            ? sendTokens(res, fixture[0].generated_text)
+            : sendJson(res, 200, fixture);
+    }
+    if (step.labels) {
+        return sendJson(res, 200, step.labels);
+    }
+    if (step.text !== undefined) {
+        return stream ? sendTokens(res, step.text) : sendJson(res, 200, [{ generated_text: step.text }]);
+    }
+    sendJson(res, step.status || 200, step.body);
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+    const scripts = process.argv[3] ? require(path.resolve(process.argv[3])) : {};
+    const fake = new FakeHuggingFace(scripts);
+
+    fake.listen(port).then((baseUrl) => {
+        console.log(`Fake Hugging Face API on ${baseUrl}`);
+    });
+}
+
+module.exports = {
+    FakeHuggingFace,
+    FIXTURES
+};
@@ -0,0 +1,20 @@
+// Admin endpoints answer with a message key when a store underneath fails
+const { test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const { startProxy } = require('./helpers');
+const { MessageCatalog } = require('../lib/i18n');
+
+const i18n = MessageCatalog.load();
+
+test('a store that fails gets a 500 with SERVER_ERROR', async (t) => {
+    // A directory where the audit log should be can't be read as one
+    const proxy = await startProxy({ env: { ADMIN_AUDIT_LOG_PATH: os.tmpdir() } });
+    t.after(proxy.close);
+
+    const { status, body } = await proxy.admin('GET', '/api/admin/audit');
+
+    assert.strictEqual(status, 500);
+    assert.strictEqual(body.messageKey, 'SERVER_ERROR');
+    assert.strictEqual(body.fallbackMessage, i18n.t('SERVER_ERROR', 'en'));
+});
@@ -0,0 +1,74 @@
+// Only the caller's own bad credential is answered with 401; a client store
+// that can't be read is a server error
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createAuth } = require('../lib/auth');
+const { signJwt } = require('../lib/jwt');
+
+const SECRET = 'test-jwt-secret';
+const errors = {
+    unauthorized: () => ({ messageKey: 'UNAUTHORIZED' }),
+    forbidden: () => ({ messageKey: 'FORBIDDEN' }),
+    serverError: () => ({ messageKey: 'SERVER_ERROR' })
+};
+
+function authenticate(clientStore, credential) {
+    const { authenticate } = createAuth({ clientStore, jwtSecret: SECRET, adminKey: 'test-admin-key', required: true, errors });
+    const req = { get: (name) => (name === 'X-API-Key' ? credential : undefined) };
+    const res = {
+        statusCode: 200,
+        on: () => {},
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+
+    return new Promise(resolve => {
+        const result = authenticate(req, res, () => resolve({ status: 'next', client: req.apiClient }));
+        Promise.resolve(result).then(() => {
+            if (res.body) resolve({ status: res.statusCode, body: res.body });
+        });
+    });
+}
+
+const store = {
+    findByKey: async (key) => (key === 'dk_known' ? { id: 'c1', name: 'app', tier: 'free', admin: false } : null),
+    recordUsage: async () => {}
+};
+const brokenStore = {
+    findByKey: async () => {
+        throw new Error('Cluster primary did not answer findByKey in time');
+    },
+    recordUsage: async () => {}
+};
+
+test('a known key and a valid token identify the caller', async () => {
+    assert.strictEqual((await authenticate(store, 'dk_known')).client.id, 'c1');
+    assert.strictEqual((await authenticate(store, signJwt({ sub: 'u1' }, SECRET))).client.id, 'jwt:u1');
+});
+
+test('unknown keys and invalid, expired or subjectless tokens get 401', async () => {
+    const expired = signJwt({ sub: 'u1', exp: Math.floor(Date.now() / 1000) - 60 }, SECRET);
+    const credentials = [
+        'dk_unknown',
+        expired,
+        signJwt({ sub: 'u1' }, 'another-secret'),
+        signJwt({ name: 'nobody' }, SECRET),
+        'bnVsbA.bnVsbA.c2ln'
+    ];
+
+    for (const credential of credentials) {
+        assert.deepStrictEqual(await authenticate(store, credential), { status: 401, body: { messageKey: 'UNAUTHORIZED' } }, credential);
+    }
+});
+
+test('a client store that fails is answered with 500 and SERVER_ERROR', async () => {
+    assert.deepStrictEqual(await authenticate(brokenStore, 'dk_known'), { status: 500, body: { messageKey: 'SERVER_ERROR' } });
+    // Tokens and the admin key don't need the store
+    assert.strictEqual((await authenticate(brokenStore, 'test-admin-key')).client.admin, true);
+});
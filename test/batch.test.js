@@ -0,0 +1,42 @@
+// Batch questions go through the same guardrails as a chat message
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startProxy, calledModels } = require('./helpers');
+const { MessageCatalog } = require('../lib/i18n');
+
+const i18n = MessageCatalog.load();
+const MISTRAL = 'mistralai/Mistral-7B-Instruct-v0.1';
+
+test('an emergency in a batch gets the urgent care message without a model call', async (t) => {
+    const proxy = await startProxy();
+    t.after(proxy.close);
+
+    const { status, body } = await proxy.admin('POST', '/api/batch', {
+        items: [{ id: 'sting', inputs: 'I cannot breathe and my throat is closing after a bee sting' }]
+    });
+    const [result] = body.results;
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(result.messageKey, 'EMERGENCY_CARE');
+    assert.strictEqual(result.fallbackText, i18n.t('EMERGENCY_CARE', 'en'));
+    assert.strictEqual(result.model_used, 'safety_guardrail');
+    assert.deepStrictEqual(result.safety_flags, ['anaphylaxis']);
+    assert.deepStrictEqual(calledModels(proxy.fake), []);
+});
+
+test('batch answers are rewritten by the output rules and carry the disclaimer', async (t) => {
+    const proxy = await startProxy({
+        scripts: { [MISTRAL]: { text: 'Take 2 tablets of antihistamine a day. Cool compresses can also help with itchy skin.' } }
+    });
+    t.after(proxy.close);
+
+    const { body } = await proxy.admin('POST', '/api/batch', {
+        items: [{ id: 'hives', inputs: 'How do I calm itchy hives?', language: 'es' }]
+    });
+    const [result] = body.results;
+
+    assert.strictEqual(result.status, 'ok');
+    assert.deepStrictEqual(result.safety_flags, ['drug_dosage']);
+    assert.ok(result.generated_text.startsWith(i18n.t('NO_DOSAGE_ADVICE', 'es')));
+    assert.ok(result.generated_text.endsWith(i18n.t('SAFETY_DISCLAIMER', 'es')));
+});
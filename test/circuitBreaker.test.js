@@ -0,0 +1,156 @@
+// Per-model circuit breakers: when they trip, how they recover, and what
+// /api/status reports about them
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CircuitBreaker } = require('../lib/circuitBreaker');
+const { startProxy, createClock, calledModels } = require('./helpers');
+
+const MISTRAL = 'mistralai/Mistral-7B-Instruct-v0.1';
+const OPT = 'facebook/opt-1.3b';
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dermi-breaker-'));
+process.on('exit', () => fs.rmSync(configDir, { recursive: true, force: true }));
+
+// The usual registry, with mistral's calls counted as slow past 20ms
+const SLOW_REGISTRY_PATH = path.join(configDir, 'models.json');
+const registry = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'models.json'), 'utf8'));
+registry.models.find(model => model.name === MISTRAL).breaker = { minRequests: 3, slowCallMs: 20 };
+fs.writeFileSync(SLOW_REGISTRY_PATH, JSON.stringify(registry));
+
+test('a breaker opens on failures, turns half-open after its cooldown and closes on a good probe', () => {
+    const clock = createClock();
+    const breaker = new CircuitBreaker('m', { minRequests: 3, openMs: 30000 }, clock.now);
+
+    breaker.recordSuccess(100);
+    breaker.recordFailure(new Error('500'));
+    assert.strictEqual(breaker.canRequest(), true);
+    breaker.recordFailure(new Error('500'));
+    assert.strictEqual(breaker.state, 'open');
+    assert.strictEqual(breaker.canRequest(), false);
+
+    clock.advance(29999);
+    assert.strictEqual(breaker.isProbeDue(), false);
+    clock.advance(1);
+    assert.strictEqual(breaker.isProbeDue(), true);
+    // Half-open models take no live traffic; the probe decides
+    assert.strictEqual(breaker.canRequest(), false);
+
+    breaker.recordProbe(true, 200);
+    assert.strictEqual(breaker.state, 'closed');
+    assert.strictEqual(breaker.canRequest(), true);
+    assert.strictEqual(breaker.getStats().recent_requests, 0);
+});
+
+test('a failed probe reopens the breaker with a doubled cooldown, up to maxOpenMs', () => {
+    const clock = createClock();
+    const breaker = new CircuitBreaker('m', { minRequests: 1, openMs: 30000, maxOpenMs: 100000 }, clock.now);
+
+    breaker.recordFailure(new Error('500'));
+    const cooldowns = [];
+    for (let i = 0; i < 4; i++) {
+        cooldowns.push(breaker.getCooldown());
+        clock.advance(breaker.getCooldown());
+        breaker.recordProbe(false, 10, new Error('still down'));
+    }
+
+    assert.deepStrictEqual(cooldowns, [30000, 60000, 100000, 100000]);
+    assert.strictEqual(breaker.getStats().last_error, 'still down');
+});
+
+test('the failure rate only counts calls inside the window', () => {
+    const clock = createClock();
+    const breaker = new CircuitBreaker('m', { minRequests: 4, failureRateThreshold: 0.5, windowMs: 60000 }, clock.now);
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    clock.advance(60001);
+    breaker.recordSuccess(10);
+    breaker.recordSuccess(10);
+    breaker.recordSuccess(10);
+    breaker.recordFailure();
+
+    // The two old failures aged out: 1 of 4 calls went bad
+    assert.strictEqual(breaker.state, 'closed');
+    assert.strictEqual(breaker.getStats().error_rate, 0.25);
+
+    breaker.recordFailure();
+    assert.strictEqual(breaker.state, 'closed');
+    breaker.recordFailure();
+    assert.strictEqual(breaker.state, 'open');
+});
+
+test('slow answers count against the model like failures', () => {
+    const clock = createClock();
+    const breaker = new CircuitBreaker('m', { minRequests: 3, slowCallMs: 1000 }, clock.now);
+
+    breaker.recordSuccess(400);
+    breaker.recordSuccess(1500);
+    assert.strictEqual(breaker.state, 'closed');
+    breaker.recordSuccess(2000);
+
+    assert.strictEqual(breaker.state, 'open');
+});
+
+test('p50 and p95 latency come from the latest successful calls', () => {
+    const breaker = new CircuitBreaker('m', { latencySamples: 20 });
+
+    assert.strictEqual(breaker.getStats().p50_latency_ms, null);
+    for (let latency = 10; latency <= 300; latency += 10) {
+        breaker.recordSuccess(latency);
+    }
+
+    // Only 110..300 are kept
+    assert.strictEqual(breaker.getStats().p50_latency_ms, 200);
+    assert.strictEqual(breaker.getStats().p95_latency_ms, 290);
+});
+
+test('through the proxy: open, skipped, half-open, probed closed again', async (t) => {
+    const proxy = await startProxy({ scripts: { [MISTRAL]: ['loading', 'loading', 'loading', 'fixture'] } });
+    t.after(proxy.close);
+    const mistralStatus = async () => (await proxy.get('/api/status')).body.models.find(model => model.name === MISTRAL);
+
+    // Three loading answers trip the breaker
+    assert.strictEqual((await proxy.post('/api/huggingface', { inputs: 'What is sunscreen?' })).body.model_used, OPT);
+    const opened = await mistralStatus();
+    assert.strictEqual(opened.state, 'open');
+    assert.strictEqual(opened.error_rate, 1);
+    assert.strictEqual(opened.recent_requests, 3);
+
+    // The cooldown passes; half-open models are still skipped
+    proxy.clock.advance(30000);
+    assert.strictEqual((await mistralStatus()).state, 'half_open');
+    proxy.fake.calls = [];
+    assert.strictEqual((await proxy.post('/api/huggingface', { inputs: 'How do I treat a sunburn?' })).body.model_used, OPT);
+    assert.deepStrictEqual(calledModels(proxy.fake), [OPT]);
+
+    // A good probe closes the breaker and mistral answers again
+    const sweep = await proxy.admin('POST', '/api/admin/recovery/sweep');
+    assert.strictEqual(sweep.body.health[MISTRAL], true);
+    assert.strictEqual((await mistralStatus()).state, 'closed');
+    assert.strictEqual((await proxy.post('/api/huggingface', { inputs: 'Is SPF 50 better?' })).body.model_used, MISTRAL);
+});
+
+test('through the proxy: slow answers trip the breaker and show in the latency percentiles', async (t) => {
+    const proxy = await startProxy({
+        scripts: { [MISTRAL]: { text: 'Sunscreen protects the skin from ultraviolet rays.', delayMs: 50 } },
+        env: { MODEL_REGISTRY_PATH: SLOW_REGISTRY_PATH },
+        // Latency is measured on the real clock here
+        appOptions: { now: Date.now }
+    });
+    t.after(proxy.close);
+
+    for (const question of ['What is sunscreen?', 'What is SPF?', 'What is UV?']) {
+        const { body } = await proxy.post('/api/huggingface', { inputs: question });
+        assert.strictEqual(body.model_used, MISTRAL);
+    }
+    const { body } = await proxy.post('/api/huggingface', { inputs: 'What is a sunburn?' });
+    assert.strictEqual(body.model_used, OPT);
+
+    const status = (await proxy.get('/api/status')).body.models.find(model => model.name === MISTRAL);
+    assert.strictEqual(status.state, 'open');
+    assert.ok(status.p50_latency_ms >= 50, `p50 ${status.p50_latency_ms}`);
+    assert.ok(status.p95_latency_ms >= status.p50_latency_ms);
+});
@@ -0,0 +1,161 @@
+// Prompt artifacts each model family echoes back (the recorded answers in
+// scripts/fixtures/huggingface.json) are cleaned off before the answer is sent
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startProxy, calledModels } = require('./helpers');
+
+const CHAIN = [
+    'mistralai/Mistral-7B-Instruct-v0.1',
+    'facebook/opt-1.3b',
+    'facebook/opt-350m',
+    'google/flan-t5-small',
+    'distilbert/distilbert-base-uncased'
+];
+
+const FAMILIES = [
+    {
+        model: 'mistralai/Mistral-7B-Instruct-v0.1',
+        family: 'mistral',
+        answer: 'Sunscreen is a lotion or spray that absorbs or reflects ultraviolet rays. Use SPF 30 or higher every day.'
+    },
+    {
+        model: 'facebook/opt-1.3b',
+        family: 'opt',
+        answer: 'Sunscreen protects your skin from the sun\'s ultraviolet rays.'
+    },
+    {
+        model: 'facebook/opt-350m',
+        family: 'opt',
+        answer: 'Sunscreen filters ultraviolet light so it can\'t burn the skin.'
+    },
+    {
+        model: 'google/flan-t5-small',
+        family: 'flan-t5',
+        answer: 'Sunscreen is a product that protects skin from sunburn.'
+    },
+    {
+        model: 'distilbert/distilbert-base-uncased',
+        family: 'qa',
+        answer: 'Sunscreen helps prevent sunburn and skin damage.'
+    }
+];
+
+// Every model before the one under test is gone, so it answers
+function scriptsFor(model) {
+    const scripts = {};
+    for (const name of CHAIN.slice(0, CHAIN.indexOf(model))) {
+        scripts[name] = { status: 404, body: { error: `Model ${name} does not exist` } };
+    }
+    return scripts;
+}
+
+async function ask(proxy, body) {
+    const response = await proxy.post('/api/huggingface', body);
+    assert.strictEqual(response.status, 200);
+    return response.body;
+}
+
+for (const { model, family, answer } of FAMILIES) {
+    test(`${model} (${family} template) answers without prompt artifacts`, async (t) => {
+        const proxy = await startProxy({ scripts: scriptsFor(model) });
+        t.after(proxy.close);
+
+        const body = await ask(proxy, { inputs: 'What is sunscreen?' });
+
+        assert.strictEqual(body.model_used, model);
+        assert.strictEqual(calledModels(proxy.fake).pop(), model);
+        assert.strictEqual(body.generated_text, `${answer}\n\n${body.disclaimer}`);
+    });
+}
+
+test('mistral: sentence markers and an echoed instruction block are removed', async (t) => {
+    const proxy = await startProxy({
+        scripts: { [CHAIN[0]]: { text: '<s>[INST] How often should I reapply? [/INST] Reapply sunscreen every two hours outdoors.</s>' } }
+    });
+    t.after(proxy.close);
+
+    const body = await ask(proxy, { inputs: 'How often should I reapply?' });
+
+    assert.ok(body.generated_text.startsWith('Reapply sunscreen every two hours outdoors.\n\n'));
+});
+
+test('opt: the echoed conversation and the next made-up turn are removed', async (t) => {
+    const proxy = await startProxy({
+        scripts: {
+            ...scriptsFor('facebook/opt-1.3b'),
+            'facebook/opt-1.3b': { text: 'Human: How often should I reapply?\n\nDermi (a dermatology assistant): Reapply sunscreen every two hours outdoors.\nHuman: And after swimming?' }
+        }
+    });
+    t.after(proxy.close);
+
+    const body = await ask(proxy, { messages: [{ role: 'user', content: 'How often should I reapply?' }] });
+
+    assert.strictEqual(body.model_used, 'facebook/opt-1.3b');
+    assert.ok(body.generated_text.startsWith('Reapply sunscreen every two hours outdoors.\n\n'));
+    assert.ok(!body.generated_text.includes('Human:'));
+});
+
+test('qa: the answer label and made-up follow-up questions are removed', async (t) => {
+    const proxy = await startProxy({
+        scripts: {
+            ...scriptsFor('distilbert/distilbert-base-uncased'),
+            'distilbert/distilbert-base-uncased': { text: 'A: Reapply sunscreen every two hours outdoors.\nQ: And after swimming?\nQ: What SPF?' }
+        }
+    });
+    t.after(proxy.close);
+
+    const body = await ask(proxy, { inputs: 'How often should I reapply?' });
+
+    assert.strictEqual(body.model_used, 'distilbert/distilbert-base-uncased');
+    assert.ok(body.generated_text.startsWith('Reapply sunscreen every two hours outdoors.\n\n'));
+});
+
+// Streamed tokens never carry what the cleanup removes from the full answer
+async function streamTokens(proxy, body) {
+    const { events } = await proxy.post('/api/huggingface', { ...body, stream: true });
+    const done = events[events.length - 1].data;
+    const tokens = events.filter(event => event.event === 'token').map(event => event.data.text);
+    return { tokens, done };
+}
+
+for (const { model, answer } of FAMILIES) {
+    test(`${model} streams its answer without prompt artifacts`, async (t) => {
+        const proxy = await startProxy({ scripts: scriptsFor(model) });
+        t.after(proxy.close);
+
+        const { tokens, done } = await streamTokens(proxy, { inputs: 'What is sunscreen?' });
+
+        assert.strictEqual(done.model_used, model);
+        assert.strictEqual(tokens.join(''), `${answer}\n\n${done.disclaimer}`);
+        assert.strictEqual(done.replace, undefined);
+    });
+}
+
+test('mistral: an instruction block is held back until it closes', async (t) => {
+    const proxy = await startProxy({
+        scripts: { [CHAIN[0]]: { text: '<s>[INST] Answer questions about skin care. What is sunscreen? [/INST] Sunscreen blocks UV rays. Reapply it often.</s>' } }
+    });
+    t.after(proxy.close);
+
+    const { tokens, done } = await streamTokens(proxy, { inputs: 'What is sunscreen?' });
+
+    assert.strictEqual(tokens[0], 'Sunscreen blocks UV rays. ');
+    assert.ok(!tokens.join('').includes('[INST]'));
+    assert.strictEqual(done.replace, undefined);
+});
+
+test('opt: a speaker label with a sentence in it is held back until its colon', async (t) => {
+    const proxy = await startProxy({
+        scripts: {
+            ...scriptsFor('facebook/opt-1.3b'),
+            'facebook/opt-1.3b': { text: 'Human: What is sunscreen?\n\nDermi (skin care assistant. Version 2): Sunscreen blocks UV rays. Reapply it often.' }
+        }
+    });
+    t.after(proxy.close);
+
+    const { tokens, done } = await streamTokens(proxy, { inputs: 'What is sunscreen?' });
+
+    assert.strictEqual(tokens[0], 'Sunscreen blocks UV rays. ');
+    assert.ok(!tokens.join('').includes('Dermi ('));
+    assert.strictEqual(done.replace, undefined);
+});
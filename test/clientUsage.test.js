@@ -0,0 +1,23 @@
+// Usage counters of issued client keys, per route
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startProxy } = require('./helpers');
+
+test('usage is counted under the route pattern, not the path', async (t) => {
+    const proxy = await startProxy();
+    t.after(proxy.close);
+
+    const issued = await proxy.admin('POST', '/api/admin/clients', { name: 'test app', tier: 'free' });
+    const headers = { 'X-API-Key': issued.body.key };
+    await proxy.request('GET', '/api/batch/job_1', undefined, headers);
+    await proxy.request('GET', '/api/batch/job_2', undefined, headers);
+    await proxy.request('POST', '/api/huggingface', { inputs: 'What is sunscreen?' }, headers);
+
+    const { body } = await proxy.admin('GET', `/api/admin/clients/${issued.body.id}/usage`);
+
+    assert.deepStrictEqual(body.usage.routes, {
+        'GET /api/batch/:id': 2,
+        'POST /api/huggingface': 1
+    });
+    assert.strictEqual(body.usage.total, 3);
+});
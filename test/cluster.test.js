@@ -0,0 +1,127 @@
+// Cluster workers share the primary's client, feedback and usage stores and
+// runtime controls: two workers built in-process, wired to the primary's
+// request handlers the way lib/cluster.js wires them over IPC
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startProxy, createClock, calledModels } = require('./helpers');
+const { createRequestHandlers } = require('../lib/cluster');
+const { createFileStores } = require('../lib/stores');
+const { MemoryRateLimitStore } = require('../lib/rateLimiter');
+
+const MISTRAL = 'mistralai/Mistral-7B-Instruct-v0.1';
+const OPT = 'facebook/opt-1.3b';
+
+// A primary and its workers in one process; messages are cloned as they
+// would be in transit
+function createFakeCluster(stores) {
+    const workers = [];
+    const deliver = (type, payload, except) => {
+        for (const worker of workers) {
+            if (worker !== except) worker.receive(type, structuredClone(payload));
+        }
+    };
+    const handlers = createRequestHandlers({ rateLimits: new MemoryRateLimitStore(), stores, broadcast: deliver });
+
+    return {
+        addWorker() {
+            const listeners = new Map();
+            const worker = {
+                receive: (type, payload) => listeners.has(type) && listeners.get(type)(payload),
+                request: async (type, payload) => structuredClone(await handlers[type](structuredClone(payload), worker)),
+                broadcast: (type, payload) => deliver(type, payload, worker),
+                on: (type, handler) => listeners.set(type, handler)
+            };
+            workers.push(worker);
+            return worker;
+        }
+    };
+}
+
+// Two workers on one set of store files, owned by the primary
+async function startCluster(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dermi-cluster-'));
+    const env = {
+        CLIENT_STORE_PATH: path.join(dir, 'clients.json'),
+        FEEDBACK_STORE_PATH: path.join(dir, 'feedback.json'),
+        USAGE_STORE_PATH: path.join(dir, 'usage.json'),
+        RUNTIME_CONTROLS_PATH: path.join(dir, 'runtime.json'),
+        ADMIN_AUDIT_LOG_PATH: path.join(dir, 'audit.jsonl')
+    };
+    Object.assign(process.env, env);
+    const stores = createFileStores({ now: createClock().now });
+    const cluster = createFakeCluster(stores);
+
+    const workers = [];
+    for (let i = 0; i < 2; i++) {
+        workers.push(await startProxy({ env, appOptions: { cluster: cluster.addWorker() } }));
+    }
+    t.after(async () => {
+        for (const worker of workers) await worker.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return workers;
+}
+
+test('a key issued through one worker works on the other until revoked there', async (t) => {
+    const [a, b] = await startCluster(t);
+
+    const issued = await a.admin('POST', '/api/admin/clients', { name: 'test app', tier: 'free' });
+    const headers = { 'X-API-Key': issued.body.key };
+    assert.strictEqual((await b.request('GET', '/api/batch/job_1', undefined, headers)).status, 404);
+
+    assert.strictEqual((await b.admin('DELETE', `/api/admin/clients/${issued.body.id}`)).status, 200);
+    assert.strictEqual((await a.request('GET', '/api/batch/job_1', undefined, headers)).status, 401);
+
+    const { body } = await a.admin('GET', `/api/admin/clients/${issued.body.id}/usage`);
+    assert.deepStrictEqual(body.usage.routes, { 'GET /api/batch/:id': 1 });
+});
+
+test('a model disabled through one worker is skipped by the other', async (t) => {
+    const [a, b] = await startCluster(t);
+
+    const change = await a.admin('PATCH', `/api/admin/models/${MISTRAL}`, { enabled: false });
+    assert.strictEqual(change.body.model.enabled, false);
+
+    const models = await b.admin('GET', '/api/admin/models');
+    assert.strictEqual(models.body.models.find(model => model.name === MISTRAL).enabled, false);
+
+    const { body } = await b.post('/api/huggingface', { inputs: 'What is sunscreen?' });
+    assert.strictEqual(body.model_used, OPT);
+    assert.deepStrictEqual(calledModels(b.fake), [OPT]);
+
+    const audit = await b.admin('GET', '/api/admin/audit');
+    assert.deepStrictEqual(audit.body.entries.map(entry => entry.action), ['model.disable']);
+});
+
+test('an answer from one worker can be rated through the other', async (t) => {
+    const [a, b] = await startCluster(t);
+
+    const answer = await a.post('/api/huggingface', { inputs: 'What is sunscreen?' });
+    const rating = await b.post('/api/feedback', { response_id: answer.body.response_id, rating: 'up' });
+    assert.strictEqual(rating.status, 200);
+
+    const report = await a.admin('GET', '/api/admin/feedback/report');
+    assert.strictEqual(report.body.totals.ratings, 1);
+});
+
+test('upstream calls count against the budgets of every worker', async (t) => {
+    const [a, b] = await startCluster(t);
+
+    await a.post('/api/huggingface', { inputs: 'What is sunscreen?' });
+    const { body } = await b.admin('GET', '/api/admin/usage/report');
+
+    assert.strictEqual(body.totals.calls, 1);
+    assert.strictEqual(body.budgets.daily.used.calls, 1);
+    assert.strictEqual(body.budgets.monthly.used.calls, 1);
+});
+
+test('workers can only call the store methods the primary shares', async () => {
+    const handlers = createRequestHandlers({ rateLimits: new MemoryRateLimitStore(), stores: {}, broadcast: () => {} });
+
+    assert.throws(() => handlers.store({ store: 'clients', method: 'load', args: [] }), /Unknown store call "clients.load"/);
+    assert.throws(() => handlers.store({ store: 'fs', method: 'list', args: [] }), /Unknown store call/);
+    await assert.rejects(handlers['runtime-controls']({ method: 'save', args: [] }), /Unknown runtime control call "save"/);
+});
@@ -0,0 +1,154 @@
+// Many requests at once: each keeps its own model, language and retry count,
+// and a model coming back is probed once however many callers ask for it
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startProxy } = require('./helpers');
+const { MessageCatalog } = require('../lib/i18n');
+const { RecoveryCoordinator } = require('../lib/recoveryCoordinator');
+const { CircuitBreaker } = require('../lib/circuitBreaker');
+
+const i18n = MessageCatalog.load();
+const MISTRAL = 'mistralai/Mistral-7B-Instruct-v0.1';
+const OPT = 'facebook/opt-1.3b';
+const CHAIN = [MISTRAL, OPT, 'facebook/opt-350m', 'google/flan-t5-small', 'distilbert/distilbert-base-uncased'];
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dermi-concurrency-'));
+process.on('exit', () => fs.rmSync(configDir, { recursive: true, force: true }));
+
+// The usual registry, with mistral's breaker kept closed so the outcome of
+// every call depends only on the step the fake gave it
+const MODEL_REGISTRY_PATH = path.join(configDir, 'models.json');
+const registry = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'models.json'), 'utf8'));
+registry.models.find(model => model.name === MISTRAL).breaker = { minRequests: 1000 };
+fs.writeFileSync(MODEL_REGISTRY_PATH, JSON.stringify(registry));
+
+// Room for every request and sweep below
+const RATE_LIMIT_CONFIG_PATH = path.join(configDir, 'rateLimits.json');
+const rateLimits = require('../config/rateLimits.json');
+fs.writeFileSync(RATE_LIMIT_CONFIG_PATH, JSON.stringify({
+    ...rateLimits,
+    tiers: { ...rateLimits.tiers, anonymous: { limit: 100, windowMs: 60000 } },
+    admin: { limit: 100, windowMs: 60000 }
+}));
+
+// Mistral's answers in the order calls reach it, whoever makes them
+const MISTRAL_STEPS = [
+    'loading', 'fixture', 'loading', 'loading', { status: 500, body: { error: 'Internal error' } },
+    'fixture', 'loading', 'loading', 'loading', 'fixture', 'loading', 'fixture', 'fixture',
+    'loading', 'loading', 'fixture', { status: 500, body: { error: 'Internal error' } }, 'fixture'
+];
+
+const LANGUAGES = ['en', 'es', 'fr', 'de', 'zh', 'pt'];
+
+test('parallel requests keep their own model, language and retries', async (t) => {
+    const proxy = await startProxy({
+        scripts: { [MISTRAL]: MISTRAL_STEPS.concat('fixture') },
+        env: { MODEL_REGISTRY_PATH, RATE_LIMIT_CONFIG_PATH },
+        // One clock for all of them: backoff that moved it would eat into every deadline
+        appOptions: { sleep: async () => {} }
+    });
+    t.after(proxy.close);
+
+    const requests = Array.from({ length: 18 }, (_, i) => ({
+        question: `Question ${i}: how much sunscreen should I use?`,
+        language: LANGUAGES[i % LANGUAGES.length]
+    }));
+    const responses = await Promise.all(requests.map(({ question, language }) =>
+        proxy.post('/api/huggingface', { inputs: question, language })));
+
+    const mistralCalls = proxy.fake.callsTo(MISTRAL);
+    const stepOf = (call) => MISTRAL_STEPS[mistralCalls.indexOf(call)] || 'fixture';
+
+    requests.forEach(({ question, language }, i) => {
+        const { body } = responses[i];
+        const calls = proxy.fake.calls.filter(call => call.body.inputs.includes(question));
+        const models = calls.map(call => call.model);
+        const label = `request ${i} (${language})`;
+
+        // Down the chain in order, never back up
+        const positions = models.map(model => CHAIN.indexOf(model));
+        assert.deepStrictEqual(positions, positions.slice().sort((a, b) => a - b), label);
+
+        // Mistral prompts carry the system prompt of this request's language
+        const ownCalls = calls.filter(call => call.model === MISTRAL);
+        for (const call of ownCalls) {
+            assert.ok(call.body.inputs.includes(i18n.getSystemPrompt(language)), label);
+        }
+
+        // Retried while loading, up to three attempts, moved on after any other error
+        const steps = ownCalls.map(stepOf);
+        const firstOther = steps.findIndex(step => step !== 'loading');
+        const expectedAttempts = firstOther === -1 ? 3 : firstOther + 1;
+        assert.strictEqual(steps.length, Math.min(expectedAttempts, 3), label);
+
+        if (language === 'zh') {
+            // Every recorded answer is English, so each model is rejected in turn
+            assert.strictEqual(body.messageKey, 'ALL_MODELS_FAILED', label);
+            assert.strictEqual(body.fallbackText, i18n.t('ALL_MODELS_FAILED', 'zh'), label);
+            assert.strictEqual(models.slice(-4).join(), CHAIN.slice(1).join(), label);
+            return;
+        }
+
+        const answeredByMistral = steps[steps.length - 1] === 'fixture';
+        assert.strictEqual(body.model_used, answeredByMistral ? MISTRAL : OPT, label);
+        assert.strictEqual(models[models.length - 1], body.model_used, label);
+        assert.strictEqual(body.disclaimer, i18n.t('SAFETY_DISCLAIMER', language), label);
+        assert.strictEqual(responses[i].headers.get('content-language'), language, label);
+    });
+});
+
+test('concurrent recovery sweeps share one probe per model', async (t) => {
+    const proxy = await startProxy({
+        scripts: { [MISTRAL]: { text: 'Sunscreen protects the skin from ultraviolet rays.', delayMs: 100 } },
+        env: { RATE_LIMIT_CONFIG_PATH }
+    });
+    t.after(proxy.close);
+
+    const sweeps = await Promise.all(Array.from({ length: 8 }, () => proxy.admin('POST', '/api/admin/recovery/sweep')));
+
+    for (const { status, body } of sweeps) {
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.health[MISTRAL], true);
+    }
+    for (const model of CHAIN) {
+        assert.strictEqual(proxy.fake.callsTo(model).length, 1, model);
+    }
+});
+
+test('RecoveryCoordinator runs one probe per model for any number of callers', async () => {
+    const models = [{ name: 'a' }, { name: 'b' }];
+    const breakers = new Map(models.map(model => [model.name, new CircuitBreaker(model.name)]));
+    const probes = [];
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+
+    const recovery = new RecoveryCoordinator({
+        getModels: () => models,
+        getBreaker: model => breakers.get(model.name),
+        probe: async (model) => {
+            probes.push(model.name);
+            await gate;
+            if (model.name === 'b') throw new Error('still down');
+        }
+    });
+
+    const callers = [];
+    for (let i = 0; i < 20; i++) {
+        callers.push(recovery.probeModel(models[i % 2]));
+        callers.push(recovery.sweep());
+    }
+    assert.ok(recovery.isProbing(models[0]) && recovery.isProbing(models[1]));
+    release();
+    const results = await Promise.all(callers);
+
+    assert.deepStrictEqual(probes, ['a', 'b']);
+    assert.deepStrictEqual(results.slice(0, 4), [true, { a: true, b: false }, false, { a: true, b: false }]);
+    assert.ok(!recovery.isProbing(models[0]));
+
+    // Once the probes are done, the next caller gets a fresh one
+    await recovery.probeModel(models[0]);
+    assert.deepStrictEqual(probes, ['a', 'b', 'a']);
+});
@@ -0,0 +1,74 @@
+// In-memory stand-in for the Redis commands RedisRateLimitStore uses (incr,
+// get, pexpire, plus node-redis v4's pExpire), with keys expiring on an
+// injectable clock. Setting `failing` makes every command reject, like a
+// server that went away.
+class FakeRedis {
+    constructor(now = Date.now) {
+        this.now = now;
+        this.entries = new Map(); // key -> { value, expiresAt }
+        this.commands = [];       // [name, ...args] per command, in order
+        this.failing = false;
+    }
+
+    async run(name, args, command) {
+        this.commands.push([name, ...args]);
+        if (this.failing) throw new Error('connect ECONNREFUSED 127.0.0.1:6379');
+        return command();
+    }
+
+    lookup(key) {
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt !== null && this.now() >= entry.expiresAt) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    incr(key) {
+        return this.run('incr', [key], () => {
+            const entry = this.lookup(key) || { value: '0', expiresAt: null };
+            entry.value = String(Number(entry.value) + 1);
+            this.entries.set(key, entry);
+            return Number(entry.value);
+        });
+    }
+
+    get(key) {
+        return this.run('get', [key], () => {
+            const entry = this.lookup(key);
+            return entry ? entry.value : null;
+        });
+    }
+
+    pexpire(key, ms) {
+        return this.run('pexpire', [key, ms], () => {
+            const entry = this.lookup(key);
+            if (!entry) return 0;
+            entry.expiresAt = this.now() + Number(ms);
+            return 1;
+        });
+    }
+
+    // Time to live in ms, -1 without expiry and -2 for a missing key
+    pttl(key) {
+        return this.run('pttl', [key], () => {
+            const entry = this.lookup(key);
+            if (!entry) return -2;
+            return entry.expiresAt === null ? -1 : entry.expiresAt - this.now();
+        });
+    }
+}
+
+// The same client with node-redis v4 method names
+class FakeNodeRedis extends FakeRedis {
+    pExpire(key, ms) {
+        return super.pexpire(key, ms);
+    }
+}
+FakeNodeRedis.prototype.pexpire = undefined;
+
+module.exports = {
+    FakeRedis,
+    FakeNodeRedis
+};
@@ -0,0 +1,38 @@
+// Ratings for answers, by the response_id they came with
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startProxy } = require('./helpers');
+const { FileFeedbackStore } = require('../lib/feedbackStore');
+const { MessageCatalog } = require('../lib/i18n');
+
+const i18n = MessageCatalog.load();
+
+async function answer(proxy) {
+    const { body } = await proxy.post('/api/huggingface', { inputs: 'What is sunscreen?' });
+    return body.response_id;
+}
+
+test('an answer can be rated', async (t) => {
+    const proxy = await startProxy();
+    t.after(proxy.close);
+
+    const { status, body } = await proxy.post('/api/feedback', { response_id: await answer(proxy), rating: 'up' });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.messageKey, 'FEEDBACK_RECEIVED');
+});
+
+test('a failing feedback store gets a 500 with SERVER_ERROR', async (t) => {
+    const proxy = await startProxy();
+    t.after(proxy.close);
+    const responseId = await answer(proxy);
+    t.mock.method(FileFeedbackStore.prototype, 'rate', async () => {
+        throw new Error('disk full');
+    });
+
+    const { status, body } = await proxy.post('/api/feedback', { response_id: responseId, rating: 'down' }, { 'Accept-Language': 'fr' });
+
+    assert.strictEqual(status, 500);
+    assert.strictEqual(body.messageKey, 'SERVER_ERROR');
+    assert.strictEqual(body.fallbackMessage, i18n.t('SERVER_ERROR', 'fr'));
+});
@@ -0,0 +1,147 @@
+// Every guardrail rule against the transcripts in fixtures/guardrails.json,
+// in every catalog language, and the guardrails on streamed answers
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Guardrails, getCompleteSentences } = require('../lib/guardrails');
+const { MessageCatalog } = require('../lib/i18n');
+const { startProxy, calledModels } = require('./helpers');
+const config = require('../config/guardrails.json');
+const fixtures = require('./fixtures/guardrails.json');
+
+const i18n = MessageCatalog.load();
+const guardrails = Guardrails.load(i18n);
+const MISTRAL = 'mistralai/Mistral-7B-Instruct-v0.1';
+
+test('every rule has transcripts in every language', () => {
+    for (const [kind, rules] of [['input', config.input], ['output', config.output]]) {
+        for (const rule of rules) {
+            for (const language of i18n.languages) {
+                const cases = fixtures[kind][rule.id] && fixtures[kind][rule.id][language];
+                assert.ok(cases && cases.match.length && cases.pass.length, `${kind} ${rule.id} ${language}`);
+            }
+        }
+    }
+});
+
+for (const rule of config.input) {
+    test(`input rule ${rule.id}`, () => {
+        for (const [language, cases] of Object.entries(fixtures.input[rule.id])) {
+            for (const text of cases.match) {
+                const emergency = guardrails.checkInput(text, language);
+                assert.ok(emergency, `${language}: "${text}" should match`);
+                assert.strictEqual(emergency.id, rule.id, `${language}: "${text}"`);
+                assert.strictEqual(emergency.messageKey, rule.messageKey);
+                assert.strictEqual(emergency.fallbackText, i18n.t(rule.messageKey, language));
+            }
+            for (const text of cases.pass) {
+                assert.strictEqual(guardrails.checkInput(text, language), null, `${language}: "${text}" should pass`);
+            }
+        }
+    });
+}
+
+for (const rule of config.output) {
+    test(`output rule ${rule.id} (${rule.action})`, () => {
+        for (const [language, cases] of Object.entries(fixtures.output[rule.id])) {
+            for (const { question, answer, kept } of cases.match) {
+                const checked = guardrails.checkOutput(answer, { language, question });
+                const label = `${language}: "${answer}"`;
+                assert.deepStrictEqual(checked.flags, [rule.id], label);
+
+                if (rule.action === 'block') {
+                    assert.deepStrictEqual(checked.blocked, { messageKey: rule.messageKey, fallbackText: i18n.t(rule.messageKey, language) }, label);
+                } else {
+                    assert.strictEqual(checked.text, `${i18n.t(rule.replacementKey, language)} ${kept}`.replace(/([。！？]) /u, '$1'), label);
+                }
+            }
+            for (const { question, answer } of cases.pass) {
+                assert.deepStrictEqual(guardrails.checkOutput(answer, { language, question }), { text: answer, flags: [] }, `${language}: "${answer}" should pass`);
+            }
+        }
+    });
+}
+
+test('getCompleteSentences stops at the last finished sentence', () => {
+    assert.strictEqual(getCompleteSentences('Use SPF 30. Reapply every'), 'Use SPF 30. ');
+    assert.strictEqual(getCompleteSentences('Take 2.'), '');
+    assert.strictEqual(getCompleteSentences('Take 2.5 mg'), '');
+    assert.strictEqual(getCompleteSentences('请保持皮肤湿润。冷敷'), '请保持皮肤湿润。');
+    assert.strictEqual(getCompleteSentences('त्वचा को नम रखें। ठंडी'), 'त्वचा को नम रखें। ');
+});
+
+const DOSAGE_ANSWER = 'Take 2 tablets of antihistamine a day. Cool compresses can also help with itchy skin.';
+
+function tokenText(events) {
+    return events.filter(event => event.event === 'token').map(event => event.data.text).join('');
+}
+
+test('streamed tokens stop before a sentence the output rules rewrite', async (t) => {
+    const proxy = await startProxy({ scripts: { [MISTRAL]: { text: DOSAGE_ANSWER } } });
+    t.after(proxy.close);
+
+    const { events } = await proxy.post('/api/huggingface', { inputs: 'How do I calm itchy hives?', stream: true });
+    const done = events[events.length - 1].data;
+
+    assert.strictEqual(tokenText(events), '');
+    assert.deepStrictEqual(done.safety_flags, ['drug_dosage']);
+    assert.strictEqual(done.replace, true);
+    assert.ok(done.generated_text.startsWith(i18n.t('NO_DOSAGE_ADVICE', 'en')));
+});
+
+test('sentences before the flagged one still stream', async (t) => {
+    const proxy = await startProxy({
+        scripts: { [MISTRAL]: { text: `Hives usually fade within a day. ${DOSAGE_ANSWER}` } }
+    });
+    t.after(proxy.close);
+
+    const { events } = await proxy.post('/api/huggingface', { inputs: 'How do I calm itchy hives?', stream: true });
+
+    assert.strictEqual(tokenText(events), 'Hives usually fade within a day. ');
+    assert.ok(!events[events.length - 1].data.generated_text.includes('2 tablets'));
+});
+
+test('a cached answer is checked before it is streamed', async (t) => {
+    const proxy = await startProxy({ scripts: { [MISTRAL]: { text: DOSAGE_ANSWER } } });
+    t.after(proxy.close);
+
+    await proxy.post('/api/huggingface', { inputs: 'How do I calm itchy hives?' });
+    const { events } = await proxy.post('/api/huggingface', { inputs: 'How do I calm itchy hives?', stream: true });
+    const done = events[events.length - 1].data;
+
+    assert.deepStrictEqual(calledModels(proxy.fake), [MISTRAL]);
+    assert.strictEqual(done.cache, 'hit');
+    assert.ok(!tokenText(events).includes('tablets'));
+    assert.deepStrictEqual(done.safety_flags, ['drug_dosage']);
+});
+
+test('OpenAI-style streams only send text the output rules passed', async (t) => {
+    const proxy = await startProxy({ scripts: { [MISTRAL]: { text: DOSAGE_ANSWER } } });
+    t.after(proxy.close);
+
+    const { events } = await proxy.post('/v1/chat/completions', {
+        messages: [{ role: 'user', content: 'How do I calm itchy hives?' }],
+        stream: true
+    });
+    const chunks = events.filter(event => event.data !== '[DONE]').map(event => event.data);
+    const streamed = chunks.map(chunk => chunk.choices[0].delta.content || '').join('');
+
+    assert.ok(streamed.startsWith(i18n.t('NO_DOSAGE_ADVICE', 'en')), streamed);
+    assert.ok(!streamed.includes('tablets'), streamed);
+    assert.deepStrictEqual(chunks[chunks.length - 1].dermi.safety_flags, ['drug_dosage']);
+});
+
+test('clean answers still stream and end with the disclaimer', async (t) => {
+    const proxy = await startProxy({
+        scripts: { [MISTRAL]: { text: 'Sunscreen protects the skin. Use SPF 30 every day. Reapply it every two hours.' } }
+    });
+    t.after(proxy.close);
+
+    const { events } = await proxy.post('/api/huggingface', { inputs: 'What is sunscreen?', stream: true, language: 'es' });
+    const done = events[events.length - 1].data;
+    const tokens = events.filter(event => event.event === 'token');
+
+    assert.strictEqual(tokens[0].data.text, 'Sunscreen protects the skin. ');
+    assert.strictEqual(tokenText(events), done.generated_text);
+    assert.ok(done.generated_text.endsWith(i18n.t('SAFETY_DISCLAIMER', 'es')));
+    assert.strictEqual(done.replace, undefined);
+});
@@ -0,0 +1,133 @@
+// Shared setup for the integration tests: the proxy built in-process by
+// createApp and pointed at scripts/fakeHuggingFace.js, with a hand-driven clock
+// and every file-backed store in a temporary directory. Nothing leaves the machine.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../app');
+const { FakeHuggingFace } = require('../scripts/fakeHuggingFace');
+
+const ADMIN_KEY = 'test-admin-key';
+
+// Only warnings and errors of interest; set LOG_LEVEL=info to see every request
+if (!process.env.LOG_LEVEL) process.env.LOG_LEVEL = 'error';
+
+// A clock that only moves when told to. sleep() records the delay and moves
+// the clock instead of waiting, so retry backoff takes no time.
+function createClock(start = Date.UTC(2026, 0, 15, 12)) {
+    const clock = {
+        time: start,
+        sleeps: [],
+        now: () => clock.time,
+        sleep: async (ms) => {
+            clock.sleeps.push(ms);
+            clock.time += ms;
+        },
+        advance: (ms) => {
+            clock.time += ms;
+        }
+    };
+    return clock;
+}
+
+// Start the fake upstream and the proxy on free ports.
+// options: { scripts } for the fake, { env } added to the test environment,
+// { appOptions } passed to createApp
+async function startProxy(options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dermi-test-'));
+    const fake = new FakeHuggingFace(options.scripts);
+    const baseUrl = await fake.listen();
+    const clock = createClock();
+
+    const env = {
+        HUGGINGFACE_BASE_URL: baseUrl,
+        HUGGINGFACE_API_KEY: 'test-hf-key',
+        ADMIN_API_KEY: ADMIN_KEY,
+        CLIENT_STORE_PATH: path.join(dir, 'clients.json'),
+        FEEDBACK_STORE_PATH: path.join(dir, 'feedback.json'),
+        USAGE_STORE_PATH: path.join(dir, 'usage.json'),
+        RUNTIME_CONTROLS_PATH: path.join(dir, 'runtime.json'),
+        ADMIN_AUDIT_LOG_PATH: path.join(dir, 'audit.jsonl'),
+        EXPERIMENT_LOG_PATH: path.join(dir, 'experiments.jsonl'),
+        ...options.env
+    };
+    const saved = {};
+    for (const [name, value] of Object.entries(env)) {
+        saved[name] = process.env[name];
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+    }
+
+    const proxy = createApp({ now: clock.now, sleep: clock.sleep, ...options.appOptions });
+    const server = await new Promise(resolve => {
+        const listening = proxy.app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    async function request(method, route, body, headers = {}) {
+        const response = await fetch(url + route, {
+            method: method,
+            headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const type = response.headers.get('content-type') || '';
+        const text = await response.text();
+        return {
+            status: response.status,
+            headers: response.headers,
+            text: text,
+            body: type.includes('application/json') ? JSON.parse(text) : null,
+            events: type.includes('text/event-stream') ? parseEvents(text) : null
+        };
+    }
+
+    async function close() {
+        await proxy.stop();
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await fake.close();
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    return {
+        fake,
+        proxy,
+        clock,
+        url,
+        dir,
+        request,
+        get: (route, headers) => request('GET', route, undefined, headers),
+        post: (route, body, headers) => request('POST', route, body, headers),
+        admin: (method, route, body) => request(method, route, body, { 'X-API-Key': ADMIN_KEY }),
+        close
+    };
+}
+
+// Server-Sent Events as [{ event, data }]
+function parseEvents(text) {
+    return text.split('\n\n').filter(Boolean).map(block => {
+        const event = { event: 'message', data: null };
+        for (const line of block.split('\n')) {
+            if (line.startsWith('event: ')) event.event = line.slice(7);
+            if (line.startsWith('data: ')) event.data = line.slice(6) === '[DONE]' ? '[DONE]' : JSON.parse(line.slice(6));
+        }
+        return event;
+    });
+}
+
+// What the fake was asked, in order: the model of every call
+function calledModels(fake) {
+    return fake.calls.map(call => call.model);
+}
+
+module.exports = {
+    ADMIN_KEY,
+    createClock,
+    startProxy,
+    parseEvents,
+    calledModels
+};
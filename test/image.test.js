@@ -0,0 +1,51 @@
+// Image headers that are cut short or lie about their size are ImageErrors,
+// never a RangeError from reading past the buffer
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getImageDimensions, stripImageMetadata, ImageError } = require('../lib/image');
+
+// SOI, one segment, then start of scan
+function jpeg(marker, payload) {
+    const segment = Buffer.alloc(4 + payload.length);
+    segment.writeUInt16BE(0xff00 | marker, 0);
+    segment.writeUInt16BE(payload.length + 2, 2);
+    payload.copy(segment, 4);
+    return Buffer.concat([Buffer.from([0xff, 0xd8]), segment, Buffer.from([0xff, 0xda, 0x00, 0x02, 0x00])]);
+}
+
+function webp(fourcc, payload) {
+    const chunk = Buffer.alloc(8 + payload.length);
+    chunk.write(fourcc, 0, 'ascii');
+    chunk.writeUInt32LE(payload.length, 4);
+    payload.copy(chunk, 8);
+    const header = Buffer.from('RIFF\0\0\0\0WEBP', 'ascii');
+    header.writeUInt32LE(chunk.length + 4, 4);
+    return Buffer.concat([header, chunk]);
+}
+
+test('JPEG dimensions come from the frame header', () => {
+    // Precision 8, height 480, width 640, 3 components
+    const image = jpeg(0xc0, Buffer.from([8, 0x01, 0xe0, 0x02, 0x80, 3]));
+    assert.deepStrictEqual(getImageDimensions(image), { width: 640, height: 480 });
+});
+
+test('a JPEG frame header shorter than its dimensions is an ImageError', () => {
+    for (const length of [0, 1, 3, 4]) {
+        const image = jpeg(0xc0, Buffer.alloc(length));
+        assert.throws(() => getImageDimensions(image), ImageError, `${length} bytes`);
+    }
+});
+
+test('a JPEG segment length under two is an ImageError', () => {
+    const image = jpeg(0xe0, Buffer.alloc(0));
+    image.writeUInt16BE(1, 4);
+
+    assert.throws(() => getImageDimensions(image), ImageError);
+    assert.throws(() => stripImageMetadata(image), ImageError);
+});
+
+test('WebP image chunks too short for the canvas size are ImageErrors', () => {
+    for (const fourcc of ['VP8X', 'VP8 ', 'VP8L']) {
+        assert.throws(() => getImageDimensions(webp(fourcc, Buffer.alloc(2))), ImageError, fourcc);
+    }
+});
@@ -0,0 +1,153 @@
+// Keep-warm probes: intervals that adapt to cold starts, quiet hours and the
+// pause after the upstream runs out of quota
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { KeepWarmScheduler, parseQuietHours } = require('../lib/keepWarm');
+const { CircuitBreaker } = require('../lib/circuitBreaker');
+const { startProxy, createClock } = require('./helpers');
+
+const MISTRAL = 'mistralai/Mistral-7B-Instruct-v0.1';
+const KEEP_WARM = { intervalMs: 600000, minIntervalMs: 120000, maxIntervalMs: 1800000 };
+
+// Upstream errors as the probes see them
+const FAILURES = {
+    cold: { response: { status: 503 } },
+    quota: { response: { status: 429 } },
+    failed: { response: { status: 500 } }
+};
+
+// One kept-warm model whose probes answer with the given outcomes in turn, then 'warm'
+function createScheduler(outcomes = [], options = {}) {
+    const clock = options.clock || createClock();
+    const model = { name: 'm', keepWarm: KEEP_WARM };
+    const breaker = new CircuitBreaker('m', { minRequests: 1000 }, clock.now);
+    const scheduler = new KeepWarmScheduler({
+        getModels: () => [model],
+        getBreaker: () => breaker,
+        probe: async () => {
+            scheduler.probed++;
+            const outcome = outcomes.shift() || 'warm';
+            if (outcome !== 'warm') throw Object.assign(new Error(outcome), FAILURES[outcome]);
+        },
+        isColdStart: error => error.response.status === 503,
+        isQuotaError: error => error.response.status === 429
+    }, { now: clock.now, ...options });
+    scheduler.probed = 0;
+    return { scheduler, model, breaker, clock };
+}
+
+test('cold starts halve the interval down to minIntervalMs and warm probes stretch it up to maxIntervalMs', async () => {
+    const { scheduler, model, clock } = createScheduler(['cold', 'cold', 'cold']);
+    const intervals = [];
+
+    for (let i = 0; i < 10; i++) {
+        await scheduler.tick();
+        intervals.push(scheduler.getModelStatus(model).interval_ms);
+        clock.advance(scheduler.getModelStatus(model).interval_ms);
+    }
+
+    assert.deepStrictEqual(intervals, [
+        300000, 150000, 120000,
+        150000, 187500, 234375, 292969, 366211, 457764, 572205
+    ]);
+    assert.strictEqual(scheduler.getModelStatus(model).cold_starts, 3);
+    assert.strictEqual(scheduler.getModelStatus(model).last_outcome, 'warm');
+
+    for (let i = 0; i < 10; i++) {
+        clock.advance(scheduler.getModelStatus(model).interval_ms);
+        await scheduler.tick();
+    }
+    assert.strictEqual(scheduler.getModelStatus(model).interval_ms, KEEP_WARM.maxIntervalMs);
+});
+
+test('a model is only probed once its interval has passed, and only with a closed breaker', async () => {
+    const { scheduler, model, breaker, clock } = createScheduler();
+
+    await scheduler.tick();
+    await scheduler.tick();
+    assert.strictEqual(scheduler.probed, 1);
+
+    clock.advance(scheduler.getModelStatus(model).interval_ms - 1);
+    await scheduler.tick();
+    assert.strictEqual(scheduler.probed, 1);
+    clock.advance(1);
+    breaker.open();
+    await scheduler.tick();
+    assert.strictEqual(scheduler.probed, 1);
+    assert.strictEqual(scheduler.getModelStatus(model).probes, 1);
+});
+
+test('quiet hours are UTC hours and may wrap past midnight', async () => {
+    assert.deepStrictEqual(parseQuietHours('23-7'), { start: 23, end: 7 });
+    assert.strictEqual(parseQuietHours(''), null);
+    for (const text of ['23', '7-7', '22-24', 'night']) {
+        assert.throws(() => parseQuietHours(text), new RegExp(`Invalid quiet hours "${text}"`));
+    }
+
+    const clock = createClock(Date.UTC(2026, 0, 15, 23, 30));
+    const { scheduler } = createScheduler([], { clock, quietHours: parseQuietHours('23-7') });
+
+    for (const hours of [0, 1, 6.5]) {
+        clock.time = Date.UTC(2026, 0, 15, 23, 30) + hours * 3600000;
+        await scheduler.tick();
+        assert.strictEqual(scheduler.getStatus().paused, 'quiet_hours');
+    }
+    assert.strictEqual(scheduler.probed, 0);
+    assert.strictEqual(scheduler.getStatus().quiet_hours, '23-7 UTC');
+
+    clock.time = Date.UTC(2026, 0, 16, 7);
+    await scheduler.tick();
+    assert.strictEqual(scheduler.getStatus().paused, null);
+    assert.strictEqual(scheduler.probed, 1);
+});
+
+test('a probe that hits the quota pauses every probe for quotaPauseMs', async () => {
+    const { scheduler, model, clock } = createScheduler(['quota'], { quotaPauseMs: 900000 });
+
+    await scheduler.tick();
+    assert.strictEqual(scheduler.getModelStatus(model).last_outcome, 'quota');
+    assert.strictEqual(scheduler.getStatus().paused, 'quota');
+    assert.strictEqual(scheduler.getStatus().quota_paused_until, new Date(clock.now() + 900000).toISOString());
+
+    // The interval is left alone: a quota error says nothing about the model
+    clock.advance(scheduler.getModelStatus(model).interval_ms);
+    await scheduler.tick();
+    assert.strictEqual(scheduler.probed, 1);
+    assert.strictEqual(scheduler.getModelStatus(model).interval_ms, KEEP_WARM.intervalMs);
+
+    clock.advance(300000);
+    await scheduler.tick();
+    assert.strictEqual(scheduler.probed, 2);
+    assert.strictEqual(scheduler.getStatus().paused, null);
+});
+
+test('probes also wait while a usage budget is nearly used up', async () => {
+    let quotaLow = true;
+    const { scheduler } = createScheduler([], { isQuotaLow: () => quotaLow });
+
+    await scheduler.tick();
+    assert.strictEqual(scheduler.getStatus().paused, 'quota');
+    quotaLow = false;
+    await scheduler.tick();
+    assert.strictEqual(scheduler.probed, 1);
+});
+
+test('through the proxy: a 429 on user traffic pauses keep-warm for KEEP_WARM_QUOTA_PAUSE_MS', async (t) => {
+    const proxy = await startProxy({
+        scripts: { [MISTRAL]: { status: 429, body: { error: 'Rate limit reached' } } },
+        env: { KEEP_WARM_QUOTA_PAUSE_MS: '120000', KEEP_WARM_QUIET_HOURS: '2-5' }
+    });
+    t.after(proxy.close);
+
+    const hitAt = proxy.clock.now();
+    await proxy.post('/api/huggingface', { inputs: 'What is sunscreen?' });
+    const { body } = await proxy.get('/api/status');
+
+    assert.deepStrictEqual(body.keep_warm, {
+        paused: 'quota',
+        quiet_hours: '2-5 UTC',
+        quota_paused_until: new Date(hitAt + 120000).toISOString()
+    });
+    const mistral = body.models.find(model => model.name === MISTRAL);
+    assert.strictEqual(mistral.keep_warm.interval_ms, 600000);
+});
@@ -0,0 +1,140 @@
+// Retrieval from the knowledge base: how passages are tokenized and ranked,
+// which language's articles answer, and reloading the articles at runtime
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KnowledgeBase, KnowledgeBaseError, tokenize } = require('../lib/knowledgeBase');
+const { startProxy } = require('./helpers');
+
+const MISTRAL = 'mistralai/Mistral-7B-Instruct-v0.1';
+
+// A knowledge directory laid out from { 'en/sunscreen.md': text, ... }
+function writeKnowledge(t, files, dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dermi-knowledge-'))) {
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    for (const [name, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+    return dir;
+}
+
+function article(id, title, body) {
+    return `---\nid: ${id}\ntitle: ${title}\n---\n${body}\n`;
+}
+
+const ARTICLES = {
+    'en/sunscreen.md': article('sunscreen', 'Sunscreen basics',
+        'Sunscreen blocks ultraviolet rays. Reapply sunscreen every two hours and after swimming.'),
+    'en/eczema.md': article('eczema', 'Eczema',
+        'Eczema makes skin dry and itchy. Moisturizers and mild soap help calm eczema flares.'),
+    'en/sunburn.md': article('sunburn', 'Sunburn',
+        'A sunburn follows too much ultraviolet exposure. Cool compresses and aloe soothe burned skin.'),
+    'es/protector-solar.md': article('protector-solar', 'Protector solar',
+        'El protector solar bloquea los rayos ultravioleta. Vuelva a aplicar el protector cada dos horas.')
+};
+
+test('tokens are folded, stopwords dropped, plurals singular and Han text paired', () => {
+    assert.deepStrictEqual(tokenize('What are the BEST sunscreens for my skin?'), ['best', 'sunscreen', 'skin']);
+    assert.deepStrictEqual(tokenize('¿Qué protección solar uso?'), ['proteccion', 'solar', 'uso']);
+    assert.deepStrictEqual(tokenize("don't miss glass"), ['dont', 'miss', 'glass']);
+    assert.deepStrictEqual(tokenize('防晒霜'), ['防晒', '晒霜']);
+});
+
+test('passages that use the question\'s rarer words more often rank first', (t) => {
+    const knowledge = new KnowledgeBase(writeKnowledge(t, ARTICLES), { minScore: 0 });
+    knowledge.load();
+
+    const passages = knowledge.retrieve('How often should I reapply sunscreen?', 'en');
+    assert.deepStrictEqual(passages.map(passage => passage.articleId), ['sunscreen']);
+    assert.deepStrictEqual(Object.keys(passages[0]).sort(), ['articleId', 'id', 'score', 'text', 'title', 'url']);
+    assert.strictEqual(passages[0].id, 'sunscreen#1');
+
+    // Both mention ultraviolet; only one is about sunburn
+    const ranked = knowledge.retrieve('ultraviolet sunburn', 'en');
+    assert.deepStrictEqual(ranked.map(passage => passage.articleId), ['sunburn', 'sunscreen']);
+    assert.ok(ranked[0].score > ranked[1].score);
+});
+
+test('weak matches and anything past the limit are left out', (t) => {
+    const dir = writeKnowledge(t, ARTICLES);
+    const knowledge = new KnowledgeBase(dir, { limit: 1, minScore: 0 });
+    knowledge.load();
+    assert.strictEqual(knowledge.retrieve('ultraviolet skin', 'en').length, 1);
+
+    const strict = new KnowledgeBase(dir, { minScore: 100 });
+    strict.load();
+    assert.deepStrictEqual(strict.retrieve('ultraviolet skin', 'en'), []);
+    assert.deepStrictEqual(strict.retrieve('the of and', 'en'), []);
+});
+
+test('questions are matched in their own language first, then down the fallback chain to English', (t) => {
+    const knowledge = new KnowledgeBase(writeKnowledge(t, ARTICLES), { minScore: 0 });
+    knowledge.load();
+
+    assert.strictEqual(knowledge.retrieve('protector solar', 'es')[0].articleId, 'protector-solar');
+    assert.strictEqual(knowledge.retrieve('protector solar', 'es-MX')[0].articleId, 'protector-solar');
+    // Nothing in Spanish about eczema
+    assert.strictEqual(knowledge.retrieve('eczema', 'es')[0].articleId, 'eczema');
+    // No French articles at all
+    assert.strictEqual(knowledge.retrieve('eczema', 'fr')[0].articleId, 'eczema');
+    assert.deepStrictEqual(knowledge.retrieve('protector solar', 'en'), []);
+});
+
+test('every broken article is reported and the loaded corpus is kept', (t) => {
+    const dir = writeKnowledge(t, ARTICLES);
+    const knowledge = new KnowledgeBase(dir);
+    const stats = knowledge.load();
+    assert.deepStrictEqual(stats.languages, { en: { articles: 3, passages: 3 }, es: { articles: 1, passages: 1 } });
+
+    writeKnowledge(t, {
+        'en/untitled.md': 'No front matter and no heading.',
+        'en/copy.json': [{ id: 'eczema', title: 'Eczema again', body: 'Text.' }, { id: 'empty', title: 'Empty', body: ' ' }],
+        'es/roto.json': '{ "id": '
+    }, dir);
+    assert.throws(() => knowledge.load(), (error) => {
+        assert.ok(error instanceof KnowledgeBaseError);
+        assert.deepStrictEqual(error.errors.slice(0, 3), [
+            'en/copy.json[1] has no text',
+            'en/eczema.md: id "eczema" is used more than once',
+            'en/untitled.md needs a "title"'
+        ]);
+        assert.match(error.errors[3], /^es\/roto\.json: /);
+        return true;
+    });
+    assert.deepStrictEqual(knowledge.getStats(), stats);
+});
+
+test('through the proxy: articles reloaded by an admin are retrieved into the prompt', async (t) => {
+    const dir = writeKnowledge(t, { 'en/sunscreen.md': ARTICLES['en/sunscreen.md'] });
+    const proxy = await startProxy({ env: { KNOWLEDGE_BASE_PATH: dir } });
+    t.after(proxy.close);
+
+    writeKnowledge(t, { 'en/eczema.md': ARTICLES['en/eczema.md'] }, dir);
+    const reload = await proxy.admin('POST', '/api/admin/knowledge/reload');
+    assert.strictEqual(reload.status, 200);
+    assert.strictEqual(reload.body.status, 'reloaded');
+    assert.deepStrictEqual(reload.body.languages, { en: { articles: 2, passages: 2 } });
+
+    const { body } = await proxy.post('/api/huggingface', { inputs: 'How do I calm itchy eczema flares?' });
+    assert.deepStrictEqual(body.sources, [{ id: 'eczema', title: 'Eczema' }]);
+    assert.ok(proxy.fake.callsTo(MISTRAL)[0].body.inputs.includes('Moisturizers and mild soap help calm eczema flares.'));
+});
+
+test('through the proxy: a broken reload answers 422 with the problems and keeps the articles', async (t) => {
+    const dir = writeKnowledge(t, { 'en/sunscreen.md': ARTICLES['en/sunscreen.md'], 'en/eczema.md': ARTICLES['en/eczema.md'] });
+    const proxy = await startProxy({ env: { KNOWLEDGE_BASE_PATH: dir } });
+    t.after(proxy.close);
+
+    writeKnowledge(t, { 'en/broken.json': { id: 'broken' } }, dir);
+    const reload = await proxy.admin('POST', '/api/admin/knowledge/reload');
+    assert.strictEqual(reload.status, 422);
+    assert.strictEqual(reload.body.messageKey, 'SERVER_ERROR');
+    assert.deepStrictEqual(reload.body.details, ['en/broken.json needs a "title"']);
+
+    const { body } = await proxy.get('/api/status');
+    assert.deepStrictEqual(body.knowledge_base.languages, { en: { articles: 2, passages: 2 } });
+    const answer = await proxy.post('/api/huggingface', { inputs: 'How do I calm itchy eczema flares?' });
+    assert.deepStrictEqual(answer.body.sources, [{ id: 'eczema', title: 'Eczema' }]);
+});
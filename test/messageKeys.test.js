@@ -0,0 +1,118 @@
+// Every way /api/huggingface answers with a message key instead of model text,
+// with the fallback text in the request's language
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startProxy, calledModels } = require('./helpers');
+const { MessageCatalog } = require('../lib/i18n');
+const { MAX_MESSAGE_LENGTH } = require('../lib/conversation');
+
+const i18n = MessageCatalog.load();
+const MISTRAL = 'mistralai/Mistral-7B-Instruct-v0.1';
+const ALL_FAILING = {
+    [MISTRAL]: { status: 500, body: { error: 'Internal error' } },
+    'facebook/opt-1.3b': { status: 500, body: { error: 'Internal error' } },
+    'facebook/opt-350m': { status: 500, body: { error: 'Internal error' } },
+    'google/flan-t5-small': { status: 500, body: { error: 'Internal error' } },
+    'distilbert/distilbert-base-uncased': { status: 500, body: { error: 'Internal error' } }
+};
+
+test('request validation errors come back as 400 with a message key', async (t) => {
+    const proxy = await startProxy();
+    t.after(proxy.close);
+
+    const cases = [
+        [{ language: 'es' }, 'INPUT_REQUIRED', 'es'],
+        [{ inputs: 'x'.repeat(MAX_MESSAGE_LENGTH + 1) }, 'INPUT_TOO_LONG', 'en'],
+        [{ messages: [{ role: 'wizard', content: 'Hi' }], language: 'fr' }, 'INVALID_MESSAGES', 'fr'],
+        [{ inputs: 42 }, 'INPUT_REQUIRED', 'en'],
+        [{ inputs: { text: 'What is sunscreen?' }, language: 'de' }, 'INPUT_REQUIRED', 'de'],
+        [{ inputs: '   ' }, 'INPUT_REQUIRED', 'en'],
+        [{ inputs: [{ role: 'user' }], language: 'pt' }, 'INVALID_MESSAGES', 'pt']
+    ];
+    for (const [body, messageKey, language] of cases) {
+        const response = await proxy.post('/api/huggingface', body);
+        assert.strictEqual(response.status, 400, messageKey);
+        assert.strictEqual(response.body.messageKey, messageKey);
+        assert.strictEqual(response.body.fallbackMessage, i18n.t(messageKey, language));
+    }
+    assert.deepStrictEqual(proxy.fake.calls, []);
+});
+
+test('inputs may also be a messages array', async (t) => {
+    const proxy = await startProxy();
+    t.after(proxy.close);
+
+    const { status, body } = await proxy.post('/api/huggingface', { inputs: [{ role: 'user', content: 'What is sunscreen?' }] });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.model_used, MISTRAL);
+});
+
+test('Accept-Language picks the fallback text when the body names no language', async (t) => {
+    const proxy = await startProxy();
+    t.after(proxy.close);
+
+    const { body, headers } = await proxy.request('POST', '/api/huggingface', {}, { 'Accept-Language': 'de-DE,de;q=0.9' });
+
+    assert.strictEqual(headers.get('content-language'), 'de');
+    assert.strictEqual(body.fallbackMessage, i18n.t('INPUT_REQUIRED', 'de'));
+});
+
+test('ALL_MODELS_FAILED when every model errors', async (t) => {
+    const proxy = await startProxy({ scripts: ALL_FAILING });
+    t.after(proxy.close);
+
+    const { status, body } = await proxy.post('/api/huggingface', { inputs: '¿Qué es el protector solar?', language: 'es' });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.messageKey, 'ALL_MODELS_FAILED');
+    assert.strictEqual(body.fallbackText, i18n.t('ALL_MODELS_FAILED', 'es'));
+    assert.strictEqual(body.model_used, 'fallback_response');
+    assert.ok(body.response_id);
+});
+
+test('API_KEY_MISSING when no model has credentials', async (t) => {
+    const proxy = await startProxy({ env: { HUGGINGFACE_API_KEY: undefined } });
+    t.after(proxy.close);
+
+    const { body } = await proxy.post('/api/huggingface', { inputs: 'What is sunscreen?' });
+
+    assert.strictEqual(body.messageKey, 'API_KEY_MISSING');
+    assert.deepStrictEqual(proxy.fake.calls, []);
+});
+
+test('short answers become HELP_WITH_SKIN or HELP_WITH_SKIN_SPECIFIC', async (t) => {
+    const proxy = await startProxy({ scripts: { [MISTRAL]: [{ text: 'Yes.' }, { text: 'Use SPF 30.' }] } });
+    t.after(proxy.close);
+
+    const tiny = await proxy.post('/api/huggingface', { inputs: 'Is sunscreen good?', language: 'ar' });
+    assert.strictEqual(tiny.body.messageKey, 'HELP_WITH_SKIN');
+    assert.strictEqual(tiny.body.fallbackText, i18n.t('HELP_WITH_SKIN', 'ar'));
+
+    const short = await proxy.post('/api/huggingface', { inputs: 'Which SPF should I use?' });
+    assert.strictEqual(short.body.messageKey, 'HELP_WITH_SKIN_SPECIFIC');
+    assert.strictEqual(short.body.model_used, MISTRAL);
+});
+
+test('emergencies get EMERGENCY_CARE without calling a model', async (t) => {
+    const proxy = await startProxy();
+    t.after(proxy.close);
+
+    const { body } = await proxy.post('/api/huggingface', { inputs: 'My lips are swelling and I can\'t breathe after a bee sting' });
+
+    assert.strictEqual(body.messageKey, 'EMERGENCY_CARE');
+    assert.strictEqual(body.model_used, 'safety_guardrail');
+    assert.deepStrictEqual(proxy.fake.calls, []);
+});
+
+test('a stream that fails everywhere ends with a done event carrying the message key', async (t) => {
+    const proxy = await startProxy({ scripts: ALL_FAILING });
+    t.after(proxy.close);
+
+    const { events } = await proxy.post('/api/huggingface', { inputs: 'What is sunscreen?', stream: true, language: 'pt' });
+
+    assert.deepStrictEqual(events.map(event => event.event), ['done']);
+    assert.strictEqual(events[0].data.messageKey, 'ALL_MODELS_FAILED');
+    assert.strictEqual(events[0].data.fallbackText, i18n.t('ALL_MODELS_FAILED', 'pt'));
+    assert.strictEqual(calledModels(proxy.fake).length, 5);
+});
@@ -0,0 +1,131 @@
+// Fallback order and retry backoff of the text model chain (config/models.json):
+// mistral, opt-1.3b, opt-350m, flan-t5-small, distilbert
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startProxy, calledModels } = require('./helpers');
+
+const MISTRAL = 'mistralai/Mistral-7B-Instruct-v0.1';
+const OPT = 'facebook/opt-1.3b';
+const OPT_SMALL = 'facebook/opt-350m';
+const FLAN = 'google/flan-t5-small';
+const DISTILBERT = 'distilbert/distilbert-base-uncased';
+
+const SERVER_ERROR = { status: 500, body: { error: 'Internal error' } };
+
+test('the first model answers when it is healthy', async (t) => {
+    const proxy = await startProxy();
+    t.after(proxy.close);
+
+    const { status, body } = await proxy.post('/api/huggingface', { inputs: 'What is sunscreen?' });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.model_used, MISTRAL);
+    assert.deepStrictEqual(calledModels(proxy.fake), [MISTRAL]);
+    assert.deepStrictEqual(proxy.clock.sleeps, []);
+});
+
+test('a loading model is tried three times, 4s then 8s apart, before the next model', async (t) => {
+    const proxy = await startProxy({ scripts: { [MISTRAL]: 'loading' } });
+    t.after(proxy.close);
+
+    const { body } = await proxy.post('/api/huggingface', { inputs: 'What is sunscreen?' });
+
+    assert.strictEqual(body.model_used, OPT);
+    assert.deepStrictEqual(calledModels(proxy.fake), [MISTRAL, MISTRAL, MISTRAL, OPT]);
+    // The third failure trips the breaker, so there is no wait before moving on
+    assert.deepStrictEqual(proxy.clock.sleeps, [4000, 8000]);
+});
+
+test('a model that comes back while loading answers the retry', async (t) => {
+    const proxy = await startProxy({ scripts: { [MISTRAL]: ['loading', 'fixture'] } });
+    t.after(proxy.close);
+
+    const { body } = await proxy.post('/api/huggingface', { inputs: 'What is sunscreen?' });
+
+    assert.strictEqual(body.model_used, MISTRAL);
+    assert.deepStrictEqual(calledModels(proxy.fake), [MISTRAL, MISTRAL]);
+    assert.deepStrictEqual(proxy.clock.sleeps, [4000]);
+});
+
+test('other errors move on to the next model after a 2s pause', async (t) => {
+    const proxy = await startProxy({ scripts: { [MISTRAL]: SERVER_ERROR } });
+    t.after(proxy.close);
+
+    const { body } = await proxy.post('/api/huggingface', { inputs: 'What is sunscreen?' });
+
+    assert.strictEqual(body.model_used, OPT);
+    assert.deepStrictEqual(calledModels(proxy.fake), [MISTRAL, OPT]);
+    assert.deepStrictEqual(proxy.clock.sleeps, [2000]);
+});
+
+test('an answer that fails the quality checks moves on right away', async (t) => {
+    const proxy = await startProxy({ scripts: { [MISTRAL]: 'malformed' } });
+    t.after(proxy.close);
+
+    const { body } = await proxy.post('/api/huggingface', { inputs: 'What is sunscreen?' });
+
+    assert.strictEqual(body.model_used, OPT);
+    assert.deepStrictEqual(calledModels(proxy.fake), [MISTRAL, OPT]);
+    assert.deepStrictEqual(proxy.clock.sleeps, []);
+});
+
+test('the chain is walked in registry order until every model failed', async (t) => {
+    const proxy = await startProxy({
+        scripts: { [MISTRAL]: SERVER_ERROR, [OPT]: 'loading', [OPT_SMALL]: SERVER_ERROR, [FLAN]: SERVER_ERROR, [DISTILBERT]: SERVER_ERROR }
+    });
+    t.after(proxy.close);
+
+    const { status, body } = await proxy.post('/api/huggingface', { inputs: 'What is sunscreen?' });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.messageKey, 'ALL_MODELS_FAILED');
+    assert.strictEqual(body.model_used, 'fallback_response');
+    assert.deepStrictEqual(calledModels(proxy.fake), [MISTRAL, OPT, OPT, OPT, OPT_SMALL, FLAN, DISTILBERT]);
+    assert.deepStrictEqual(proxy.clock.sleeps, [2000, 4000, 8000, 2000, 2000, 2000]);
+});
+
+test('a model with an open breaker is skipped by the next request', async (t) => {
+    const proxy = await startProxy({ scripts: { [MISTRAL]: 'loading' } });
+    t.after(proxy.close);
+
+    await proxy.post('/api/huggingface', { inputs: 'What is sunscreen?' });
+    proxy.fake.calls = [];
+    proxy.clock.sleeps = [];
+
+    const { body } = await proxy.post('/api/huggingface', { inputs: 'How do I treat a sunburn?' });
+
+    assert.strictEqual(body.model_used, OPT);
+    assert.deepStrictEqual(calledModels(proxy.fake), [OPT]);
+    assert.deepStrictEqual(proxy.clock.sleeps, []);
+});
+
+test('backoff never waits past the request deadline', async (t) => {
+    const proxy = await startProxy({ scripts: { [MISTRAL]: 'loading' } });
+    t.after(proxy.close);
+
+    const { body } = await proxy.post('/api/huggingface', { inputs: 'What is sunscreen?' }, { 'X-Request-Timeout': '5000' });
+
+    assert.strictEqual(body.messageKey, 'REQUEST_TIMEOUT');
+    assert.deepStrictEqual(calledModels(proxy.fake), [MISTRAL, MISTRAL]);
+    assert.deepStrictEqual(proxy.clock.sleeps, [4000, 1000]);
+});
+
+test('PRIMARY_MODEL goes first and the rest of the chain keeps its order', async (t) => {
+    const proxy = await startProxy({ scripts: { [FLAN]: SERVER_ERROR }, env: { PRIMARY_MODEL: FLAN } });
+    t.after(proxy.close);
+
+    const { body } = await proxy.post('/api/huggingface', { inputs: 'What is sunscreen?' });
+
+    assert.strictEqual(body.model_used, MISTRAL);
+    assert.deepStrictEqual(calledModels(proxy.fake), [FLAN, MISTRAL]);
+});
+
+test('an admin pin goes before PRIMARY_MODEL', async (t) => {
+    const proxy = await startProxy({ env: { PRIMARY_MODEL: FLAN } });
+    t.after(proxy.close);
+
+    await proxy.admin('PATCH', `/api/admin/models/${OPT_SMALL}`, { pinned: true });
+    const { body } = await proxy.post('/api/huggingface', { inputs: 'What is sunscreen?' });
+
+    assert.strictEqual(body.model_used, OPT_SMALL);
+});
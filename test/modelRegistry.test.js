@@ -0,0 +1,130 @@
+// Loading the model registry: what a broken file is told, and hot reloads
+// that take good changes and keep the last good registry on bad ones
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ModelRegistry, RegistryError, validateRegistryConfig } = require('../lib/modelRegistry');
+
+const CONFIG = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'models.json'), 'utf8'));
+const MISTRAL = 'mistralai/Mistral-7B-Instruct-v0.1';
+const OPT = 'facebook/opt-1.3b';
+
+function tempRegistry(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dermi-registry-'));
+    const filePath = path.join(dir, 'models.json');
+    const registry = new ModelRegistry(filePath);
+    t.after(() => {
+        registry.unwatch();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // Each write gets a later mtime so the watcher can't miss it
+    let mtime = Date.now() / 1000;
+    registry.write = (content) => {
+        fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+        mtime += 10;
+        fs.utimesSync(filePath, mtime, mtime);
+    };
+    return registry;
+}
+
+// The watcher doesn't keep the process alive by itself, but these tests wait
+// on it. Its first look at the file is the baseline, so writes wait for that.
+async function watch(registry) {
+    registry.watch(20);
+    registry.watcher.ref();
+    await new Promise(resolve => setTimeout(resolve, 100));
+}
+
+function withModel(name, changes) {
+    return { ...CONFIG, models: CONFIG.models.map(model => (model.name === name ? { ...model, ...changes } : model)) };
+}
+
+test('the shipped registry is valid', () => {
+    assert.deepStrictEqual(validateRegistryConfig(CONFIG), []);
+});
+
+test('every problem in a registry is reported with where it is', () => {
+    const errors = validateRegistryConfig({
+        templates: { chat: { user: '{content}', footer: '' } },
+        defaults: { template: 'chat', provider: 'replicate' },
+        models: [
+            { name: 'a', priority: 1, timeout: -5, stop: [''] },
+            { name: 'a', priority: 'first', cleanup: [{ pattern: '(' }] },
+            { priority: 3, template: 'missing', maxConcurrent: 1.5 }
+        ]
+    });
+
+    assert.deepStrictEqual(errors, [
+        'templates.chat.footer is not a known template field',
+        'defaults.provider "replicate" is not one of huggingface, openai, stub',
+        'models[0].timeout must be a positive number',
+        'models[0].stop must be an array of non-empty strings',
+        'models[1].name "a" is listed more than once',
+        'models[1].priority must be a number (lower runs first)',
+        'models[1].cleanup[0] is not a valid regex: Invalid regular expression: /(/: Unterminated group',
+        'models[2].name is required',
+        'models[2].template "missing" is not defined in "templates"',
+        'models[2].maxConcurrent must be a positive integer'
+    ]);
+});
+
+test('a file that can\'t be used throws a RegistryError naming the file and its problems', (t) => {
+    const registry = tempRegistry(t);
+
+    registry.write('{ "models": [');
+    assert.throws(() => registry.load(), (error) => {
+        assert.ok(error instanceof RegistryError);
+        assert.ok(error.message.startsWith(`Invalid model registry ${registry.filePath}:\n  - `), error.message);
+        assert.match(error.errors[0], /JSON/);
+        return true;
+    });
+
+    registry.write({ templates: {}, models: [] });
+    assert.throws(() => registry.load(), {
+        name: 'RegistryError',
+        message: `Invalid model registry ${registry.filePath}:\n  - "models" must be a non-empty array`,
+        errors: ['"models" must be a non-empty array']
+    });
+});
+
+test('a changed file is reloaded while watched', { timeout: 10000 }, async (t) => {
+    const registry = tempRegistry(t);
+    registry.write(CONFIG);
+    registry.load();
+    assert.strictEqual(registry.getModels()[0].name, MISTRAL);
+    await watch(registry);
+
+    const reloaded = once(registry, 'reload');
+    registry.write(withModel(OPT, { priority: 0, maxConcurrent: 2 }));
+    await reloaded;
+
+    assert.strictEqual(registry.getModels()[0].name, OPT);
+    assert.strictEqual(registry.getModel(OPT).maxConcurrent, 2);
+});
+
+test('a bad change is rejected and the last good registry stays in use', { timeout: 10000 }, async (t) => {
+    const registry = tempRegistry(t);
+    registry.write(CONFIG);
+    const models = registry.load();
+    const template = registry.getModel(MISTRAL).template;
+    await watch(registry);
+
+    let failed = once(registry, 'reloadFailed');
+    registry.write(withModel(MISTRAL, { template: 'llama3' }));
+    const [error] = await failed;
+
+    assert.ok(error instanceof RegistryError);
+    assert.deepStrictEqual(error.errors, ['models[0].template "llama3" is not defined in "templates"']);
+    assert.strictEqual(registry.models, models);
+    assert.strictEqual(registry.getModel(MISTRAL).template, template);
+
+    // Half-written files are no better
+    failed = once(registry, 'reloadFailed');
+    registry.write('{ "templates": ');
+    await failed;
+    assert.strictEqual(registry.models, models);
+});
@@ -0,0 +1,144 @@
+// The OpenAI-compatible chat completions route: request options mapped to
+// generation parameters, streamed chunks, and message keys in "dermi"
+const { test } = require('node:test');
+const assert = require('node:assert');
+const openaiCompat = require('../lib/openaiCompat');
+const { startProxy, calledModels } = require('./helpers');
+const { MessageCatalog } = require('../lib/i18n');
+
+const i18n = MessageCatalog.load();
+const MISTRAL = 'mistralai/Mistral-7B-Instruct-v0.1';
+const OPT = 'facebook/opt-1.3b';
+const CHAIN = [MISTRAL, OPT, 'facebook/opt-350m', 'google/flan-t5-small', 'distilbert/distilbert-base-uncased'];
+const SERVER_ERROR = { status: 500, body: { error: 'Internal error' } };
+const QUESTION = [{ role: 'user', content: 'How often should I reapply sunscreen?' }];
+
+// The content of a stream's chunks, joined
+function streamedContent(events) {
+    return events.filter(event => event.data !== '[DONE]')
+        .map(event => event.data.choices[0].delta.content || '')
+        .join('');
+}
+
+test('max_tokens, temperature, top_p and stop become generation parameters', () => {
+    assert.deepStrictEqual(openaiCompat.parseGenerationOptions({}), { parameters: undefined });
+    assert.deepStrictEqual(
+        openaiCompat.parseGenerationOptions({ max_tokens: 50, temperature: 0.2, top_p: 0.9, stop: 'END' }).parameters,
+        { max_new_tokens: 50, temperature: 0.2, top_p: 0.9, stop: ['END'] }
+    );
+    // The newer name wins, and temperature 0 means greedy decoding
+    assert.deepStrictEqual(
+        openaiCompat.parseGenerationOptions({ max_tokens: 50, max_completion_tokens: 80, temperature: 0 }).parameters,
+        { max_new_tokens: 80, do_sample: false }
+    );
+
+    const invalid = [
+        [{ n: 2 }, 'n'],
+        [{ max_tokens: 0 }, 'max_tokens'],
+        [{ max_tokens: 4096 }, 'max_tokens'],
+        [{ temperature: 3 }, 'temperature'],
+        [{ top_p: 0 }, 'top_p'],
+        [{ stop: ['a', 'b', 'c', 'd', 'e'] }, 'stop'],
+        [{ stop: [''] }, 'stop']
+    ];
+    for (const [body, param] of invalid) {
+        const { error } = openaiCompat.parseGenerationOptions(body);
+        assert.strictEqual(error.error.param, param, JSON.stringify(body));
+        assert.strictEqual(error.error.type, 'invalid_request_error');
+    }
+});
+
+test('developer messages are system turns and text parts are joined', () => {
+    assert.deepStrictEqual(openaiCompat.toConversation([
+        { role: 'developer', content: 'Answer briefly.' },
+        { role: 'user', content: [{ type: 'text', text: 'What is SPF?' }, { type: 'text', text: 'And UVA?' }] }
+    ]), [
+        { role: 'system', content: 'Answer briefly.' },
+        { role: 'user', content: 'What is SPF?\nAnd UVA?' }
+    ]);
+});
+
+test('a completion is answered in the OpenAI shape with the request\'s parameters upstream', async (t) => {
+    const proxy = await startProxy({
+        scripts: { [MISTRAL]: { text: 'Reapply sunscreen every two hours. END Human: thanks' } }
+    });
+    t.after(proxy.close);
+
+    const { status, body } = await proxy.post('/v1/chat/completions', {
+        model: 'dermi',
+        messages: QUESTION,
+        max_tokens: 60,
+        temperature: 0.2,
+        stop: ['END']
+    });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.object, 'chat.completion');
+    assert.match(body.id, /^chatcmpl-[0-9a-f]{24}$/);
+    assert.strictEqual(body.model, 'dermi');
+    assert.strictEqual(body.choices[0].message.role, 'assistant');
+    assert.strictEqual(body.choices[0].finish_reason, 'stop');
+    assert.ok(body.choices[0].message.content.startsWith('Reapply sunscreen every two hours.'));
+    assert.ok(!body.choices[0].message.content.includes('END'));
+    assert.strictEqual(body.dermi.model_used, MISTRAL);
+    assert.strictEqual(body.dermi.message_key, undefined);
+
+    const [call] = proxy.fake.callsTo(MISTRAL);
+    assert.strictEqual(call.body.parameters.max_new_tokens, 60);
+    assert.strictEqual(call.body.parameters.temperature, 0.2);
+    assert.deepStrictEqual(call.body.parameters.stop, ['[INST]', 'END']);
+});
+
+test('a model id starts the chain at that model; unknown ids and bad options get OpenAI errors', async (t) => {
+    const proxy = await startProxy();
+    t.after(proxy.close);
+
+    assert.strictEqual((await proxy.post('/v1/chat/completions', { model: OPT, messages: QUESTION })).body.dermi.model_used, OPT);
+    assert.deepStrictEqual(calledModels(proxy.fake), [OPT]);
+
+    const unknown = await proxy.post('/v1/chat/completions', { model: 'gpt-4', messages: QUESTION });
+    assert.strictEqual(unknown.status, 404);
+    assert.strictEqual(unknown.body.error.code, 'model_not_found');
+
+    const invalid = await proxy.post('/v1/chat/completions', { messages: QUESTION, temperature: 'hot' });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.error.param, 'temperature');
+});
+
+test('stream:true sends chunks that add up to the answer, then [DONE]', async (t) => {
+    const proxy = await startProxy({
+        scripts: { [MISTRAL]: { text: 'Reapply sunscreen every two hours. Use SPF 30 or higher.' } }
+    });
+    t.after(proxy.close);
+
+    const { headers, events } = await proxy.post('/v1/chat/completions', { messages: QUESTION, stream: true });
+    const chunks = events.slice(0, -1).map(event => event.data);
+    const last = chunks[chunks.length - 1];
+
+    assert.match(headers.get('content-type'), /^text\/event-stream/);
+    assert.strictEqual(events[events.length - 1].data, '[DONE]');
+    assert.deepStrictEqual(chunks[0].choices[0].delta, { role: 'assistant', content: '' });
+    assert.ok(chunks.every(chunk => chunk.object === 'chat.completion.chunk' && chunk.id === chunks[0].id));
+    assert.ok(chunks.length > 3);
+    assert.ok(streamedContent(events).startsWith('Reapply sunscreen every two hours. Use SPF 30 or higher.'));
+    assert.strictEqual(last.choices[0].finish_reason, 'stop');
+    assert.strictEqual(last.dermi.model_used, MISTRAL);
+    assert.strictEqual(last.dermi.replace, undefined);
+    assert.strictEqual(proxy.fake.callsTo(MISTRAL)[0].stream, true);
+});
+
+test('a fallback answer is its localized text, with the key in dermi.message_key', async (t) => {
+    const proxy = await startProxy();
+    t.after(proxy.close);
+    for (const model of CHAIN) proxy.fake.script(model, SERVER_ERROR);
+    const headers = { 'Accept-Language': 'es' };
+
+    const { body } = await proxy.post('/v1/chat/completions', { messages: QUESTION }, headers);
+    const key = body.dermi.message_key;
+    assert.strictEqual(key, 'ALL_MODELS_FAILED');
+    assert.strictEqual(body.choices[0].message.content, i18n.t(key, 'es'));
+
+    const { events } = await proxy.post('/v1/chat/completions', { messages: QUESTION, stream: true }, headers);
+    assert.strictEqual(streamedContent(events), i18n.t(key, 'es'));
+    assert.strictEqual(events[events.length - 2].data.dermi.message_key, key);
+});
@@ -0,0 +1,34 @@
+// The quality pass over model answers keeps the layout of what it doesn't remove
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { postProcess } = require('../lib/postProcess');
+
+test('line breaks and markdown lists survive', () => {
+    const text = 'Tips for dry skin:\n- Use a gentle cleanser.\n- Moisturize twice a day.\n\nSee a doctor if it cracks.';
+
+    assert.deepStrictEqual(postProcess(text), { text, issue: null });
+});
+
+test('dropping a repeated sentence keeps the separators around it', () => {
+    const { text } = postProcess('Use SPF 30.\n\nUse SPF 30. Reapply every two hours.\n- Wear a hat.');
+
+    assert.strictEqual(text, 'Use SPF 30.\n\nReapply every two hours.\n- Wear a hat.');
+});
+
+test('collapsing a loop keeps the line break after it', () => {
+    const { text } = postProcess('Keep the skin cool and calm today.\n- Apply it daily apply it daily apply it daily\n- Sleep well.');
+
+    assert.strictEqual(text, 'Keep the skin cool and calm today.\n- Apply it daily\n- Sleep well.');
+});
+
+test('sentences past the limit are cut, with no trailing whitespace', () => {
+    const { text } = postProcess('One fact.\nTwo facts.\nThree facts.', { maxSentences: 2 });
+
+    assert.strictEqual(text, 'One fact.\nTwo facts.');
+});
+
+test('CJK sentences run on without spaces', () => {
+    const { text } = postProcess('请保持皮肤湿润。请避免抓挠。请保持皮肤湿润。每天涂抹保湿霜。', { language: 'zh' });
+
+    assert.strictEqual(text, '请保持皮肤湿润。请避免抓挠。每天涂抹保湿霜。');
+});
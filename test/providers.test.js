@@ -0,0 +1,160 @@
+// Inference providers besides Hugging Face: OpenAI-compatible servers and the
+// offline stub, on their own and as models in the chain
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { PROVIDERS, getProvider, hasCredentials } = require('../lib/providers');
+const { startProxy, calledModels } = require('./helpers');
+
+const { openai, stub } = PROVIDERS;
+const MESSAGES = [{ role: 'system', content: 'You are Dermi.' }, { role: 'user', content: 'What is SPF?' }];
+
+// A /v1/chat/completions server that records requests and answers with
+// respond(body, res); streamed answers are sent in pieces that split lines
+async function startOpenAiServer(t, respond) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = JSON.parse(raw);
+            requests.push({ url: req.url, headers: req.headers, body });
+            respond(body, res);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { requests, baseUrl: `http://127.0.0.1:${server.address().port}/v1` };
+}
+
+function answer(content, usage) {
+    return (body, res) => {
+        if (body.stream) {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            const events = content.split(/(?<= )/).map(piece => ({ choices: [{ delta: { content: piece } }] }));
+            events.unshift({ choices: [{ delta: { role: 'assistant' } }] });
+            events.push({ choices: [{ delta: {}, finish_reason: 'stop' }], usage });
+            const text = events.map(event => `data: ${JSON.stringify(event)}\n\n`).join('') + 'data: [DONE]\n\n';
+            for (let i = 0; i < text.length; i += 7) res.write(text.slice(i, i + 7));
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content } }], usage }));
+    };
+}
+
+test('OpenAI-compatible servers get the messages and parameters in their own names', async (t) => {
+    const server = await startOpenAiServer(t, answer('SPF measures UVB protection.', { prompt_tokens: 12, completion_tokens: 5 }));
+    const usage = [];
+
+    const text = await openai.generate({ name: 'local/llama', baseUrl: `${server.baseUrl}/`, model: 'llama3' }, {
+        messages: MESSAGES,
+        parameters: { max_new_tokens: 80, do_sample: false, top_p: 0.9, stop: ['END'], repetition_penalty: 1.2 },
+        apiKey: 'sk-local',
+        timeout: 5000,
+        onUsage: counts => usage.push(counts)
+    });
+
+    assert.strictEqual(text, 'SPF measures UVB protection.');
+    assert.deepStrictEqual(usage, [{ input_tokens: 12, output_tokens: 5 }]);
+    const [request] = server.requests;
+    assert.strictEqual(request.url, '/v1/chat/completions');
+    assert.strictEqual(request.headers.authorization, 'Bearer sk-local');
+    assert.deepStrictEqual(request.body, {
+        model: 'llama3',
+        messages: MESSAGES,
+        max_tokens: 80,
+        temperature: 0,
+        top_p: 0.9,
+        stop: ['END']
+    });
+});
+
+test('OpenAI-compatible streams yield the content deltas however the bytes arrive', async (t) => {
+    const server = await startOpenAiServer(t, answer('SPF measures UVB protection.', { prompt_tokens: 12, completion_tokens: 5 }));
+    const usage = [];
+
+    const chunks = [];
+    for await (const chunk of openai.stream({ name: 'local/llama', baseUrl: server.baseUrl }, {
+        messages: MESSAGES,
+        timeout: 5000,
+        onUsage: counts => usage.push(counts)
+    })) {
+        chunks.push(chunk);
+    }
+
+    assert.deepStrictEqual(chunks, ['SPF ', 'measures ', 'UVB ', 'protection.']);
+    assert.deepStrictEqual(usage, [{ input_tokens: 12, output_tokens: 5 }]);
+    assert.strictEqual(server.requests[0].body.model, 'local/llama');
+    assert.strictEqual(server.requests[0].body.stream, true);
+    assert.strictEqual(server.requests[0].headers.authorization, undefined);
+});
+
+test('OpenAI-compatible errors keep the upstream status', async (t) => {
+    const server = await startOpenAiServer(t, (body, res) => {
+        res.writeHead(429, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'Too many requests' } }));
+    });
+
+    await assert.rejects(openai.generate({ name: 'local/llama', baseUrl: server.baseUrl }, { messages: MESSAGES }),
+        error => error.response.status === 429);
+});
+
+test('the stub answers offline and fails on request', async () => {
+    assert.match(await stub.generate({ name: 'stub/a' }), /^Daily sunscreen with SPF 30/);
+    assert.strictEqual(await stub.generate({ name: 'stub/a', response: 'Use SPF 30.' }), 'Use SPF 30.');
+
+    const chunks = [];
+    for await (const chunk of stub.stream({ name: 'stub/a', response: 'Use SPF 30 daily.' })) chunks.push(chunk);
+    assert.deepStrictEqual(chunks, ['Use ', 'SPF ', '30 ', 'daily.']);
+
+    assert.deepStrictEqual(await stub.classifyImage({ name: 'stub/a', labels: [{ label: 'eczema', score: 0.9 }] }),
+        [{ label: 'eczema', score: 0.9 }]);
+    await assert.rejects(stub.generate({ name: 'stub/a', fail: 503 }), (error) => {
+        assert.strictEqual(error.response.status, 503);
+        assert.strictEqual(error.message, 'Stub model stub/a failed with status 503');
+        return true;
+    });
+});
+
+test('providers are looked up by name and only Hugging Face needs a key', () => {
+    assert.strictEqual(getProvider({ name: 'm' }).name, 'huggingface');
+    assert.throws(() => getProvider({ name: 'm', provider: 'replicate' }), /Unknown provider "replicate" for model m/);
+    assert.strictEqual(hasCredentials({ name: 'm', provider: 'stub' }), true);
+    assert.strictEqual(hasCredentials({ name: 'm', provider: 'openai' }), true);
+    assert.strictEqual(hasCredentials({ name: 'm', provider: 'huggingface', apiKeyEnv: 'NO_SUCH_KEY_SET' }), false);
+});
+
+test('through the proxy: an OpenAI-compatible model and stubs take their place in the chain', async (t) => {
+    const server = await startOpenAiServer(t, answer('SPF measures how well a sunscreen blocks UVB rays.'));
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dermi-providers-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const registry = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'models.json'), 'utf8'));
+    registry.models = [
+        { name: 'stub/down', provider: 'stub', priority: 0, fail: 500 },
+        { name: 'local/llama', provider: 'openai', baseUrl: server.baseUrl, model: 'llama3', priority: 1 },
+        { name: 'stub/backup', provider: 'stub', priority: 2, response: 'Use SPF 30 or higher every day.' }
+    ];
+    delete registry.experiments;
+    const MODEL_REGISTRY_PATH = path.join(dir, 'models.json');
+    fs.writeFileSync(MODEL_REGISTRY_PATH, JSON.stringify(registry));
+
+    const proxy = await startProxy({ env: { MODEL_REGISTRY_PATH } });
+    t.after(proxy.close);
+
+    const { body } = await proxy.post('/api/huggingface', { inputs: 'What is SPF?' });
+    assert.strictEqual(body.model_used, 'local/llama');
+    assert.ok(body.generated_text.startsWith('SPF measures how well a sunscreen blocks UVB rays.'));
+    assert.strictEqual(server.requests[0].body.model, 'llama3');
+    assert.deepStrictEqual(server.requests[0].body.messages.slice(-1), [{ role: 'user', content: 'What is SPF?' }]);
+    assert.deepStrictEqual(calledModels(proxy.fake), []);
+
+
+    const backup = await proxy.post('/v1/chat/completions', { model: 'stub/backup', messages: [{ role: 'user', content: 'What is SPF?' }] });
+    assert.strictEqual(backup.body.dermi.model_used, 'stub/backup');
+    assert.ok(backup.body.choices[0].message.content.startsWith('Use SPF 30 or higher every day.'));
+});
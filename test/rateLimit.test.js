@@ -0,0 +1,84 @@
+// Per-tier rate limits on the API routes, counted on the injected clock
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startProxy } = require('./helpers');
+const { MessageCatalog } = require('../lib/i18n');
+
+const i18n = MessageCatalog.load();
+
+// Small limits so a test runs out quickly; validation errors still count
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dermi-limits-'));
+const RATE_LIMIT_CONFIG_PATH = path.join(configDir, 'rateLimits.json');
+fs.writeFileSync(RATE_LIMIT_CONFIG_PATH, JSON.stringify({
+    tiers: {
+        anonymous: { limit: 3, windowMs: 60000 },
+        free: { limit: 5, windowMs: 60000 },
+        internal: { limit: 600, windowMs: 60000 }
+    },
+    clients: {},
+    admin: { limit: 2, windowMs: 60000 },
+    batch: { limit: 10, windowMs: 3600000 }
+}));
+process.on('exit', () => fs.rmSync(configDir, { recursive: true, force: true }));
+
+async function startLimitedProxy(t) {
+    const proxy = await startProxy({ env: { RATE_LIMIT_CONFIG_PATH } });
+    t.after(proxy.close);
+    return proxy;
+}
+
+async function hit(proxy, times, headers) {
+    const statuses = [];
+    for (let i = 0; i < times; i++) {
+        statuses.push((await proxy.request('POST', '/api/huggingface', {}, headers)).status);
+    }
+    return statuses;
+}
+
+test('anonymous callers get the anonymous tier limit, then 429 with a message key', async (t) => {
+    const proxy = await startLimitedProxy(t);
+
+    assert.deepStrictEqual(await hit(proxy, 3), [400, 400, 400]);
+
+    const limited = await proxy.post('/api/huggingface', { language: 'fr' });
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.body.messageKey, 'RATE_LIMIT_EXCEEDED');
+    assert.strictEqual(limited.body.fallbackMessage, i18n.t('RATE_LIMIT_EXCEEDED', 'fr'));
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.deepStrictEqual(proxy.fake.calls, []);
+});
+
+test('hits age out of the sliding window', async (t) => {
+    const proxy = await startLimitedProxy(t);
+
+    assert.deepStrictEqual(await hit(proxy, 4), [400, 400, 400, 429]);
+    // Right after the window ends, its hits still count in full
+    proxy.clock.advance(60000);
+    assert.deepStrictEqual(await hit(proxy, 1), [429]);
+    proxy.clock.advance(60000);
+    assert.deepStrictEqual(await hit(proxy, 1), [400]);
+});
+
+test('client keys are limited by their own tier, apart from anonymous callers', async (t) => {
+    const proxy = await startLimitedProxy(t);
+
+    const issued = await proxy.admin('POST', '/api/admin/clients', { name: 'test app', tier: 'free' });
+    assert.strictEqual(issued.status, 201);
+    const headers = { 'X-API-Key': issued.body.key };
+
+    assert.deepStrictEqual(await hit(proxy, 6, headers), [400, 400, 400, 400, 400, 429]);
+    assert.deepStrictEqual(await hit(proxy, 1), [400]);
+});
+
+test('admin overrides of a tier apply to the next request', async (t) => {
+    const proxy = await startLimitedProxy(t);
+
+    assert.deepStrictEqual(await hit(proxy, 4), [400, 400, 400, 429]);
+
+    const changed = await proxy.admin('PUT', '/api/admin/rate-limits/tiers/anonymous', { limit: 5, windowMs: 60000 });
+    assert.strictEqual(changed.status, 200);
+    assert.deepStrictEqual(await hit(proxy, 2), [400, 429]);
+});
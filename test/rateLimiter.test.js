@@ -0,0 +1,155 @@
+// RedisRateLimitStore and the rate limiting middleware against an in-memory Redis
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { RedisRateLimitStore, createRateLimiter } = require('../lib/rateLimiter');
+const { createClock } = require('./helpers');
+const { FakeRedis, FakeNodeRedis } = require('./fakeRedis');
+
+const WINDOW_MS = 60000;
+
+// Just enough of an Express response for the middleware
+function createResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        set(name, value) {
+            Object.assign(this.headers, typeof name === 'object' ? name : { [name]: value });
+            return this;
+        },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+// Run the middleware on a request from `key` and report what it did
+async function hit(limiter, key) {
+    const res = createResponse();
+    let passed = false;
+    await limiter({ key }, res, () => { passed = true; });
+    return passed ? 'ok' : res.statusCode;
+}
+
+async function hits(limiter, key, times) {
+    const results = [];
+    for (let i = 0; i < times; i++) results.push(await hit(limiter, key));
+    return results;
+}
+
+function createLimiter(store, clock, options = {}) {
+    return createRateLimiter({
+        store: store,
+        name: 'api',
+        resolvePolicy: () => ({ tier: 'test', limit: 3, windowMs: WINDOW_MS }),
+        keyGenerator: req => req.key,
+        rejectBody: () => ({ messageKey: 'RATE_LIMIT_EXCEEDED' }),
+        now: clock.now,
+        ...options
+    });
+}
+
+test('the first hit of a window sets its expiry, later hits only count', async () => {
+    const clock = createClock();
+    const redis = new FakeRedis(clock.now);
+    const store = new RedisRateLimitStore(redis);
+
+    assert.strictEqual(await store.increment('a', 1000), 1);
+    assert.strictEqual(await store.increment('a', 1000), 2);
+    assert.strictEqual(await store.get('a'), 2);
+    assert.deepStrictEqual(redis.commands.filter(([name]) => name === 'pexpire'), [['pexpire', 'dermi:rl:a', 1000]]);
+    assert.strictEqual(await redis.pttl('dermi:rl:a'), 1000);
+});
+
+test('counters expire with their window', async () => {
+    const clock = createClock();
+    const store = new RedisRateLimitStore(new FakeRedis(clock.now));
+
+    await store.increment('a', 1000);
+    clock.advance(999);
+    assert.strictEqual(await store.get('a'), 1);
+    clock.advance(1);
+    assert.strictEqual(await store.get('a'), 0);
+    assert.strictEqual(await store.increment('a', 1000), 1);
+});
+
+test('node-redis clients expire keys through pExpire', async () => {
+    const clock = createClock();
+    const redis = new FakeNodeRedis(clock.now);
+    const store = new RedisRateLimitStore(redis, 'test:');
+
+    await store.increment('a', 500);
+    assert.strictEqual(await redis.pttl('test:a'), 500);
+});
+
+test('requests over the limit get 429 until the sliding window has moved on', async () => {
+    const clock = createClock();
+    const limiter = createLimiter(new RedisRateLimitStore(new FakeRedis(clock.now)), clock);
+
+    assert.deepStrictEqual(await hits(limiter, 'ip:1', 4), ['ok', 'ok', 'ok', 429]);
+
+    // The previous window still counts, in proportion to how much of it overlaps
+    clock.advance(WINDOW_MS);
+    assert.deepStrictEqual(await hits(limiter, 'ip:1', 1), [429]);
+    clock.advance(WINDOW_MS * 3 / 4);
+    assert.deepStrictEqual(await hits(limiter, 'ip:1', 1), ['ok']);
+
+    // Two windows later nothing is left
+    clock.advance(WINDOW_MS * 2);
+    assert.deepStrictEqual(await hits(limiter, 'ip:1', 3), ['ok', 'ok', 'ok']);
+});
+
+test('each key has its own budget', async () => {
+    const clock = createClock();
+    const limiter = createLimiter(new RedisRateLimitStore(new FakeRedis(clock.now)), clock);
+
+    assert.deepStrictEqual(await hits(limiter, 'ip:1', 4), ['ok', 'ok', 'ok', 429]);
+    assert.deepStrictEqual(await hits(limiter, 'client:abc', 3), ['ok', 'ok', 'ok']);
+    assert.deepStrictEqual(await hits(limiter, 'ip:2', 1), ['ok']);
+});
+
+test('limiters sharing a store keep separate budgets per route', async () => {
+    const clock = createClock();
+    const store = new RedisRateLimitStore(new FakeRedis(clock.now));
+    const api = createLimiter(store, clock);
+    const admin = createLimiter(store, clock, {
+        name: 'admin',
+        resolvePolicy: () => ({ tier: 'admin', limit: 1, windowMs: WINDOW_MS })
+    });
+
+    assert.deepStrictEqual(await hits(admin, 'ip:1', 2), ['ok', 429]);
+    assert.deepStrictEqual(await hits(api, 'ip:1', 3), ['ok', 'ok', 'ok']);
+});
+
+test('the 429 carries the reject body and rate limit headers', async () => {
+    const clock = createClock();
+    const rejected = [];
+    const limiter = createLimiter(new RedisRateLimitStore(new FakeRedis(clock.now)), clock, {
+        onReject: (req, policy) => rejected.push(policy.tier)
+    });
+    await hits(limiter, 'ip:1', 3);
+    clock.advance(15000);
+
+    const res = createResponse();
+    await limiter({ key: 'ip:1' }, res, () => assert.fail('should be limited'));
+
+    assert.strictEqual(res.statusCode, 429);
+    assert.deepStrictEqual(res.body, { messageKey: 'RATE_LIMIT_EXCEEDED' });
+    assert.strictEqual(res.headers['Retry-After'], '45');
+    assert.strictEqual(res.headers['RateLimit-Remaining'], '0');
+    assert.deepStrictEqual(rejected, ['test']);
+});
+
+test('a failing Redis lets requests through', async () => {
+    const clock = createClock();
+    const redis = new FakeRedis(clock.now);
+    const limiter = createLimiter(new RedisRateLimitStore(redis), clock);
+
+    assert.deepStrictEqual(await hits(limiter, 'ip:1', 4), ['ok', 'ok', 'ok', 429]);
+
+    redis.failing = true;
+    assert.deepStrictEqual(await hits(limiter, 'ip:1', 5), ['ok', 'ok', 'ok', 'ok', 'ok']);
+
+    // Counting picks up where it left off once Redis is back
+    redis.failing = false;
+    assert.deepStrictEqual(await hits(limiter, 'ip:1', 1), [429]);
+});
@@ -0,0 +1,141 @@
+// Cached answers to standalone questions: shared keys, expiry and eviction,
+// stale-while-revalidate, the last-resort fallback and the cache metadata
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startProxy, calledModels } = require('./helpers');
+
+const MISTRAL = 'mistralai/Mistral-7B-Instruct-v0.1';
+const OPT = 'facebook/opt-1.3b';
+const CHAIN = [MISTRAL, OPT, 'facebook/opt-350m', 'google/flan-t5-small', 'distilbert/distilbert-base-uncased'];
+const SERVER_ERROR = { status: 500, body: { error: 'Internal error' } };
+
+const answer = (text) => ({ text });
+
+async function ask(proxy, inputs, language = 'en') {
+    return (await proxy.post('/api/huggingface', { inputs, language })).body;
+}
+
+// Background refreshes finish after the response that started them
+async function waitFor(condition) {
+    for (let i = 0; i < 100; i++) {
+        if (await condition()) return;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.fail('condition never came true');
+}
+
+test('questions that differ only in case, spacing and punctuation share an entry', async (t) => {
+    const proxy = await startProxy();
+    t.after(proxy.close);
+
+    assert.strictEqual((await ask(proxy, 'Is sunscreen necessary, every day?')).cache, 'miss');
+    const again = await ask(proxy, '  is SUNSCREEN necessary every day ');
+
+    assert.strictEqual(again.cache, 'hit');
+    assert.strictEqual(again.model_used, MISTRAL);
+    assert.deepStrictEqual(calledModels(proxy.fake), [MISTRAL]);
+
+    // Another language is another entry
+    assert.strictEqual((await ask(proxy, 'Is sunscreen necessary every day?', 'es')).cache, 'miss');
+});
+
+test('follow-ups bypass the cache', async (t) => {
+    const proxy = await startProxy();
+    t.after(proxy.close);
+
+    await ask(proxy, 'What is sunscreen?');
+    const { body } = await proxy.post('/api/huggingface', {
+        messages: [
+            { role: 'user', content: 'What is sunscreen?' },
+            { role: 'assistant', content: 'A lotion that blocks UV rays.' },
+            { role: 'user', content: 'What is sunscreen?' }
+        ]
+    });
+
+    assert.strictEqual(body.cache, 'bypass');
+    assert.strictEqual(proxy.fake.callsTo(MISTRAL).length, 2);
+});
+
+test('a stale entry is served at once and refreshed in the background', async (t) => {
+    const proxy = await startProxy({
+        scripts: { [MISTRAL]: [answer('Sunscreen blocks UV rays.'), answer('Sunscreen filters UV light.')] },
+        env: { RESPONSE_CACHE_TTL_MS: '60000', RESPONSE_CACHE_STALE_TTL_MS: '600000' }
+    });
+    t.after(proxy.close);
+
+    await ask(proxy, 'What is sunscreen?');
+    proxy.clock.advance(60000);
+
+    const stale = await ask(proxy, 'What is sunscreen?');
+    assert.strictEqual(stale.cache, 'stale');
+    assert.ok(stale.generated_text.startsWith('Sunscreen blocks UV rays.'));
+
+    let refreshed;
+    await waitFor(async () => {
+        refreshed = await ask(proxy, 'What is sunscreen?');
+        return refreshed.cache === 'hit';
+    });
+    assert.ok(refreshed.generated_text.startsWith('Sunscreen filters UV light.'));
+    assert.strictEqual(proxy.fake.callsTo(MISTRAL).length, 2);
+});
+
+test('entries are dropped after the stale TTL', async (t) => {
+    const proxy = await startProxy({ env: { RESPONSE_CACHE_TTL_MS: '60000', RESPONSE_CACHE_STALE_TTL_MS: '600000' } });
+    t.after(proxy.close);
+
+    await ask(proxy, 'What is sunscreen?');
+    proxy.clock.advance(600000);
+
+    assert.strictEqual((await ask(proxy, 'What is sunscreen?')).cache, 'miss');
+    assert.strictEqual(proxy.fake.callsTo(MISTRAL).length, 2);
+});
+
+test('the least recently used entry is evicted when the cache is full', async (t) => {
+    const proxy = await startProxy({ env: { RESPONSE_CACHE_MAX_ENTRIES: '2' } });
+    t.after(proxy.close);
+
+    await ask(proxy, 'What is sunscreen?');
+    await ask(proxy, 'What is SPF?');
+    assert.strictEqual((await ask(proxy, 'What is sunscreen?')).cache, 'hit');
+    await ask(proxy, 'What is a sunburn?');
+
+    assert.strictEqual((await ask(proxy, 'What is sunscreen?')).cache, 'hit');
+    assert.strictEqual((await ask(proxy, 'What is SPF?')).cache, 'miss');
+});
+
+test('when every model fails, an answer cached from another model is served', async (t) => {
+    const proxy = await startProxy();
+    t.after(proxy.close);
+
+    await ask(proxy, 'What is sunscreen?');
+
+    // Mistral's breaker opens, so the next lookup is under OPT's answers
+    proxy.fake.script(MISTRAL, 'loading');
+    assert.strictEqual((await ask(proxy, 'How do I treat a sunburn?')).model_used, OPT);
+    for (const model of CHAIN) proxy.fake.script(model, SERVER_ERROR);
+
+    const body = await ask(proxy, 'What is sunscreen?');
+
+    assert.strictEqual(body.cache, 'stale');
+    assert.strictEqual(body.model_used, MISTRAL);
+    assert.strictEqual(body.messageKey, undefined);
+    assert.strictEqual((await proxy.get('/api/status')).body.cache.stale_fallbacks, 1);
+});
+
+test('/api/status counts hits, stale hits and misses', async (t) => {
+    const proxy = await startProxy({ env: { RESPONSE_CACHE_TTL_MS: '60000' } });
+    t.after(proxy.close);
+
+    await ask(proxy, 'What is sunscreen?');
+    await ask(proxy, 'What is sunscreen?');
+    proxy.clock.advance(60000);
+    await ask(proxy, 'What is sunscreen?');
+    await ask(proxy, 'What is SPF?');
+
+    const { cache } = (await proxy.get('/api/status')).body;
+    assert.strictEqual(cache.hits, 1);
+    assert.strictEqual(cache.stale_hits, 1);
+    assert.strictEqual(cache.misses, 2);
+    assert.strictEqual(cache.hit_rate, 0.5);
+    assert.strictEqual(cache.ttl_ms, 60000);
+});
@@ -0,0 +1,86 @@
+// What streamed answers hold back follows from each registry entry's
+// template, stop sequences and cleanup rules
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ModelRegistry } = require('../lib/modelRegistry');
+const { getStableStreamText, literalRuns } = require('../lib/streamHoldBack');
+
+const registry = new ModelRegistry(path.join(__dirname, '..', 'config', 'models.json'));
+registry.load();
+
+function stable(modelName, text, stops) {
+    return getStableStreamText(text, registry.getModel(modelName).holdBack, stops);
+}
+
+test('literal runs of a cleanup regex, with their spellings and anchors', () => {
+    assert.deepStrictEqual(literalRuns('<\\/?s>').map(run => run.texts), [['</s>', '<s>']]);
+    assert.deepStrictEqual(literalRuns('^(Assistant|Dermi|A):\\s*', 'i'), [
+        { texts: ['Assistant:', 'Dermi:', 'A:'], anchor: 'text', afterWildcard: false }
+    ]);
+    assert.deepStrictEqual(literalRuns('^Human:.*?\\n\\nDermi.*?:', 's'), [
+        { texts: ['Human:'], anchor: 'text', afterWildcard: false },
+        { texts: ['Dermi'], anchor: 'line', afterWildcard: true },
+        { texts: [':'], anchor: null, afterWildcard: true }
+    ]);
+    assert.deepStrictEqual(literalRuns('^Q:.*$', 'gm').map(run => run.anchor), ['line']);
+});
+
+test('mistral holds an open instruction block and partial sentence markers', () => {
+    const mistral = 'mistralai/Mistral-7B-Instruct-v0.1';
+
+    assert.strictEqual(stable(mistral, '[INST] Answer questions about'), '');
+    assert.strictEqual(stable(mistral, 'Use SPF 30. [IN'), 'Use SPF 30. ');
+    assert.strictEqual(stable(mistral, 'Use SPF 30. </'), 'Use SPF 30. ');
+    assert.strictEqual(stable(mistral, 'Use SPF 30. You are Der'), 'Use SPF 30. ');
+    assert.strictEqual(stable(mistral, 'Use SPF 30 every day'), 'Use SPF 30 every day');
+});
+
+test('opt holds its speaker label until the colon and a made-up turn until it is cut', () => {
+    const opt = 'facebook/opt-1.3b';
+
+    assert.strictEqual(stable(opt, 'Dermi (skin care assistant. Version 2'), '');
+    assert.strictEqual(stable(opt, 'Use SPF 30.\nHum'), 'Use SPF 30.');
+    assert.strictEqual(stable(opt, 'Use SPF 30. Dermi (a derm'), 'Use SPF 30. ');
+});
+
+test('qa holds a line that could turn into a question', () => {
+    const qa = 'distilbert/distilbert-base-uncased';
+
+    assert.strictEqual(stable(qa, 'A'), '');
+    assert.strictEqual(stable(qa, 'A lotion'), 'A lotion');
+    assert.strictEqual(stable(qa, 'Use SPF 30.\nQ'), 'Use SPF 30.\n');
+});
+
+test('the request\'s own stop sequences are held like the model\'s', () => {
+    assert.strictEqual(stable('google/flan-t5-small', 'Use SPF 30. EN', ['END']), 'Use SPF 30. ');
+});
+
+test('a new template and cleanup rule need no code to be held back', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dermi-holdback-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'models.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+        templates: {
+            chatml: { user: '<|im_start|>user\n{content}<|im_end|>', assistant: '<|im_start|>assistant\n{content}<|im_end|>' }
+        },
+        models: [{
+            name: 'org/chatml',
+            priority: 1,
+            template: 'chatml',
+            stop: ['<|im_end|>'],
+            cleanup: [{ pattern: '<think>.*?<\\/think>', flags: 's' }, { pattern: '^Note:.*$', flags: 'gm' }]
+        }]
+    }));
+    const custom = new ModelRegistry(filePath);
+    custom.load();
+    const holdBack = custom.getModel('org/chatml').holdBack;
+
+    assert.strictEqual(getStableStreamText('Use SPF 30. <|im_', holdBack), 'Use SPF 30. ');
+    assert.strictEqual(getStableStreamText('<think>the user asks', holdBack), '');
+    assert.strictEqual(getStableStreamText('Use SPF 30. <thi', holdBack), 'Use SPF 30. ');
+    assert.strictEqual(getStableStreamText('Use SPF 30.\nNot', holdBack), 'Use SPF 30.\n');
+    assert.strictEqual(getStableStreamText('Use SPF 30.\nHuman', holdBack), 'Use SPF 30.\nHuman');
+});
@@ -0,0 +1,60 @@
+// Running usage totals against the budgets
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { UsageMeter } = require('../lib/usage');
+
+const NOW = () => Date.UTC(2026, 0, 15, 12);
+
+// A store whose list() answers only when told to
+function createSlowStore(rows) {
+    let answer;
+    return {
+        added: [],
+        add: async function (day, model, client, counters) {
+            this.added.push({ day, model, client, counters });
+        },
+        list: () => new Promise(resolve => {
+            answer = () => resolve(rows);
+        }),
+        answer: () => answer()
+    };
+}
+
+test('calls counted while the store is read are kept on top of its totals', async () => {
+    const store = createSlowStore([
+        { day: '2026-01-15', model: 'm', client: 'c', calls: 5, cost: 0.5 },
+        { day: '2026-01-02', model: 'm', client: 'c', calls: 10, cost: 1 }
+    ]);
+    const meter = new UsageMeter(store, { daily: { calls: 8, action: 'cheap_models' } }, { now: NOW });
+
+    const loading = meter.load();
+    meter.record({ model: 'm', client: 'c', ok: true, cost: 0.25 });
+    meter.syncCounters('2026-01-15', { calls: 1 });
+    store.answer();
+    await loading;
+
+    const status = meter.getStatus();
+    assert.strictEqual(status.daily.used.calls, 7);
+    assert.strictEqual(status.daily.used.cost, 0.75);
+    assert.strictEqual(status.monthly.used.calls, 17);
+    assert.strictEqual(meter.getMode(), 'normal');
+
+    meter.record({ model: 'm', client: 'c', ok: true });
+    assert.strictEqual(meter.getMode(), 'cheap_models');
+});
+
+test('a store that can\'t be read leaves the calls counted so far', async () => {
+    const store = {
+        add: async () => {},
+        list: async () => {
+            throw new Error('Cluster primary did not answer list in time');
+        }
+    };
+    const meter = new UsageMeter(store, {}, { now: NOW });
+
+    const loading = meter.load();
+    meter.record({ model: 'm', client: 'c', ok: true });
+    await assert.rejects(loading);
+
+    assert.strictEqual(meter.getStatus().daily.used.calls, 1);
+});
@@ -0,0 +1,127 @@
+// Work queues in front of the model chain and of every model: how many calls
+// run at once, shedding when they are full, request deadlines and the queue stats
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WorkQueue, QueueFullError, DeadlineError } = require('../lib/workQueue');
+const { startProxy } = require('./helpers');
+const { MessageCatalog } = require('../lib/i18n');
+
+const i18n = MessageCatalog.load();
+const MISTRAL = 'mistralai/Mistral-7B-Instruct-v0.1';
+const SLOW_ANSWER = { text: 'Sunscreen protects the skin from ultraviolet rays.', delayMs: 150 };
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dermi-queue-'));
+process.on('exit', () => fs.rmSync(configDir, { recursive: true, force: true }));
+
+// The usual registry, with mistral taking one call at a time
+const MODEL_REGISTRY_PATH = path.join(configDir, 'models.json');
+const registry = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'models.json'), 'utf8'));
+registry.models.find(model => model.name === MISTRAL).maxConcurrent = 1;
+fs.writeFileSync(MODEL_REGISTRY_PATH, JSON.stringify(registry));
+
+// Requests in flight show in the stats a little after they are sent
+async function waitFor(condition) {
+    for (let i = 0; i < 100; i++) {
+        if (await condition()) return;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.fail('condition never came true');
+}
+
+test('a full queue turns work away and a queued job gives up at its deadline', async () => {
+    const queue = new WorkQueue('test', { concurrency: 1, maxQueued: 1 });
+    const release = await queue.acquire();
+
+    const expiring = queue.acquire({ deadline: Date.now() + 20 });
+    await assert.rejects(queue.acquire(), QueueFullError);
+    assert.strictEqual(queue.isFull, true);
+    await assert.rejects(expiring, DeadlineError);
+
+    const waiting = queue.acquire();
+    release();
+    (await waiting)();
+
+    const { active, queued, started, rejected, deadline_exceeded } = queue.getStats();
+    assert.deepStrictEqual({ active, queued, started, rejected, deadline_exceeded }, { active: 0, queued: 0, started: 2, rejected: 1, deadline_exceeded: 1 });
+});
+
+test('a model takes no more calls at once than its maxConcurrent, and /api/status shows the rest queued', async (t) => {
+    const proxy = await startProxy({ scripts: { [MISTRAL]: SLOW_ANSWER }, env: { MODEL_REGISTRY_PATH } });
+    t.after(proxy.close);
+    const mistralQueue = async () => (await proxy.get('/api/status')).body.models.find(model => model.name === MISTRAL).queue;
+
+    const answers = Promise.all([
+        proxy.post('/api/huggingface', { inputs: 'What is sunscreen?' }),
+        proxy.post('/api/huggingface', { inputs: 'What is SPF?' })
+    ]);
+    await waitFor(async () => {
+        const queue = await mistralQueue();
+        return queue.active === 1 && queue.queued === 1;
+    });
+    assert.strictEqual((await mistralQueue()).concurrency, 1);
+
+    for (const { body } of await answers) {
+        assert.strictEqual(body.model_used, MISTRAL);
+    }
+    // The second call only went out once the first was answered
+    const [first, second] = proxy.fake.callsTo(MISTRAL);
+    assert.ok(second.at - first.at >= SLOW_ANSWER.delayMs - 10, `${second.at - first.at}ms apart`);
+
+    const queue = await mistralQueue();
+    assert.strictEqual(queue.active, 0);
+    assert.strictEqual(queue.started, 2);
+});
+
+test('requests are shed with a localized SERVER_BUSY while the work queue is full', async (t) => {
+    const proxy = await startProxy({
+        scripts: { [MISTRAL]: SLOW_ANSWER },
+        env: { REQUEST_CONCURRENCY: '1', REQUEST_QUEUE_SIZE: '1' }
+    });
+    t.after(proxy.close);
+
+    const answers = Promise.all([
+        proxy.post('/api/huggingface', { inputs: 'What is sunscreen?' }),
+        proxy.post('/api/huggingface', { inputs: 'What is SPF?' })
+    ]);
+    await waitFor(async () => {
+        const { queue } = (await proxy.get('/api/status')).body;
+        return queue.active === 1 && queue.queued === 1;
+    });
+
+    const shed = await proxy.post('/api/huggingface', { inputs: 'What is a sunburn?', language: 'es' });
+    assert.strictEqual(shed.status, 503);
+    assert.strictEqual(shed.headers.get('retry-after'), '5');
+    assert.strictEqual(shed.body.messageKey, 'SERVER_BUSY');
+    assert.strictEqual(shed.body.fallbackMessage, i18n.t('SERVER_BUSY', 'es'));
+
+    // Batches would only queue behind the rest
+    const batch = await proxy.admin('POST', '/api/batch', { items: [{ id: 'spf', inputs: 'Is SPF 50 better?' }] });
+    assert.strictEqual(batch.status, 503);
+    assert.strictEqual(batch.body.messageKey, 'SERVER_BUSY');
+
+    for (const { body } of await answers) {
+        assert.strictEqual(body.model_used, MISTRAL);
+    }
+    assert.strictEqual(proxy.fake.callsTo(MISTRAL).length, 2);
+});
+
+test('the request deadline caps the upstream timeout, and the breaker does not count it', async (t) => {
+    const proxy = await startProxy({ scripts: { [MISTRAL]: 'timeout' } });
+    t.after(proxy.close);
+
+    // The clock stands still, so only the upstream call's own timeout can end this
+    const startedAt = Date.now();
+    const { body } = await proxy.post('/api/huggingface', { inputs: 'What is sunscreen?' }, { 'X-Request-Timeout': '200' });
+    const took = Date.now() - startedAt;
+
+    assert.strictEqual(body.messageKey, 'REQUEST_TIMEOUT');
+    assert.ok(took >= 200 && took < 5000, `answered after ${took}ms`);
+    assert.strictEqual(proxy.fake.callsTo(MISTRAL).length, 1);
+
+    const mistral = (await proxy.get('/api/status')).body.models.find(model => model.name === MISTRAL);
+    assert.strictEqual(mistral.state, 'closed');
+    assert.strictEqual(mistral.recent_requests, 0);
+});